@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+const path = require('path')
+const fs = require('fs')
+const { parseArgs } = require('util')
+const splitter = require('../splitter')
+const functionsTemplatesHandler = require('../functions-templates-handler')
+const { diffFlows } = require('../flow-diff')
+const { formatCodeError } = require('../code-validator')
+const history = require('../history')
+const { runFunctionTests, summarizeTestResults } = require('../function-test-runner')
+
+/**
+ * Command line interface
+ * Runs the split, rebuild, extract and restore operations on a project without a running Node-RED
+ */
+
+const EXIT_OK = 0
+const EXIT_FAILURE = 1
+const EXIT_USAGE = 2
+
+const CREDENTIAL_SECRET_VARIABLE = 'NODE_RED_CREDENTIAL_SECRET'
+
+const COMMANDS = ['split', 'build', 'extract', 'restore', 'check', 'test', 'history', 'rollback']
+
+const USAGE = `Usage: flow-splitter <command> [options]
+
+Commands:
+  split      Split the flows file into the source tree and extract functions/templates
+  build      Restore functions/templates (if enabled in the config) and rebuild the flows file
+  extract    Extract functions/templates from the split files
+  restore    Restore the extracted functions/templates into the split files
+  check      Verify the source tree: files parse, extracted code has no syntax errors,
+             extracted files are in sync, flows file is up to date
+  test [filter]
+             Run the unit test fixtures of the extracted function nodes (<name>.test.yaml),
+             optionally only those whose <tab>/<node name> contains the filter
+  history    List the snapshots taken before the source tree or flows file were changed
+  rollback <id>
+             Restore the source tree and flows file of a snapshot
+
+Options:
+  -p, --project <path>  Project folder holding .config.flow-splitter.json (default: current folder)
+  -f, --flows <file>    Flows file to read (split, check) or write (build) (default: from config)
+  -s, --strict          Exit with a failure code when warnings were logged
+  -q, --quiet           Only log warnings and errors
+  -h, --help            Show this help
+
+Environment:
+  FLOW_SPLITTER_ENV           Environment whose overlays are merged when building
+  NODE_RED_CREDENTIAL_SECRET  Secret of the credentials file (splitCredentials)
+
+Exit codes:
+  0  success
+  1  failure (operation failed, check found problems, or warnings with --strict)
+  2  invalid usage`
+
+/**
+ * Create a console logger with the same interface as `RED.log`, counting warnings and errors
+ * @param {boolean} quiet - Do not log info messages
+ */
+function createLogger(quiet) {
+    const logger = {
+        warnings: 0,
+        errors: 0,
+        info: (message) => { if (!quiet) console.log(message) },
+        debug: () => {},
+        trace: () => {},
+        warn: (message) => {
+            logger.warnings++
+            console.warn(message)
+        },
+        error: (message) => {
+            logger.errors++
+            console.error(message)
+        }
+    }
+    return logger
+}
+
+/**
+ * Log a summary of a flows diff, one line per node
+ * @param {import('../flow-diff').FlowsDiff} diff
+ * @param {function(string): void} log
+ */
+function logDiff(diff, log) {
+    diff.flows.forEach((flow) => {
+        flow.nodes.forEach((node) => {
+            const properties = node.status === 'changed'
+                ? ` (${[...node.added, ...node.removed, ...node.changed.map(c => c.property)].join(', ')})`
+                : ''
+            log(`  ${flow.label} > ${node.name || node.id} [${node.type}] ${node.status}${properties}`)
+        })
+    })
+}
+
+/**
+ * Verify the source tree
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {string} flowsFile - Flows file to compare with the source tree
+ * @param {object} log - Logger
+ * @returns {boolean} true when no problem was found
+ */
+function check(cfg, projectPath, flowsFile, log) {
+    let ok = true
+
+    const splitNodes = splitter.readSourceFlowNodes({ ...cfg, restoreFunctionsTemplates: false }, projectPath)
+    const restoredNodes = splitter.readSourceFlowNodes({ ...cfg, restoreFunctionsTemplates: true }, projectPath)
+    log.info(`[node-red-contrib-flow-splitter-extended] Read ${splitNodes.length} nodes from the source tree`)
+
+    const ids = new Set()
+    splitNodes.forEach((node) => {
+        if (ids.has(node.id)) {
+            log.error(`[node-red-contrib-flow-splitter-extended] Duplicate node id ${node.id} in the source tree`)
+            ok = false
+        }
+        ids.add(node.id)
+    })
+
+    splitter.validateExtractedCode(cfg, projectPath).forEach((error) => {
+        log.error(`[node-red-contrib-flow-splitter-extended] Syntax error in ${formatCodeError(error)}`)
+        ok = false
+    })
+
+    const registry = functionsTemplatesHandler.createExtractorRegistry(cfg.extractors, log)
+    const getCodeProperties = node => functionsTemplatesHandler.getExtractedProperties(node, registry)
+
+    const syncDiff = diffFlows(splitNodes, restoredNodes, { getCodeProperties })
+    if (syncDiff.hasChanges) {
+        log.error("[node-red-contrib-flow-splitter-extended] Extracted files differ from the split files (run 'restore' or 'extract'):")
+        logDiff(syncDiff, log.error)
+        ok = false
+    }
+
+    if (fs.existsSync(flowsFile)) {
+        const expectedNodes = cfg.restoreFunctionsTemplates === false ? splitNodes : restoredNodes
+        const flowsDiff = diffFlows(splitter.readFlowsFile(flowsFile), expectedNodes, { getCodeProperties })
+        if (flowsDiff.hasChanges) {
+            log.error(`[node-red-contrib-flow-splitter-extended] '${flowsFile}' is out of date with the source tree (run 'build' or 'split'):`)
+            logDiff(flowsDiff, log.error)
+            ok = false
+        }
+    }
+
+    return ok
+}
+
+/**
+ * Run the unit test fixtures of the extracted function nodes and log the results
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {object} runtime - Runtime given to the splitter
+ * @param {string} [filter] - Only run the fixtures of the matching nodes
+ * @returns {Promise<boolean>} true when all tests passed
+ */
+async function test(cfg, projectPath, runtime, filter) {
+    const nodes = splitter.readSourceFlowNodes({ ...cfg, restoreFunctionsTemplates: true }, projectPath)
+    const results = await runFunctionTests(nodes, splitter.listExtractedFiles(cfg, projectPath), cfg, projectPath, runtime, { filter })
+
+    results.forEach((fixture) => {
+        runtime.log.info(`${fixture.name} (${fixture.file})`)
+        if (fixture.error) {
+            runtime.log.error(`  FAIL ${fixture.error}`)
+        }
+        fixture.tests.forEach((result) => {
+            if (result.passed) {
+                runtime.log.info(`  PASS ${result.name}`)
+            } else {
+                runtime.log.error(`  FAIL ${result.name}\n${result.failures.map(failure => `       ${failure}`).join('\n')}`)
+            }
+        })
+    })
+
+    const summary = summarizeTestResults(results)
+    runtime.log.info(`[node-red-contrib-flow-splitter-extended] ${summary.passed} passed, ${summary.failed} failed, ${results.length} fixture file(s)`)
+    return summary.failed === 0
+}
+
+/**
+ * @param {Array<string>} argv - Command line arguments (without node and script)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let args
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                project: { type: 'string', short: 'p' },
+                flows: { type: 'string', short: 'f' },
+                strict: { type: 'boolean', short: 's' },
+                quiet: { type: 'boolean', short: 'q' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        })
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`)
+        return EXIT_USAGE
+    }
+
+    const command = args.positionals[0]
+    if (args.values.help) {
+        console.log(USAGE)
+        return EXIT_OK
+    }
+    const expectedPositionals = command === 'rollback' ? [2] : command === 'test' ? [1, 2] : [1]
+    if (!COMMANDS.includes(command) || !expectedPositionals.includes(args.positionals.length)) {
+        console.error(USAGE)
+        return EXIT_USAGE
+    }
+
+    const projectPath = path.resolve(args.values.project || '.')
+    if (!fs.existsSync(projectPath)) {
+        console.error(`Project folder '${projectPath}' does not exist`)
+        return EXIT_USAGE
+    }
+
+    const log = createLogger(args.values.quiet === true)
+    // The secret of the credentials file comes from the environment, Node-RED settings are not loaded
+    const runtime = { log, settings: { credentialSecret: process.env[CREDENTIAL_SECRET_VARIABLE] } }
+    splitter.setRuntime(runtime)
+
+    let ok = true
+    try {
+        const cfg = splitter.loadSplitterConfig(projectPath)
+        const flowsFile = args.values.flows ? path.resolve(args.values.flows) : path.join(projectPath, cfg.monolithFilename)
+        cfg.monolithFilename = path.relative(projectPath, flowsFile)
+
+        switch (command) {
+            case 'split':
+                splitter.splitFlows(splitter.readFlowsFile(flowsFile), cfg, projectPath)
+                break
+            case 'build':
+                splitter.buildMonolithFile(cfg, projectPath)
+                log.info(`[node-red-contrib-flow-splitter-extended] Built '${flowsFile}'`)
+                break
+            case 'extract':
+                splitter.extractFunctionsTemplatesFromSplitFiles({ ...cfg, extractFunctionsTemplates: true }, projectPath)
+                break
+            case 'restore':
+                splitter.restoreFunctionsTemplatesIntoSplitFiles({ ...cfg, restoreFunctionsTemplates: true }, projectPath)
+                break
+            case 'check':
+                ok = check(cfg, projectPath, flowsFile, log)
+                break
+            case 'test':
+                ok = await test(cfg, projectPath, runtime, args.positionals[1])
+                break
+            case 'history':
+                history.listSnapshots(projectPath).forEach((snapshot) => {
+                    console.log(`${snapshot.id}\t${snapshot.fileCount} file(s): ${snapshot.entries.map(entry => entry.path).join(', ')}`)
+                })
+                break
+            case 'rollback':
+                history.rollbackToSnapshot(projectPath, cfg, args.positionals[1], runtime)
+                break
+        }
+    } catch (error) {
+        log.error(`[node-red-contrib-flow-splitter-extended] ${command} failed: ${error.message}`)
+        return EXIT_FAILURE
+    }
+
+    if (!ok || log.errors > 0 || (args.values.strict && log.warnings > 0)) {
+        return EXIT_FAILURE
+    }
+    return EXIT_OK
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code
+})
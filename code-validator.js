@@ -0,0 +1,151 @@
+const vm = require('vm')
+
+/**
+ * Code Validator
+ * Checks the syntax of extracted code before it is restored into the flows,
+ * so that errors are reported with the extracted file, line and column instead of failing at runtime
+ */
+
+/**
+ * @typedef {object} CodeError
+ * @property {string} file - Path of the extracted file
+ * @property {number} line - 1-based line in the file
+ * @property {number} column - 1-based column in the file
+ * @property {string} message
+ * @property {string} [nodeId] - Node the file was extracted from
+ */
+
+/**
+ * First line of the wrappers the function node puts around its code (see the core 10-function.js).
+ * The code starts on the next line, so line numbers of errors match the extracted file.
+ */
+const FUNCTION_WRAPPERS = {
+    'function-body': '(async function (msg, __send__, __done__) { var __msgid__ = msg._msgid; var node = {};',
+    'function-initialize': '(async function (__send__) { var node = {};',
+    'function-finalize': '(function () { var node = {};',
+    // Local modules bundled into function code (see local-modules.js)
+    'module': '(function (module, exports, require) {'
+}
+
+/**
+ * Blocks of a Vue single file component that must be balanced
+ */
+const VUE_BLOCK_TAGS = /<(\/?)(template|script|style)\b[^>]*>/gi
+
+/**
+ * Error thrown when extracted code contains syntax errors
+ */
+class CodeValidationError extends Error {
+    /**
+     * @param {Array<CodeError>} errors
+     */
+    constructor(errors) {
+        super(`Syntax errors in ${errors.length} extracted file(s): ${errors.map(formatCodeError).join('; ')}`)
+        this.name = 'CodeValidationError'
+        this.errors = errors
+    }
+}
+
+/**
+ * Format an error as `file:line:column: message`, as understood by IDE problem matchers
+ * @param {CodeError} error
+ * @returns {string}
+ */
+function formatCodeError(error) {
+    return `${error.file}:${error.line}:${error.column}: ${error.message}`
+}
+
+/**
+ * Validate the content of an extracted file
+ * @param {'function-body'|'function-initialize'|'function-finalize'|'module'|'vue'} kind - How the content is used
+ * @param {string} content - File content
+ * @param {string} file - File path, used in the reported errors
+ * @returns {Array<CodeError>}
+ */
+function validateCode(kind, content, file) {
+    if (kind === 'vue') {
+        return validateVueBlocks(content, file)
+    }
+    if (FUNCTION_WRAPPERS[kind]) {
+        return validateFunctionCode(FUNCTION_WRAPPERS[kind], content, file)
+    }
+    return []
+}
+
+/**
+ * Compile the code inside its function node wrapper, without running it
+ * @param {string} wrapper - First line of the wrapper
+ * @param {string} content
+ * @param {string} file
+ * @returns {Array<CodeError>}
+ */
+function validateFunctionCode(wrapper, content, file) {
+    try {
+        new vm.Script(`${wrapper}\n${content}\n})`, { filename: file, lineOffset: -1 })
+        return []
+    } catch (error) {
+        if (!(error instanceof SyntaxError)) {
+            throw error
+        }
+        // The stack of a compilation error starts with "file:line", the source line and a caret under the column
+        const stackLines = (error.stack || '').split('\n')
+        const lineMatch = /:(\d+)$/.exec(stackLines[0] || '')
+        const caret = (stackLines[2] || '').indexOf('^')
+        const lineCount = content.split('\n').length
+
+        return [{
+            file,
+            line: lineMatch ? Math.min(Math.max(Number(lineMatch[1]), 1), lineCount) : 1,
+            column: caret >= 0 ? caret + 1 : 1,
+            message: error.message
+        }]
+    }
+}
+
+/**
+ * Check that the `<template>`, `<script>` and `<style>` blocks are opened and closed in order
+ * @param {string} content
+ * @param {string} file
+ * @returns {Array<CodeError>}
+ */
+function validateVueBlocks(content, file) {
+    const stack = []
+    const errors = []
+    const position = (index) => {
+        const before = content.slice(0, index).split('\n')
+        return { line: before.length, column: before[before.length - 1].length + 1 }
+    }
+
+    let match
+    VUE_BLOCK_TAGS.lastIndex = 0
+    while ((match = VUE_BLOCK_TAGS.exec(content)) !== null) {
+        const isClosing = match[1] === '/'
+        const tag = match[2].toLowerCase()
+
+        if (!isClosing) {
+            stack.push({ tag, index: match.index })
+            continue
+        }
+
+        const open = stack.pop()
+        if (!open || open.tag !== tag) {
+            errors.push({
+                file,
+                ...position(match.index),
+                message: open ? `Unexpected </${tag}>, expected </${open.tag}>` : `Unexpected </${tag}> without opening <${tag}>`
+            })
+            return errors
+        }
+    }
+
+    stack.forEach((open) => {
+        errors.push({ file, ...position(open.index), message: `<${open.tag}> is never closed` })
+    })
+    return errors
+}
+
+module.exports = {
+    CodeValidationError,
+    formatCodeError,
+    validateCode
+}
@@ -0,0 +1,280 @@
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+const yaml = require('js-yaml')
+const eol = require('eol')
+const { writeFileAtomic } = require('./safe-fs')
+
+/**
+ * Credentials
+ * Templates listing the credential keys of each node, with empty values or `${ENV_VAR}` references, kept in the source tree,
+ * and the encrypted credentials file rebuilt from them (same format and encryption as the Node-RED runtime)
+ */
+
+const CREDENTIALS_DIR = 'credentials'
+const ENCRYPTION_ALGORITHM = 'aes-256-ctr'
+
+/**
+ * The only values allowed in a template: nothing, or a reference to an environment variable
+ */
+const ENV_REFERENCE = /^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/
+
+/**
+ * Get the name of the credentials file of a flows file, as Node-RED does: `flows.json` -> `flows_cred.json`
+ * @param {string} monolithFilename
+ * @returns {string}
+ */
+function getCredentialsFilename(monolithFilename) {
+    const ext = path.extname(monolithFilename)
+    return `${monolithFilename.slice(0, monolithFilename.length - ext.length)}_cred${ext || '.json'}`
+}
+
+/**
+ * Get the active project of the runtime and its credential secret, from the projects file of the user folder
+ * (the project the plugin reads and writes the flows of, see `getProjectPath` in index.js)
+ * @param {function(string): any} read - Reads a setting
+ * @returns {{name: string, secret: any} | null} - null when projects are not used
+ * @throws {Error} When the projects file cannot be parsed
+ */
+function getActiveProject(read) {
+    const userDir = read('userDir')
+    const projectsFile = userDir ? path.join(userDir, '.config.projects.json') : null
+    if (!projectsFile || !fs.existsSync(projectsFile)) {
+        return null
+    }
+    let projects
+    try {
+        projects = JSON.parse(fs.readFileSync(projectsFile, 'utf8'))
+    } catch (error) {
+        throw new Error(`Cannot read the projects file '${projectsFile}': ${error.message}`)
+    }
+    if (!projects || !projects.activeProject) {
+        return null
+    }
+    const project = (projects.projects || {})[projects.activeProject] || {}
+    return { name: projects.activeProject, secret: project.credentialSecret }
+}
+
+/**
+ * Get the secret used to encrypt the credentials, as the runtime does: the secret of the active project in project mode,
+ * otherwise `credentialSecret` of the settings, or the secret Node-RED generated when none is set (`_credentialSecret`)
+ * @param {object} settings - Runtime settings
+ * @returns {string | false | undefined} - false when encryption is disabled, undefined when no secret is known
+ * @throws {Error} When the projects file cannot be parsed or the active project has no credential secret
+ */
+function getCredentialSecret(settings) {
+    const read = (name) => {
+        try {
+            return typeof settings.get === 'function' ? settings.get(name) : settings[name]
+        } catch (error) {
+            return settings[name]
+        }
+    }
+    const project = getActiveProject(read)
+    if (project) {
+        if (project.secret === false || (typeof project.secret === 'string' && project.secret !== '')) {
+            return project.secret
+        }
+        throw new Error(`Project '${project.name}' has no credential secret: set one in the project settings of the editor`)
+    }
+    const secret = read('credentialSecret')
+    if (secret === false || secret) {
+        return secret
+    }
+    return read('_credentialSecret') || undefined
+}
+
+/**
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+function getEncryptionKey(secret) {
+    return crypto.createHash('sha256').update(secret).digest()
+}
+
+/**
+ * Read a credentials file
+ * @param {string} filePath
+ * @param {string | false | undefined} secret
+ * @returns {Object<string, object>} Credentials keyed by node id, empty when the file does not exist
+ */
+function readCredentialsFile(filePath, secret) {
+    if (!fs.existsSync(filePath)) {
+        return {}
+    }
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    if (!content.$) {
+        return content
+    }
+    if (!secret) {
+        throw new Error(`Cannot decrypt '${path.basename(filePath)}': no credential secret`)
+    }
+    const initVector = Buffer.from(content.$.substring(0, 32), 'hex')
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(secret), initVector)
+    return JSON.parse(decipher.update(content.$.substring(32), 'base64', 'utf8') + decipher.final('utf8'))
+}
+
+/**
+ * Write a credentials file, encrypted unless encryption is disabled
+ * @param {string} filePath
+ * @param {Object<string, object>} credentials
+ * @param {string | false} secret
+ */
+function writeCredentialsFile(filePath, credentials, secret) {
+    let content = credentials
+    if (secret !== false) {
+        const initVector = crypto.randomBytes(16)
+        const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(secret), initVector)
+        content = { $: initVector.toString('hex') + cipher.update(JSON.stringify(credentials), 'utf8', 'base64') + cipher.final('base64') }
+    }
+    writeFileAtomic(filePath, JSON.stringify(content, null, 4))
+}
+
+/**
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {string}
+ */
+function getTemplatesDir(cfg, projectPath) {
+    return path.join(projectPath, cfg.destinationFolder || 'src', CREDENTIALS_DIR)
+}
+
+/**
+ * Read the credential templates of the source tree
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {Array<{file: string, id: string, type: string, credentials: Object<string, string>}>}
+ * @throws {Error} When a template cannot be read or holds a value that is not empty nor an `${ENV_VAR}` reference
+ */
+function readCredentialTemplates(cfg, projectPath) {
+    const dir = getTemplatesDir(cfg, projectPath)
+    if (!fs.existsSync(dir)) {
+        return []
+    }
+
+    return fs.readdirSync(dir).filter(f => f.endsWith('.yaml')).sort().map((file) => {
+        const relativeFile = path.relative(projectPath, path.join(dir, file))
+        const template = yaml.load(fs.readFileSync(path.join(dir, file), 'utf8')) || {}
+        if (!template.id || typeof template.credentials !== 'object' || template.credentials === null) {
+            throw new Error(`Credential template '${relativeFile}' must have an 'id' and 'credentials'`)
+        }
+        Object.keys(template.credentials).forEach((key) => {
+            const value = template.credentials[key]
+            if (value !== '' && value !== null && !ENV_REFERENCE.test(value)) {
+                throw new Error(`Credential '${key}' in '${relativeFile}' must be empty or an \${ENV_VAR} reference, secrets must not be stored in the source tree`)
+            }
+        })
+        return { file: relativeFile, id: String(template.id), type: template.type, credentials: template.credentials }
+    })
+}
+
+/**
+ * Write or update the credential template of each node that has credentials.
+ * Only the keys are taken from the credentials, never their values: existing templates keep their values,
+ * new keys are left empty. Templates of deleted nodes are removed.
+ * @param {Array<object>} flows - Flow nodes
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {object} RED - Node-RED runtime
+ * @param {import('./history').SnapshotRecorder} [snapshot] - Snapshot of the operation, saving the templates before they change
+ */
+function writeCredentialTemplates(flows, cfg, projectPath, RED, snapshot) {
+    const credentials = readCredentialsFile(path.join(projectPath, getCredentialsFilename(cfg.monolithFilename)), getCredentialSecret(RED.settings))
+    const templates = new Map(readCredentialTemplates(cfg, projectPath).map(t => [t.id, t]))
+    const nodesById = new Map(flows.map(n => [n.id, n]))
+    const dir = getTemplatesDir(cfg, projectPath)
+
+    Object.keys(credentials).filter(id => nodesById.has(id)).forEach((id) => {
+        const node = nodesById.get(id)
+        const existing = templates.get(id)
+        const values = { ...(existing ? existing.credentials : {}) }
+        Object.keys(credentials[id] || {}).forEach((key) => {
+            if (!(key in values)) {
+                values[key] = ''
+            }
+        })
+
+        const header = `# Credentials of ${node.type}${node.name ? ` "${node.name}"` : ''}\n# Values must be empty or \${ENV_VAR} references, resolved when the flows are rebuilt\n`
+        const content = eol.auto(header + yaml.dump({ id, type: node.type, credentials: values }, { lineWidth: -1, noRefs: true, sortKeys: false }))
+        const file = existing ? path.join(projectPath, existing.file) : path.join(dir, `${id.replace(/[^\w.-]/g, '_')}.yaml`)
+
+        if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content) {
+            if (snapshot) {
+                snapshot.save([file])
+            }
+            fs.mkdirSync(path.dirname(file), { recursive: true })
+            writeFileAtomic(file, content)
+            RED.log.info(`[node-red-contrib-flow-splitter-extended] Updated credential template ${path.relative(projectPath, file)}`)
+        }
+    })
+
+    templates.forEach((template) => {
+        if (!nodesById.has(template.id)) {
+            if (snapshot) {
+                snapshot.save([path.join(projectPath, template.file)])
+            }
+            fs.rmSync(path.join(projectPath, template.file), { force: true })
+            RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed credential template ${template.file} of deleted node ${template.id}`)
+        }
+    })
+}
+
+/**
+ * Build the credentials file next to the flows file from the templates.
+ * `${ENV_VAR}` references are replaced by the value of the variable; empty values and unset variables
+ * keep the credential of the existing file, if any.
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {object} RED - Node-RED runtime
+ * @param {import('./history').SnapshotRecorder} [snapshot] - Snapshot of the operation, saving the file before it changes
+ * @returns {boolean} Whether the credentials file was written
+ */
+function buildCredentialsFile(cfg, projectPath, RED, snapshot) {
+    const templates = readCredentialTemplates(cfg, projectPath)
+    if (templates.length === 0) {
+        return false
+    }
+
+    const secret = getCredentialSecret(RED.settings)
+    if (secret === undefined) {
+        throw new Error('No credential secret to encrypt the credentials: set credentialSecret in the settings')
+    }
+
+    const filePath = path.join(projectPath, getCredentialsFilename(cfg.monolithFilename))
+    const existing = readCredentialsFile(filePath, secret)
+    const credentials = JSON.parse(JSON.stringify(existing))
+
+    templates.forEach((template) => {
+        Object.keys(template.credentials).forEach((key) => {
+            const match = ENV_REFERENCE.exec(template.credentials[key] || '')
+            if (!match) {
+                return
+            }
+            if (process.env[match[1]] === undefined) {
+                RED.log.warn(`[node-red-contrib-flow-splitter-extended] Environment variable ${match[1]} of credential '${key}' of node ${template.id} is not set`)
+                return
+            }
+            credentials[template.id] = { ...credentials[template.id], [key]: process.env[match[1]] }
+        })
+    })
+
+    // Keep the file as is when nothing changed, a new initialization vector would change it on every rebuild
+    if (fs.existsSync(filePath) && JSON.stringify(credentials) === JSON.stringify(existing)) {
+        return false
+    }
+
+    if (snapshot) {
+        snapshot.save([filePath])
+    }
+    writeCredentialsFile(filePath, credentials, secret)
+    RED.log.info(`[node-red-contrib-flow-splitter-extended] Built '${getCredentialsFilename(cfg.monolithFilename)}' from ${templates.length} credential template(s)`)
+    return true
+}
+
+module.exports = {
+    CREDENTIALS_DIR,
+    getCredentialsFilename,
+    readCredentialTemplates,
+    writeCredentialTemplates,
+    buildCredentialsFile
+}
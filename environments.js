@@ -0,0 +1,182 @@
+const path = require('path')
+const fs = require('fs')
+const yaml = require('js-yaml')
+const { listFilesRecursive } = require('./safe-fs')
+
+/**
+ * Environments
+ * Overlay files holding partial nodes, keyed by id, deep-merged into the flows when they are rebuilt for an environment
+ * (e.g. the host of an MQTT broker in production), and taken out again when the deployed flows are split
+ */
+
+const ENVIRONMENTS_DIR = 'environments'
+const ENVIRONMENT_VARIABLE = 'FLOW_SPLITTER_ENV'
+
+/**
+ * Get the active environment: the `FLOW_SPLITTER_ENV` environment variable, or `environment` in the splitter config
+ * @param {object} cfg - Splitter configuration
+ * @returns {string | null} - null when no environment is selected
+ */
+function getEnvironmentName(cfg) {
+    return process.env[ENVIRONMENT_VARIABLE] || cfg.environment || null
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Merge `source` into `target`: objects are merged recursively, other values (arrays included) replace the target value
+ * @param {object} target
+ * @param {object} source
+ * @returns {object} target
+ */
+function deepMerge(target, source) {
+    Object.keys(source).forEach((key) => {
+        if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+            deepMerge(target[key], source[key])
+        } else {
+            target[key] = JSON.parse(JSON.stringify(source[key]))
+        }
+    })
+    return target
+}
+
+/**
+ * Read the overlays of the active environment from `<destinationFolder>/environments/<name>/`.
+ * Each YAML or JSON file holds partial nodes, either as an object keyed by node id or as a list of nodes with an `id`.
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {{name: string, overlays: Map<string, object>} | null} - null when no environment is selected
+ * @throws {Error} When the folder of the selected environment does not exist or a file cannot be read
+ */
+function readEnvironmentOverlays(cfg, projectPath) {
+    const name = getEnvironmentName(cfg)
+    if (!name) {
+        return null
+    }
+
+    const envDir = path.join(projectPath, cfg.destinationFolder || 'src', ENVIRONMENTS_DIR, name)
+    if (!fs.existsSync(envDir)) {
+        throw new Error(`Environment '${name}' has no overlay folder '${path.relative(projectPath, envDir)}'`)
+    }
+
+    const overlays = new Map()
+    listFilesRecursive(envDir)
+        .filter(file => /\.(ya?ml|json)$/.test(file))
+        .sort()
+        .forEach((file) => {
+            let content
+            try {
+                const text = fs.readFileSync(path.join(envDir, file), 'utf8')
+                content = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text)
+            } catch (error) {
+                throw new Error(`Cannot read overlay '${file}' of environment '${name}': ${error.message}`)
+            }
+
+            const nodes = Array.isArray(content)
+                ? content
+                : Object.keys(content || {}).map(id => ({ ...content[id], id }))
+
+            nodes.forEach((node) => {
+                if (!isPlainObject(node) || !node.id) {
+                    throw new Error(`Overlay '${file}' of environment '${name}' has a node without id`)
+                }
+                overlays.set(node.id, deepMerge(overlays.get(node.id) || {}, node))
+            })
+        })
+
+    return { name, overlays }
+}
+
+/**
+ * Deep-merge the overlays into the flow nodes
+ * @param {Array<object>} nodes - Flow nodes, modified in place
+ * @param {{name: string, overlays: Map<string, object>}} environment
+ * @param {object} RED - Node-RED runtime
+ * @returns {Array<object>} nodes
+ */
+function applyEnvironmentOverlays(nodes, environment, RED) {
+    const nodesById = new Map(nodes.map(n => [n.id, n]))
+
+    environment.overlays.forEach((overlay, id) => {
+        const node = nodesById.get(id)
+        if (!node) {
+            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Environment '${environment.name}' has an overlay for unknown node ${id}`)
+            return
+        }
+        deepMerge(node, overlay)
+    })
+
+    return nodes
+}
+
+/**
+ * Put back the base values of the properties set by the overlays, so that environment values
+ * are never written into the split files. Values changed in the editor since the rebuild are kept.
+ * @param {object} node - Deployed node, modified in place
+ * @param {object} overlay - Overlay of the node
+ * @param {object} baseNode - Node as in the split files
+ * @param {string} [prefix] - Path of the parent properties, used in the returned properties
+ * @returns {Array<string>} - Properties kept because they no longer have the overlay value
+ */
+function revertOverlay(node, overlay, baseNode, prefix = '') {
+    const kept = []
+    Object.keys(overlay).forEach((key) => {
+        if (key === 'id' && prefix === '') {
+            return
+        }
+        if (isPlainObject(overlay[key]) && isPlainObject(node[key])) {
+            kept.push(...revertOverlay(node[key], overlay[key], isPlainObject(baseNode[key]) ? baseNode[key] : {}, `${prefix}${key}.`))
+            return
+        }
+        if (JSON.stringify(node[key]) !== JSON.stringify(overlay[key])) {
+            kept.push(`${prefix}${key}`)
+            return
+        }
+        if (key in baseNode) {
+            node[key] = JSON.parse(JSON.stringify(baseNode[key]))
+        } else {
+            delete node[key]
+        }
+    })
+    return kept
+}
+
+/**
+ * Take the overlay values out of the deployed flows before they are split
+ * @param {Array<object>} flows - Deployed flow nodes
+ * @param {{name: string, overlays: Map<string, object>}} environment
+ * @param {Array<object>} baseNodes - Nodes as in the split files, without overlays
+ * @param {object} RED - Node-RED runtime
+ * @returns {Array<object>} Copy of the flows with the base values
+ */
+function revertEnvironmentOverlays(flows, environment, baseNodes, RED) {
+    const baseById = new Map(baseNodes.map(n => [n.id, n]))
+
+    return flows.map((node) => {
+        const overlay = environment.overlays.get(node.id)
+        if (!overlay) {
+            return node
+        }
+        const reverted = JSON.parse(JSON.stringify(node))
+        const kept = revertOverlay(reverted, overlay, baseById.get(node.id) || {})
+        if (kept.length > 0) {
+            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Node ${node.id}: ${kept.join(', ')} changed in the editor, saved in the split files but still overridden by environment '${environment.name}'`)
+        }
+        return reverted
+    })
+}
+
+module.exports = {
+    ENVIRONMENTS_DIR,
+    ENVIRONMENT_VARIABLE,
+    getEnvironmentName,
+    readEnvironmentOverlays,
+    applyEnvironmentOverlays,
+    revertEnvironmentOverlays
+}
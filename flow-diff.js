@@ -0,0 +1,166 @@
+const crypto = require('crypto')
+const { createTwoFilesPatch } = require('diff')
+
+/**
+ * Flow Diff
+ * Compares two lists of flow nodes (e.g. the deployed flows and the flows rebuilt from the source files)
+ * and produces a structured per-flow, per-node diff
+ */
+
+/**
+ * @typedef {object} PropertyChange
+ * @property {string} property - Name of the node property
+ * @property {any} [from] - Previous value (non-code properties)
+ * @property {any} [to] - New value (non-code properties)
+ * @property {string} [diff] - Unified text diff (code properties)
+ *
+ * @typedef {object} NodeDiff
+ * @property {string} id
+ * @property {string} type
+ * @property {string} [name]
+ * @property {'added'|'removed'|'changed'} status
+ * @property {Array<string>} [added] - Added properties
+ * @property {Array<string>} [removed] - Removed properties
+ * @property {Array<PropertyChange>} [changed] - Changed properties
+ *
+ * @typedef {object} FlowDiff
+ * @property {string} id - Id of the tab or subflow, `global` for config nodes outside of any flow
+ * @property {'tab'|'subflow'|'global'} type
+ * @property {string} label
+ * @property {Array<NodeDiff>} nodes
+ *
+ * @typedef {object} FlowsDiff
+ * @property {string} hash - Hash identifying this exact diff
+ * @property {boolean} hasChanges
+ * @property {Array<FlowDiff>} flows
+ */
+
+/**
+ * Get the id of the flow (tab or subflow) a node belongs to
+ * @param {object} node
+ * @returns {string}
+ */
+function getFlowId(node) {
+    if (node.type === 'tab' || node.type === 'subflow') {
+        return node.id
+    }
+    return node.z || 'global'
+}
+
+/**
+ * Compare two lists of nodes
+ * @param {Array<object>} currentNodes - Nodes currently deployed
+ * @param {Array<object>} newNodes - Nodes that would be deployed
+ * @param {object} [options]
+ * @param {function(object): Array<string>} [options.getCodeProperties] - Properties to diff as text for a node
+ * @returns {FlowsDiff}
+ */
+function diffFlows(currentNodes, newNodes, options = {}) {
+    const getCodeProperties = options.getCodeProperties || (() => [])
+    const currentById = new Map(currentNodes.map(n => [n.id, n]))
+    const newById = new Map(newNodes.map(n => [n.id, n]))
+
+    /** @type {Map<string, FlowDiff>} */
+    const flows = new Map()
+    const getFlowDiff = (flowId) => {
+        if (!flows.has(flowId)) {
+            const flowNode = newById.get(flowId) || currentById.get(flowId)
+            flows.set(flowId, {
+                id: flowId,
+                type: flowNode ? flowNode.type : 'global',
+                label: flowNode ? (flowNode.label || flowNode.name || flowId) : 'Global configuration nodes',
+                nodes: []
+            })
+        }
+        return flows.get(flowId)
+    }
+
+    newNodes.forEach((node) => {
+        const current = currentById.get(node.id)
+        if (!current) {
+            getFlowDiff(getFlowId(node)).nodes.push(describeNode(node, 'added'))
+            return
+        }
+        const nodeDiff = diffNode(current, node, getCodeProperties(node))
+        if (nodeDiff) {
+            getFlowDiff(getFlowId(node)).nodes.push(nodeDiff)
+        }
+    })
+
+    currentNodes.forEach((node) => {
+        if (!newById.has(node.id)) {
+            getFlowDiff(getFlowId(node)).nodes.push(describeNode(node, 'removed'))
+        }
+    })
+
+    const flowDiffs = Array.from(flows.values()).filter(f => f.nodes.length > 0)
+    flowDiffs.forEach(f => f.nodes.sort((a, b) => a.id.localeCompare(b.id)))
+    flowDiffs.sort((a, b) => a.id.localeCompare(b.id))
+
+    return {
+        hash: hashFlowDiffs(flowDiffs),
+        hasChanges: flowDiffs.length > 0,
+        flows: flowDiffs
+    }
+}
+
+/**
+ * @param {object} node
+ * @param {'added'|'removed'|'changed'} status
+ * @returns {NodeDiff}
+ */
+function describeNode(node, status) {
+    const description = { id: node.id, type: node.type, status }
+    if (node.name || node.label) {
+        description.name = node.name || node.label
+    }
+    return description
+}
+
+/**
+ * Compare the properties of two versions of a node
+ * @param {object} current
+ * @param {object} updated
+ * @param {Array<string>} codeProperties - Properties to diff as text
+ * @returns {NodeDiff | null} - null when both are identical
+ */
+function diffNode(current, updated, codeProperties) {
+    const added = Object.keys(updated).filter(key => !(key in current))
+    const removed = Object.keys(current).filter(key => !(key in updated))
+    const changed = []
+
+    Object.keys(updated)
+        .filter(key => key in current)
+        .forEach((key) => {
+            const from = current[key]
+            const to = updated[key]
+            if (JSON.stringify(from) === JSON.stringify(to)) {
+                return
+            }
+            const isText = typeof from === 'string' && typeof to === 'string' &&
+                (codeProperties.includes(key) || from.includes('\n') || to.includes('\n'))
+            if (isText) {
+                changed.push({ property: key, diff: createTwoFilesPatch(`a/${current.id}/${key}`, `b/${updated.id}/${key}`, from, to) })
+            } else {
+                changed.push({ property: key, from, to })
+            }
+        })
+
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+        return null
+    }
+
+    return { ...describeNode(updated, 'changed'), added, removed, changed }
+}
+
+/**
+ * @param {Array<FlowDiff>} flowDiffs
+ * @returns {string}
+ */
+function hashFlowDiffs(flowDiffs) {
+    return crypto.createHash('sha256').update(JSON.stringify(flowDiffs)).digest('hex')
+}
+
+module.exports = {
+    diffFlows
+}
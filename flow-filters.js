@@ -0,0 +1,233 @@
+const path = require('path')
+const fs = require('fs')
+
+/**
+ * Flow filters
+ * Rules of the `include` and `exclude` options and of the `.flowsplitterignore` file, telling which tabs and subflows
+ * are split and which nodes are extracted. Ignored tabs and subflows are kept as deployed in a single passthrough file,
+ * merged back into the flows when they are rebuilt.
+ */
+
+/**
+ * File of exclude rules in the project folder, one per line
+ */
+const IGNORE_FILENAME = '.flowsplitterignore'
+
+/**
+ * Passthrough file of the ignored tabs and subflows, in the destination folder
+ */
+const IGNORED_FLOWS_FILENAME = 'ignored-flows.json'
+
+/**
+ * Prefixes of the rules, telling what they are matched against. Rules without prefix match tab labels and subflow names.
+ */
+const RULE_KINDS = ['tab', 'subflow', 'id', 'type']
+
+/**
+ * @typedef {object} FilterRule
+ * @property {string} rule - Rule as written
+ * @property {boolean} negate - `!` rule, which includes again what a previous rule excluded
+ * @property {string} kind - One of `RULE_KINDS`, empty for tab labels and subflow names
+ * @property {RegExp} pattern
+ */
+
+/**
+ * Tabs and subflows left out of the split
+ * @typedef {object} IgnoredFlows
+ * @property {Array<string>} tabsOrder - Ids of all the tabs, in the order of the editor
+ * @property {Array<object>} nodes - Ignored tabs and subflows with their nodes, as deployed
+ */
+
+/**
+ * Convert a glob into a regular expression: `*` matches any text, `?` any character, without case
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const source = glob.split('')
+        .map(c => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+        .join('')
+    return new RegExp(`^${source}$`, 'i')
+}
+
+/**
+ * @param {string} rule - e.g. `Scratch*`, `!tab:Scratch pad`, `type:debug`
+ * @returns {FilterRule}
+ */
+function parseRule(rule) {
+    let text = rule.trim()
+    const negate = text.startsWith('!')
+    if (negate) {
+        text = text.slice(1).trim()
+    }
+    // Labels can hold colons, only the known prefixes are taken as such
+    const colon = text.indexOf(':')
+    const prefix = colon > 0 ? text.slice(0, colon).trim().toLowerCase() : ''
+    const kind = RULE_KINDS.includes(prefix) ? prefix : ''
+    return { rule, negate, kind, pattern: globToRegExp(kind ? text.slice(colon + 1).trim() : text) }
+}
+
+/**
+ * Check the `include` or `exclude` option of a splitter configuration
+ * @param {string} key - `include` or `exclude`
+ * @param {any} rules
+ * @returns {Array<string>} Problems found
+ */
+function validateFilterRules(key, rules) {
+    if (!Array.isArray(rules) || !rules.every(rule => typeof rule === 'string' && rule.trim() !== '')) {
+        return [`'${key}' must be a list of rules, e.g. 'Scratch*', 'subflow:Vendor*' or 'type:debug'`]
+    }
+    if (key === 'include' && rules.some(rule => rule.trim().startsWith('!'))) {
+        return ["'include' rules cannot start with '!', exclude rules are set in 'exclude'"]
+    }
+    return []
+}
+
+/**
+ * Read the rules of the ignore file of the project
+ * @param {string} projectPath - Path to the project
+ * @returns {Array<string>} - Without the empty lines and `#` comments
+ */
+function readIgnoreFile(projectPath) {
+    const file = path.join(projectPath, IGNORE_FILENAME)
+    if (!fs.existsSync(file)) {
+        return []
+    }
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '' && !line.startsWith('#'))
+}
+
+/**
+ * @param {FilterRule} rule
+ * @param {object} node
+ * @returns {boolean}
+ */
+function matchesRule(rule, node) {
+    const test = value => typeof value === 'string' && rule.pattern.test(value)
+    if (rule.kind === 'id') {
+        return test(node.id)
+    }
+    if (rule.kind === 'type') {
+        return node.type !== 'tab' && node.type !== 'subflow' && test(node.type)
+    }
+    if (rule.kind === 'tab' || rule.kind === 'subflow') {
+        return node.type === rule.kind && (test(node.type === 'tab' ? node.label : node.name) || test(node.id))
+    }
+    return (node.type === 'tab' && test(node.label)) || (node.type === 'subflow' && test(node.name))
+}
+
+/**
+ * Rules of a project
+ * @typedef {object} FlowFilter
+ * @property {boolean} active - Whether there is any rule
+ * @property {function(object): boolean} isIgnoredFlow - Whether a tab or subflow is left out of the split
+ * @property {function(object): boolean} isIgnoredNode - Whether a node is left out of the extraction, its code staying in the split file
+ */
+
+/**
+ * Build the filter of a project from its configuration and ignore file.
+ * Exclude rules are read in order, the last one matching decides, so that `!` rules can include again what a previous
+ * rule excluded. When there are include rules for tabs and subflows, the others are ignored; when there are include
+ * rules for node types (`type:`), the nodes of other types are not extracted.
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {FlowFilter}
+ */
+function createFlowFilter(cfg, projectPath) {
+    const include = (Array.isArray(cfg.include) ? cfg.include : []).map(parseRule)
+    const exclude = (Array.isArray(cfg.exclude) ? cfg.exclude : []).concat(readIgnoreFile(projectPath)).map(parseRule)
+    const includeFlows = include.filter(rule => rule.kind !== 'type')
+    const includeTypes = include.filter(rule => rule.kind === 'type')
+
+    const isExcluded = node => exclude.reduce((excluded, rule) => matchesRule(rule, node) ? !rule.negate : excluded, false)
+
+    return {
+        active: include.length > 0 || exclude.length > 0,
+        isIgnoredFlow: node => (includeFlows.length > 0 && !includeFlows.some(rule => matchesRule(rule, node))) || isExcluded(node),
+        isIgnoredNode: node => (includeTypes.length > 0 && !includeTypes.some(rule => matchesRule(rule, node))) || isExcluded(node)
+    }
+}
+
+/**
+ * Take the ignored tabs and subflows, with their nodes, out of the flows
+ * @param {Array<object>} flows - All flow nodes
+ * @param {FlowFilter} filter
+ * @returns {{flows: Array<object>, ignored: IgnoredFlows}} - The flows to split, and the ignored ones
+ */
+function separateIgnoredFlows(flows, filter) {
+    const ignoredIds = new Set(flows
+        .filter(node => node && (node.type === 'tab' || node.type === 'subflow') && filter.isIgnoredFlow(node))
+        .map(node => node.id))
+    const isIgnored = node => ignoredIds.has(node.id) || ignoredIds.has(node.z)
+
+    return {
+        flows: flows.filter(node => !isIgnored(node)),
+        ignored: {
+            tabsOrder: flows.filter(node => node.type === 'tab').map(node => node.id),
+            nodes: flows.filter(isIgnored)
+        }
+    }
+}
+
+/**
+ * Read the passthrough file of the ignored tabs and subflows
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {IgnoredFlows | null} - null when there is none
+ * @throws {Error} When the file cannot be read
+ */
+function readIgnoredFlows(cfg, projectPath) {
+    const file = path.join(projectPath, cfg.destinationFolder || 'src', IGNORED_FLOWS_FILENAME)
+    if (!fs.existsSync(file)) {
+        return null
+    }
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (!content || !Array.isArray(content.nodes)) {
+        throw new Error(`'${IGNORED_FLOWS_FILENAME}' must hold the list of the ignored 'nodes'`)
+    }
+    return { tabsOrder: Array.isArray(content.tabsOrder) ? content.tabsOrder : [], nodes: content.nodes }
+}
+
+/**
+ * Add the ignored tabs and subflows to the nodes rebuilt from the split files, the tabs in the order of the editor.
+ * Split files left from before a tab or subflow was ignored are outdated, their nodes are left out.
+ * @param {Array<object>} nodes - Nodes rebuilt from the split files
+ * @param {IgnoredFlows} ignored
+ * @param {object} RED - Node-RED runtime
+ * @returns {Array<object>} - All the nodes
+ */
+function mergeIgnoredFlows(nodes, ignored, RED) {
+    const ignoredIds = new Set(ignored.nodes.map(node => node.id))
+    const flowIds = new Set(ignored.nodes.filter(node => node.type === 'tab' || node.type === 'subflow').map(node => node.id))
+
+    const outdated = nodes.filter(node => ignoredIds.has(node.id) || flowIds.has(node.z))
+    ;[...new Set(outdated.map(node => flowIds.has(node.id) ? node.id : node.z))].forEach((flowId) => {
+        const flow = ignored.nodes.find(node => node.id === flowId)
+        const label = flow ? flow.label || flow.name || flow.id : flowId
+        RED.log.warn(`[node-red-contrib-flow-splitter-extended] Ignored ${flow ? flow.type : 'flow'} "${label}" still has split files, they are left out of the flows`)
+    })
+
+    const merged = nodes.filter(node => !outdated.includes(node)).concat(ignored.nodes)
+
+    // The tabs take the slots of the tab nodes, in the order of the editor
+    const order = new Map(ignored.tabsOrder.map((id, index) => [id, index]))
+    const slots = merged.map((node, index) => node.type === 'tab' ? index : -1).filter(index => index >= 0)
+    const tabs = slots.map(index => merged[index])
+    tabs.sort((a, b) => (order.has(a.id) ? order.get(a.id) : order.size) - (order.has(b.id) ? order.get(b.id) : order.size))
+    slots.forEach((slot, index) => {
+        merged[slot] = tabs[index]
+    })
+    return merged
+}
+
+module.exports = {
+    IGNORE_FILENAME,
+    IGNORED_FLOWS_FILENAME,
+    validateFilterRules,
+    createFlowFilter,
+    separateIgnoredFlows,
+    readIgnoredFlows,
+    mergeIgnoredFlows
+}
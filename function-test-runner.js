@@ -0,0 +1,471 @@
+const path = require('path')
+const fs = require('fs')
+const vm = require('vm')
+const util = require('util')
+const crypto = require('crypto')
+const { createRequire } = require('module')
+const yaml = require('js-yaml')
+
+/**
+ * Function test runner
+ * Runs the code of extracted function nodes against the fixtures written next to it (`<name>.test.yaml`),
+ * in a sandbox reproducing the API of the function node (see the core 10-function.js), without deploying
+ */
+
+/**
+ * Time given to the synchronous part of the code before it is stopped, when the node has no timeout
+ */
+const DEFAULT_TIMEOUT_MS = 5000
+
+/**
+ * Test of a fixture file
+ * @typedef {object} FunctionTest
+ * @property {string} [name]
+ * @property {object} [msg] - Message received by the node
+ * @property {Array<object>} [msgs] - Messages received by the node, in sequence
+ * @property {Array<object | Array<object> | null>} [outputs] - Expected messages of each output, ports not listed must send nothing
+ * @property {Array<string>} [warnings] - Expected `node.warn` messages
+ * @property {Array<string>} [errors] - Expected errors (`node.error` or thrown), any other error fails the test
+ * @property {object} [status] - Expected last status
+ * @property {{node?: object, flow?: object, global?: object}} [context] - Expected context values after the messages
+ * @property {number} [wait] - Time in milliseconds to wait for messages sent asynchronously
+ */
+
+/**
+ * @typedef {object} TestResult
+ * @property {string} name
+ * @property {boolean} passed
+ * @property {Array<string>} failures
+ */
+
+/**
+ * @typedef {object} FixtureResult
+ * @property {string} file - Fixture file, relative to the project
+ * @property {string} nodeId
+ * @property {string} name - `<tab or subflow>/<node name>`
+ * @property {Array<TestResult>} tests
+ * @property {string} [error] - The fixture could not be run
+ */
+
+/**
+ * Helpers of `RED.util` available when running without Node-RED (CLI)
+ */
+const FALLBACK_RED_UTIL = {
+    cloneMessage: msg => cloneValue(msg),
+    generateId: () => crypto.randomBytes(8).toString('hex'),
+    getMessageProperty: (msg, property) => getPath(msg, property.replace(/^msg\./, '')),
+    setMessageProperty: (msg, property, value) => {
+        setPath(msg, property.replace(/^msg\./, ''), value)
+        return true
+    }
+}
+
+/**
+ * @param {any} value
+ * @returns {any} Deep copy, buffers included
+ */
+function cloneValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value)
+    }
+    if (Array.isArray(value)) {
+        return value.map(cloneValue)
+    }
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        return Object.fromEntries(Object.keys(value).map(key => [key, cloneValue(value[key])]))
+    }
+    return value
+}
+
+/**
+ * @param {object} target
+ * @param {string} key - Dotted path
+ * @returns {any}
+ */
+function getPath(target, key) {
+    return String(key).split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), target)
+}
+
+/**
+ * @param {object} target
+ * @param {string} key - Dotted path, missing objects are created
+ * @param {any} value - undefined deletes the property
+ */
+function setPath(target, key, value) {
+    const parts = String(key).split('.')
+    const last = parts.pop()
+    const parent = parts.reduce((object, part) => {
+        if (object[part] === null || typeof object[part] !== 'object') {
+            object[part] = {}
+        }
+        return object[part]
+    }, target)
+    if (value === undefined) {
+        delete parent[last]
+    } else {
+        parent[last] = value
+    }
+}
+
+/**
+ * In-memory context store, with the synchronous and callback signatures of the Node-RED context
+ * @param {object} [initial] - Initial values
+ * @returns {{store: object, values: object}}
+ */
+function createContextStore(initial) {
+    const values = cloneValue(initial || {})
+    const withCallback = (args, result) => {
+        const callback = args.find(arg => typeof arg === 'function')
+        if (callback) {
+            callback(null, ...(Array.isArray(result) ? result : [result]))
+            return undefined
+        }
+        return result
+    }
+
+    const store = {
+        get: (key, ...args) => withCallback(args, Array.isArray(key) ? key.map(k => getPath(values, k)) : getPath(values, key)),
+        set: (key, value, ...args) => {
+            if (Array.isArray(key)) {
+                key.forEach((k, index) => setPath(values, k, Array.isArray(value) ? value[index] : undefined))
+            } else {
+                setPath(values, key, value)
+            }
+            return withCallback(args, [])
+        },
+        keys: (...args) => withCallback(args, [Object.keys(values)])
+    }
+    return { store, values }
+}
+
+/**
+ * Check that a value matches the expected one: objects only need the expected properties,
+ * arrays must have the same length, other values must be equal
+ * @param {any} actual
+ * @param {any} expected
+ * @param {string} location - Path of the value, used in the failure messages
+ * @returns {Array<string>} Differences
+ */
+function compareValues(actual, expected, location) {
+    if (expected !== null && typeof expected === 'object') {
+        if (Array.isArray(expected)) {
+            const values = Buffer.isBuffer(actual) ? [...actual] : actual
+            if (!Array.isArray(values) || values.length !== expected.length) {
+                return [`${location}: expected ${JSON.stringify(expected)}, got ${formatValue(actual)}`]
+            }
+            return expected.flatMap((value, index) => compareValues(values[index], value, `${location}[${index}]`))
+        }
+        if (actual === null || typeof actual !== 'object') {
+            return [`${location}: expected ${JSON.stringify(expected)}, got ${formatValue(actual)}`]
+        }
+        return Object.keys(expected).flatMap(key => compareValues(actual[key], expected[key], `${location}.${key}`))
+    }
+    return util.isDeepStrictEqual(actual, expected) ? [] : [`${location}: expected ${JSON.stringify(expected)}, got ${formatValue(actual)}`]
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    return value === undefined ? 'nothing' : util.inspect(value, { depth: 4, breakLength: Infinity })
+}
+
+/**
+ * Put the messages given to `node.send` (or returned) on their output
+ * @param {Array<Array<object>>} outputs - Messages sent on each output
+ * @param {any} msgs - One message, or one entry per output holding a message, a list of messages or null
+ * @param {string} msgid - Id of the received message
+ * @param {boolean} clone
+ * @param {object} redUtil
+ */
+function collectOutputs(outputs, msgs, msgid, clone, redUtil) {
+    if (msgs === null || msgs === undefined) {
+        return
+    }
+    (Array.isArray(msgs) ? msgs : [msgs]).forEach((portMsgs, port) => {
+        if (portMsgs === null || portMsgs === undefined) {
+            return
+        }
+        (Array.isArray(portMsgs) ? portMsgs : [portMsgs]).forEach((msg) => {
+            if (msg === null || msg === undefined) {
+                return
+            }
+            const sent = clone ? redUtil.cloneMessage(msg) : msg
+            if (typeof sent === 'object' && !sent._msgid) {
+                sent._msgid = msgid
+            }
+            outputs[port] = outputs[port] || []
+            outputs[port].push(sent)
+        })
+    })
+}
+
+/**
+ * Run one test of a fixture in a fresh sandbox: initialize code, messages, then finalize code
+ * @param {object} node - Function node, with its code restored from the extracted files
+ * @param {object} fixture - Content of the fixture file
+ * @param {FunctionTest} test
+ * @param {string} projectPath - Path to the project, modules of `libs` are loaded from there
+ * @param {object} redUtil - `RED.util` of the runtime, or the fallback helpers
+ * @returns {Promise<{outputs: Array<Array<object>>, warnings: Array<string>, errors: Array<string>, logs: Array<string>, status: any, context: object}>}
+ */
+async function runTest(node, fixture, test, projectPath, redUtil) {
+    const outputs = []
+    const warnings = []
+    const errors = []
+    const logs = []
+    let status
+    const timers = new Set()
+    const closeListeners = []
+
+    const stores = {
+        node: createContextStore(fixture.context && fixture.context.node),
+        flow: createContextStore(fixture.context && fixture.context.flow),
+        global: createContextStore(fixture.context && fixture.context.global)
+    }
+    const envValues = fixture.env || {}
+    // Errors thrown by the code are created in the sandbox, \`instanceof Error\` does not recognize them
+    const message = value => (util.types.isNativeError(value) ? value.message : typeof value === 'string' ? value : util.inspect(value))
+
+    const nodeApi = {
+        id: node.id,
+        name: node.name || '',
+        path: node.z ? `${node.z}/${node.id}` : node.id,
+        outputCount: Number(node.outputs) || 0,
+        log: value => logs.push(message(value)),
+        warn: value => warnings.push(message(value)),
+        error: value => errors.push(message(value)),
+        debug: value => logs.push(message(value)),
+        trace: value => logs.push(message(value)),
+        on: (event, listener) => event === 'close' && closeListeners.push(listener),
+        status: (value) => { status = value },
+        send: (send, msgid, msgs, cloneMsg) => send(msgs, msgid, cloneMsg !== false)
+    }
+
+    // Timers still pending when the test ends are cleared
+    const trackTimer = set => (callback, ms, ...args) => {
+        const timer = set(() => {
+            if (set === setTimeout) timers.delete(timer)
+            try {
+                callback(...args)
+            } catch (error) {
+                errors.push(message(error))
+            }
+        }, ms)
+        timers.add(timer)
+        return timer
+    }
+
+    const sandbox = {
+        console,
+        util,
+        Buffer,
+        Date,
+        RED: { util: redUtil },
+        __node__: nodeApi,
+        __send__: (msgs, msgid, clone) => collectOutputs(outputs, msgs, msgid, clone, redUtil),
+        context: Object.assign(stores.node.store, { flow: stores.flow.store, global: stores.global.store }),
+        flow: stores.flow.store,
+        global: stores.global.store,
+        env: { get: name => envValues[name] !== undefined ? envValues[name] : process.env[name] },
+        setTimeout: trackTimer(setTimeout),
+        clearTimeout: (timer) => { timers.delete(timer); clearTimeout(timer) },
+        setInterval: trackTimer(setInterval),
+        clearInterval: (timer) => { timers.delete(timer); clearInterval(timer) },
+        results: null
+    }
+
+    // Modules of the `libs` setting, loaded as the runtime would from the user directory
+    const requireModule = createRequire(path.join(projectPath, 'package.json'))
+    ;(node.libs || []).forEach((lib) => {
+        if (lib && lib.var && lib.module) {
+            sandbox[lib.var] = requireModule(lib.module)
+        }
+    })
+
+    const context = vm.createContext(sandbox)
+    const timeout = Number(node.timeout) > 0 ? Number(node.timeout) * 1000 : DEFAULT_TIMEOUT_MS
+    const nodeDeclaration = send => `var node = {id:__node__.id,name:__node__.name,path:__node__.path,outputCount:__node__.outputCount,log:__node__.log,error:__node__.error,warn:__node__.warn,debug:__node__.debug,trace:__node__.trace,on:__node__.on,status:__node__.status,send:function(msgs,cloneMsg){__node__.send(${send},cloneMsg);},done:__done__};`
+    const run = async (code, filename) => {
+        context.results = null
+        vm.runInContext(`results = ${code}`, context, { filename, timeout })
+        return context.results
+    }
+
+    try {
+        if (node.initialize) {
+            await run(`(async function(__done__){${nodeDeclaration('__send__,RED.util.generateId(),msgs')}\n${node.initialize}\n})(function(){});`, `${node.name || node.id}.initialize.js`)
+        }
+
+        const msgs = test.msgs || (test.msg !== undefined ? [test.msg] : [{}])
+        for (const input of msgs) {
+            const msg = cloneValue(input || {})
+            msg._msgid = msg._msgid || redUtil.generateId()
+            context.msg = msg
+            let doneError = null
+            context.__done__ = (error) => { doneError = error || null }
+            try {
+                const result = await run(`(async function(msg,__done__){var __msgid__=msg._msgid;${nodeDeclaration('__send__,__msgid__,msgs')}\n${node.func || ''}\n})(msg,__done__);`, `${node.name || node.id}.js`)
+                collectOutputs(outputs, result, msg._msgid, false, redUtil)
+            } catch (error) {
+                errors.push(message(error))
+            }
+            if (doneError) {
+                errors.push(message(doneError))
+            }
+        }
+
+        const wait = test.wait !== undefined ? test.wait : fixture.wait
+        if (Number(wait) > 0) {
+            await new Promise(resolve => setTimeout(resolve, Number(wait)))
+        }
+
+        if (node.finalize) {
+            await run(`(async function(__done__){${nodeDeclaration('__send__,RED.util.generateId(),msgs')}\n${node.finalize}\n})(function(){});`, `${node.name || node.id}.finalize.js`)
+        }
+        for (const listener of closeListeners) {
+            await new Promise(resolve => (listener.length >= 2 ? listener(true, resolve) : (listener(true), resolve())))
+        }
+    } finally {
+        timers.forEach((timer) => { clearTimeout(timer); clearInterval(timer) })
+    }
+
+    return {
+        outputs,
+        warnings,
+        errors,
+        logs,
+        status,
+        context: { node: stores.node.values, flow: stores.flow.values, global: stores.global.values }
+    }
+}
+
+/**
+ * Compare the result of a test with its expectations
+ * @param {object} result - See `runTest`
+ * @param {FunctionTest} test
+ * @returns {Array<string>} Failures
+ */
+function checkTest(result, test) {
+    const failures = []
+
+    if (test.outputs !== undefined) {
+        const expected = (Array.isArray(test.outputs) ? test.outputs : [test.outputs])
+            .map(port => (port === null || port === undefined ? [] : Array.isArray(port) ? port : [port]))
+        const portCount = Math.max(expected.length, result.outputs.length)
+        for (let port = 0; port < portCount; port++) {
+            const sent = result.outputs[port] || []
+            const wanted = expected[port] || []
+            if (sent.length !== wanted.length) {
+                failures.push(`output ${port + 1}: expected ${wanted.length} message(s), got ${sent.length}${sent.length > 0 ? `: ${formatValue(sent)}` : ''}`)
+                continue
+            }
+            wanted.forEach((msg, index) => failures.push(...compareValues(sent[index], msg, `output ${port + 1} message ${index + 1}`)))
+        }
+    }
+
+    const expectedErrors = test.errors || []
+    result.errors.filter(error => !expectedErrors.some(expected => error.includes(expected)))
+        .forEach(error => failures.push(`unexpected error: ${error}`))
+    expectedErrors.filter(expected => !result.errors.some(error => error.includes(expected)))
+        .forEach(expected => failures.push(`expected error '${expected}' was not raised`))
+
+    ;(test.warnings || []).filter(expected => !result.warnings.some(warning => warning.includes(expected)))
+        .forEach(expected => failures.push(`expected warning '${expected}' was not logged, got ${formatValue(result.warnings)}`))
+
+    if (test.status !== undefined) {
+        failures.push(...compareValues(result.status, test.status, 'status'))
+    }
+
+    Object.keys(test.context || {}).forEach((scope) => {
+        failures.push(...compareValues(result.context[scope], test.context[scope], `${scope} context`))
+    })
+
+    return failures
+}
+
+/**
+ * Run the fixtures of the extracted function nodes
+ * @param {Array<object>} nodes - Flow nodes, with the code restored from the extracted files
+ * @param {Array<{flowType: string, flowName: string, nodes: Array<object>}>} extracted - Extracted files of each tab and subflow
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {object} RED - Node-RED runtime
+ * @param {object} [options]
+ * @param {string} [options.filter] - Only run the fixtures of the nodes whose `<tab or subflow>/<node name>` contains this text
+ * @returns {Promise<Array<FixtureResult>>}
+ */
+async function runFunctionTests(nodes, extracted, cfg, projectPath, RED, options = {}) {
+    const nodesById = new Map(nodes.map(n => [n.id, n]))
+    const redUtil = RED.util && typeof RED.util.cloneMessage === 'function' ? RED.util : FALLBACK_RED_UTIL
+    const results = []
+
+    for (const flow of extracted) {
+        const flowDir = path.join(projectPath, cfg.destinationFolder || 'src', `${flow.flowType}s`, flow.flowName)
+
+        for (const entry of flow.nodes) {
+            const name = `${flow.flowName}/${entry.name || entry.nodeId}`
+            if (!entry.testFile || !fs.existsSync(path.join(flowDir, entry.testFile))) {
+                continue
+            }
+            if (options.filter && !name.includes(options.filter)) {
+                continue
+            }
+
+            const file = path.relative(projectPath, path.join(flowDir, entry.testFile))
+            const fixtureResult = { file, nodeId: entry.nodeId, name, tests: [] }
+            results.push(fixtureResult)
+
+            const node = nodesById.get(entry.nodeId)
+            if (!node || node.type !== 'function') {
+                fixtureResult.error = 'Only function nodes can be tested'
+                continue
+            }
+
+            let fixture
+            try {
+                fixture = yaml.load(fs.readFileSync(path.join(flowDir, entry.testFile), 'utf8')) || {}
+                if (!Array.isArray(fixture.tests)) {
+                    throw new Error("'tests' must be a list")
+                }
+            } catch (error) {
+                fixtureResult.error = `Cannot read the fixture: ${error.message}`
+                continue
+            }
+
+            for (const [index, test] of fixture.tests.entries()) {
+                const testName = (test && test.name) || `test ${index + 1}`
+                let failures
+                try {
+                    failures = checkTest(await runTest(node, fixture, test || {}, projectPath, redUtil), test || {})
+                } catch (error) {
+                    failures = [error.message]
+                }
+                fixtureResult.tests.push({ name: testName, passed: failures.length === 0, failures })
+            }
+        }
+    }
+
+    return results
+}
+
+/**
+ * Count the passed and failed tests
+ * @param {Array<FixtureResult>} results
+ * @returns {{passed: number, failed: number}} Fixtures that could not be run count as one failed test
+ */
+function summarizeTestResults(results) {
+    return results.reduce((summary, fixture) => {
+        if (fixture.error) {
+            summary.failed++
+        }
+        fixture.tests.forEach(test => (test.passed ? summary.passed++ : summary.failed++))
+        return summary
+    }, { passed: 0, failed: 0 })
+}
+
+module.exports = {
+    runFunctionTests,
+    summarizeTestResults
+}
@@ -1,135 +1,968 @@
 const path = require('path')
+const crypto = require('crypto')
 const fs = require('fs-extra')
+const yaml = require('js-yaml')
+const { validateCode } = require('./code-validator')
+const { replaceDirectory, listFilesRecursive, hasSameFiles } = require('./safe-fs')
+const { bundleLocalRequires, unbundleLocalRequires } = require('./local-modules')
+const { getTypeScriptFile, transpileTypeScript } = require('./typescript-sources')
 
 /**
  * Functions and Templates nodes Handler
- * Extracts function and ui-template node code into separate files
+ * Extracts the code of function, template and other code holding nodes into separate files
  * and restores them back when rebuilding flows
  */
 
+/**
+ * An extractor describes which properties of a node type are extracted into files.
+ *
+ * @typedef {object} ExtractorField
+ * @property {string} property - Path of the node property, e.g. `func` or `rules.0.to`
+ * @property {string} [suffix] - Added between the node file name and the extension, e.g. `initialize`
+ * @property {string} extension - File extension without the leading dot
+ * @property {'text'|'json'} [encoding] - `json` values are stringified on extraction and parsed on restore
+ * @property {'function-body'|'function-initialize'|'function-finalize'|'vue'} [validate] - Syntax check before restore
+ * @property {Array<NodeSetting>} [header] - Node settings written in a header comment at the top of the file
+ * @property {boolean} [bundle] - Local `require('./...')` lines are replaced by the modules on restore (see local-modules.js)
+ * @property {boolean} [typescript] - Restored from the `.ts` file next to the extracted file when there is one (see typescript-sources.js)
+ *
+ * @typedef {object} NodeSetting
+ * @property {string} property - Top-level node property
+ * @property {function(any): any} [format] - Convert the node value for the header, defaults to the value itself
+ * @property {function(any): any} parse - Convert the header value for the node, throws an Error on invalid values
+ *
+ * @typedef {object} Extractor
+ * @property {string} name - Unique name, recorded in the manifest
+ * @property {Array<string>} types - Node types handled by this extractor
+ * @property {string} [defaultName] - Base file name for unnamed nodes
+ * @property {Array<ExtractorField> | function(object): Array<ExtractorField>} fields - Extracted properties
+ * @property {function(object, ExtractorField, any): void} [restore] - Custom restore rule, defaults to assigning the property
+ */
+
+/**
+ * Extensions of the core template node formats
+ */
+const TEMPLATE_FORMAT_EXTENSIONS = {
+    handlebars: 'mustache',
+    html: 'html',
+    json: 'json',
+    javascript: 'js',
+    css: 'css',
+    markdown: 'md',
+    python: 'py',
+    sql: 'sql',
+    yaml: 'yaml',
+    text: 'txt'
+}
+
+/**
+ * Field holding the node documentation, extracted for every node type
+ * @type {ExtractorField}
+ */
+const INFO_FIELD = { property: 'info', suffix: 'info', extension: 'md' }
+
+/**
+ * Suffix of the unit test fixtures written by the user next to the extracted code of a node
+ */
+const TEST_FIXTURE_SUFFIX = '.test.yaml'
+
+/**
+ * First line of the header comment holding the node settings
+ */
+const SETTINGS_HEADER_START = '/* @node-red-settings'
+const SETTINGS_HEADER = /^\/\* @node-red-settings\r?\n((?:[\s\S]*?\r?\n)?)\*\/[ \t]*(?:\r?\n|$)/
+
+/**
+ * The editor saves edited numbers as strings, e.g. `timeout: '5'`: they are checked as numbers and kept as they are
+ * @param {any} value
+ * @returns {number} - NaN when the value is not a number
+ */
+function toNumber(value) {
+    if (typeof value === 'string' && value.trim() !== '') {
+        return Number(value)
+    }
+    return typeof value === 'number' ? value : NaN
+}
+
+/**
+ * @param {string} name
+ * @returns {function(any): number|string}
+ */
+const parseCount = name => (value) => {
+    // A field cleared in the editor is saved as an empty string
+    if (value === '') {
+        return value
+    }
+    if (!Number.isInteger(toNumber(value)) || toNumber(value) < 0) {
+        throw new Error(`'${name}' must be a positive integer, got ${JSON.stringify(value)}`)
+    }
+    return value
+}
+
+/**
+ * Settings of the function node that can be edited in the header of its main code file
+ * @type {Array<NodeSetting>}
+ */
+const FUNCTION_SETTINGS = [
+    { property: 'outputs', parse: parseCount('outputs') },
+    {
+        property: 'timeout',
+        parse: (value) => {
+            if (value !== '' && !(toNumber(value) >= 0)) {
+                throw new Error(`'timeout' must be a positive number of seconds, got ${JSON.stringify(value)}`)
+            }
+            return value
+        }
+    },
+    { property: 'noerr', parse: parseCount('noerr') },
+    {
+        // Written as a map of variable name to module name
+        property: 'libs',
+        format: libs => Object.fromEntries((libs || []).map(lib => [lib.var, lib.module])),
+        parse: (value) => {
+            if (value == null) {
+                return []
+            }
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error("'libs' must map variable names to module names, e.g. 'dayjs: dayjs'")
+            }
+            return Object.keys(value).map((name) => {
+                if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+                    throw new Error(`'libs' variable name '${name}' is not a valid JavaScript identifier`)
+                }
+                if (typeof value[name] !== 'string' || value[name].trim() === '') {
+                    throw new Error(`'libs' module name of '${name}' must not be empty`)
+                }
+                return { var: name, module: value[name].trim() }
+            })
+        }
+    }
+]
+
+/**
+ * Built-in extractors
+ * @type {Array<Extractor>}
+ */
+const BUILTIN_EXTRACTORS = [
+    {
+        name: 'function',
+        types: ['function'],
+        defaultName: 'unnamed-function',
+        fields: [
+            { property: 'func', extension: 'js', validate: 'function-body', header: FUNCTION_SETTINGS, bundle: true, typescript: true },
+            { property: 'initialize', suffix: 'initialize', extension: 'js', validate: 'function-initialize', bundle: true, typescript: true },
+            { property: 'finalize', suffix: 'finalize', extension: 'js', validate: 'function-finalize', bundle: true, typescript: true }
+        ]
+    },
+    {
+        // Dashboard 2.0
+        name: 'ui-template',
+        types: ['ui-template'],
+        defaultName: 'unnamed-template',
+        fields: (node) => [
+            /style$/.test(node.templateScope || '')
+                ? { property: 'format', extension: 'css' }
+                : { property: 'format', extension: 'vue', validate: 'vue' }
+        ],
+        restore: (node, field, value) => {
+            node.format = value
+            node.func = value
+        }
+    },
+    {
+        // Dashboard 1
+        name: 'ui_template',
+        types: ['ui_template'],
+        defaultName: 'unnamed-template',
+        fields: [
+            { property: 'format', extension: 'html' }
+        ]
+    },
+    {
+        name: 'template',
+        types: ['template'],
+        defaultName: 'unnamed-template',
+        fields: (node) => [
+            { property: 'template', extension: TEMPLATE_FORMAT_EXTENSIONS[node.format] || 'txt' }
+        ]
+    },
+    {
+        name: 'change',
+        types: ['change'],
+        defaultName: 'unnamed-change',
+        fields: (node) => (Array.isArray(node.rules) ? node.rules : [])
+            .map((rule, index) => rule && rule.tot === 'jsonata'
+                ? { property: `rules.${index}.to`, suffix: `rule${index + 1}`, extension: 'jsonata' }
+                : null)
+            .filter(field => field !== null)
+    },
+    {
+        name: 'switch',
+        types: ['switch'],
+        defaultName: 'unnamed-switch',
+        fields: (node) => {
+            const fields = []
+            if (node.propertyType === 'jsonata') {
+                fields.push({ property: 'property', suffix: 'property', extension: 'jsonata' })
+            }
+            (Array.isArray(node.rules) ? node.rules : []).forEach((rule, index) => {
+                if (rule && rule.vt === 'jsonata') {
+                    fields.push({ property: `rules.${index}.v`, suffix: `rule${index + 1}`, extension: 'jsonata' })
+                }
+            })
+            return fields
+        }
+    },
+    {
+        // node-red-node-sqlite
+        name: 'sqlite',
+        types: ['sqlite'],
+        defaultName: 'unnamed-query',
+        fields: [
+            { property: 'sql', extension: 'sql' }
+        ]
+    },
+    {
+        // node-red-contrib-postgresql, node-red-contrib-mssql-plus
+        name: 'sql-query',
+        types: ['postgresql', 'MSSQL'],
+        defaultName: 'unnamed-query',
+        fields: [
+            { property: 'query', extension: 'sql' }
+        ]
+    }
+]
+
+/**
+ * Build the registry mapping node types to their extractor.
+ * Extractors defined in the splitter config (`extractors`) take precedence over the built-in ones.
+ * @param {Array<object>} [customExtractors] - Extractors from the splitter config
+ * @param {object} [RED] - Node-RED runtime
+ * @returns {Map<string, Extractor>} Registry keyed by node type
+ */
+function createExtractorRegistry(customExtractors, RED) {
+    const registry = new Map()
+
+    BUILTIN_EXTRACTORS.forEach((extractor) => {
+        extractor.types.forEach(type => registry.set(type, extractor))
+    })
+
+    if (!Array.isArray(customExtractors)) {
+        return registry
+    }
+
+    customExtractors.forEach((custom, index) => {
+        const types = Array.isArray(custom.types) ? custom.types : [custom.type]
+        const fields = Array.isArray(custom.fields) ? custom.fields : []
+
+        const invalid = types.length === 0 || types.some(t => typeof t !== 'string' || t.length === 0) ||
+            fields.length === 0 || fields.some(f => typeof f.property !== 'string' || typeof f.extension !== 'string')
+
+        if (invalid) {
+            RED?.log.warn(`[node-red-contrib-flow-splitter] Ignoring invalid extractor #${index + 1} in config: 'types' and 'fields' (with 'property' and 'extension') are required`)
+            return
+        }
+
+        const extractor = {
+            name: custom.name || types.join('+'),
+            types,
+            defaultName: custom.defaultName || `unnamed-${types[0]}`,
+            fields: fields.map(f => ({
+                property: f.property,
+                suffix: f.suffix,
+                extension: f.extension.replace(/^\./, ''),
+                encoding: f.encoding === 'json' ? 'json' : 'text'
+            }))
+        }
+        types.forEach(type => registry.set(type, extractor))
+    })
+
+    return registry
+}
+
+/**
+ * Find an extractor by the name recorded in the manifest
+ * @param {Map<string, Extractor>} registry
+ * @param {string} name
+ * @returns {Extractor | undefined}
+ */
+function findExtractorByName(registry, name) {
+    for (const extractor of registry.values()) {
+        if (extractor.name === name) {
+            return extractor
+        }
+    }
+    return undefined
+}
+
+/**
+ * Get the fields to extract for a node, including its documentation
+ * @param {Extractor} extractor
+ * @param {object} node
+ * @returns {Array<ExtractorField>}
+ */
+function getExtractorFields(extractor, node) {
+    const fields = typeof extractor.fields === 'function' ? extractor.fields(node) : extractor.fields
+    return [...fields, INFO_FIELD]
+}
+
+/**
+ * Get the top-level properties of a node that are extracted into files
+ * @param {object} node
+ * @param {Map<string, Extractor>} [registry] - Extractor registry, defaults to the built-in extractors
+ * @returns {Array<string>}
+ */
+function getExtractedProperties(node, registry = createExtractorRegistry()) {
+    const extractor = registry.get(node.type)
+    if (!extractor) {
+        return []
+    }
+    return [...new Set(getExtractorFields(extractor, node).map(field => field.property.split('.')[0]))]
+}
+
+/**
+ * Read a node property from a dotted path
+ * @param {object} node
+ * @param {string} propertyPath - e.g. `rules.0.to`
+ * @returns {any}
+ */
+function getProperty(node, propertyPath) {
+    return propertyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), node)
+}
+
+/**
+ * Write a node property from a dotted path, creating intermediate objects when needed
+ * @param {object} node
+ * @param {string} propertyPath - e.g. `rules.0.to`
+ * @param {any} value
+ */
+function setProperty(node, propertyPath, value) {
+    const keys = propertyPath.split('.')
+    const last = keys.pop()
+    let target = node
+    keys.forEach((key) => {
+        if (target[key] == null || typeof target[key] !== 'object') {
+            target[key] = {}
+        }
+        target = target[key]
+    })
+    target[last] = value
+}
+
+/**
+ * Serialize a node property value into file content
+ * @param {ExtractorField} field
+ * @param {any} value
+ * @param {object} [node] - Node holding the settings of the field header
+ * @returns {string | undefined} - undefined when there is nothing to extract
+ */
+function encodeFieldValue(field, value, node) {
+    if (value == null) return undefined
+    let content = field.encoding === 'json' ? JSON.stringify(value, null, 2) : value
+    if (typeof content !== 'string' || content.trim().length === 0) return undefined
+    if (field.bundle) {
+        content = unbundleLocalRequires(content)
+    }
+    return field.header && node ? `${formatSettingsHeader(field.header, node)}${content}` : content
+}
+
+/**
+ * Write the settings of a node as a YAML header comment
+ * @param {Array<NodeSetting>} settings
+ * @param {object} node
+ * @returns {string} - Empty when the node has none of the settings
+ */
+function formatSettingsHeader(settings, node) {
+    const values = {}
+    settings.forEach((setting) => {
+        if (node[setting.property] !== undefined) {
+            values[setting.property] = setting.format ? setting.format(node[setting.property]) : node[setting.property]
+        }
+    })
+    if (Object.keys(values).length === 0) {
+        return ''
+    }
+    return `${SETTINGS_HEADER_START}\n${yaml.dump(values, { lineWidth: -1, noRefs: true, sortKeys: false })}*/\n`
+}
+
+/**
+ * Count the lines of the settings header comment, which are not part of the code restored into the node
+ * @param {string} content - File content
+ * @returns {number} - 0 when the file has no header
+ */
+function countSettingsHeaderLines(content) {
+    const match = SETTINGS_HEADER.exec(content)
+    return match ? match[0].split(/\r?\n/).length - 1 : 0
+}
+
+/**
+ * Split file content into the settings of its header comment and the code below it
+ * @param {Array<NodeSetting>} settings
+ * @param {string} content
+ * @returns {{values: object, content: string}} - Node values of the settings found in the header, and the content without the header
+ * @throws {Error} With the `line` of the file when the header is invalid
+ */
+function readSettingsHeader(settings, content) {
+    const match = SETTINGS_HEADER.exec(content)
+    if (!match) {
+        return { values: {}, content }
+    }
+
+    const fail = (message, line = 1) => {
+        const error = new Error(`Invalid settings header: ${message}`)
+        error.line = line
+        return error
+    }
+
+    let header
+    try {
+        header = yaml.load(match[1]) || {}
+    } catch (error) {
+        // The YAML starts on the second line of the file
+        throw fail(error.reason || error.message, error.mark ? error.mark.line + 2 : 1)
+    }
+    if (typeof header !== 'object' || Array.isArray(header)) {
+        throw fail('expected one "setting: value" per line')
+    }
+
+    const values = {}
+    Object.keys(header).forEach((property) => {
+        const setting = settings.find(s => s.property === property)
+        if (!setting) {
+            throw fail(`unknown setting '${property}', expected ${settings.map(s => s.property).join(', ')}`)
+        }
+        try {
+            values[property] = setting.parse(header[property])
+        } catch (error) {
+            const line = match[1].split(/\r?\n/).findIndex(l => l.startsWith(`${property}:`))
+            throw fail(error.message, line >= 0 ? line + 2 : 1)
+        }
+    })
+
+    return { values, content: content.slice(match[0].length) }
+}
+
+/**
+ * Parse file content back into a node property value
+ * @param {ExtractorField} field
+ * @param {string} content
+ * @returns {any}
+ */
+function decodeFieldValue(field, content) {
+    return field.encoding === 'json' ? JSON.parse(content) : content
+}
+
+/**
+ * Build the file name of an extracted field
+ * @param {string} baseName - File name of the node
+ * @param {ExtractorField} field
+ * @returns {string}
+ */
+function getFieldFileName(baseName, field) {
+    return field.suffix ? `${baseName}.${field.suffix}.${field.extension}` : `${baseName}.${field.extension}`
+}
+
+/**
+ * Replace the characters not allowed in file names
+ * @param {string} name
+ * @returns {string}
+ */
+function sanitizeFileName(name) {
+    return String(name).replace(/[\/\\:*?"<>|]/g, '-')
+}
+
+/**
+ * Short form of a node id, used to tell apart nodes with the same name
+ * @param {string} id
+ * @returns {string}
+ */
+function getShortId(id) {
+    return String(id).replace(/[^A-Za-z0-9]/g, '').slice(0, 8)
+}
+
+/**
+ * Folder of a node inside the extracted directory, following its groups from the outermost one
+ * @param {object} node
+ * @param {Map<string, object>} groupsById - Group nodes of the tab or subflow
+ * @returns {string} - Relative path with `/` separators, empty when the node is not in a group
+ */
+function getGroupPath(node, groupsById) {
+    const names = []
+    const seen = new Set()
+    let groupId = node.g
+    while (groupId && groupsById.has(groupId) && !seen.has(groupId)) {
+        seen.add(groupId)
+        const group = groupsById.get(groupId)
+        // Leading dots would make hidden folders, ignored by the watcher
+        names.unshift(sanitizeFileName(group.name || `group-${getShortId(group.id)}`).replace(/^\.+/, '_'))
+        groupId = group.g
+    }
+    return names.join('/')
+}
+
+/**
+ * Base file names a node can use, in order of preference
+ * @param {object} entry - Node to extract, with its `sanitizedName`
+ * @param {'name'|'name-id'|'id'} naming - Naming strategy
+ * @returns {Array<string>}
+ */
+function getFileNameCandidates(entry, naming) {
+    const id = sanitizeFileName(entry.node.id)
+    if (naming === 'id') {
+        return [id]
+    }
+    const withShortId = `${entry.sanitizedName}-${getShortId(entry.node.id)}`
+    // Unnamed nodes would all get the default name of their type
+    if (naming === 'name-id' || entry.unnamed) {
+        return [withShortId, `${entry.sanitizedName}-${id}`]
+    }
+    return [entry.sanitizedName, withShortId, `${entry.sanitizedName}-${id}`]
+}
+
+/**
+ * Set the base file name (`fileName`) of each node to extract.
+ * A node keeps the file name of the previous extraction as long as its name and the naming strategy are the same,
+ * whatever the order of the nodes and the group it is in; the other nodes get the first free name of their candidates
+ * in their folder. Names are compared without case, as on Windows and macOS file systems.
+ * @param {Array<object>} entries - Nodes to extract
+ * @param {object} previousManifest - Manifest of the previous extraction
+ * @param {'name'|'name-id'|'id'} naming - Naming strategy
+ */
+function assignFileNames(entries, previousManifest, naming) {
+    const takenFiles = new Set(['.manifest.json'])
+    const getFiles = (entry, baseName) => entry.contents.map(({ field }) => path.posix.join(entry.dir, getFieldFileName(baseName, field)).toLowerCase())
+    const isFree = (entry, baseName) => getFiles(entry, baseName).every(f => !takenFiles.has(f))
+    const take = (entry, baseName) => {
+        entry.fileName = baseName
+        getFiles(entry, baseName).forEach(f => takenFiles.add(f))
+    }
+
+    entries.forEach((entry) => {
+        const previous = previousManifest[entry.node.id] && upgradeLegacyManifestItem(previousManifest[entry.node.id])
+        if (previous && previous.fileName && previous.sanitizedName === entry.sanitizedName &&
+            (previous.naming || 'name') === naming && isFree(entry, previous.fileName)) {
+            take(entry, previous.fileName)
+        }
+    })
+
+    entries.filter(entry => !entry.fileName).forEach((entry) => {
+        const candidates = getFileNameCandidates(entry, naming)
+        let fileName = candidates.find(candidate => isFree(entry, candidate))
+        for (let index = 2; !fileName; index++) {
+            if (isFree(entry, `${candidates[0]}(${index})`)) {
+                fileName = `${candidates[0]}(${index})`
+            }
+        }
+        take(entry, fileName)
+    })
+}
+
+/**
+ * Convert a manifest entry written before extractors existed (isVue/isFun flags)
+ * @param {object} item - Manifest entry
+ * @returns {object} Manifest entry with `extractor` and `files`
+ */
+function upgradeLegacyManifestItem(item) {
+    if (item.files) {
+        return item
+    }
+    const files = {}
+    if (item.hasCode) files[item.isVue ? 'format' : 'func'] = `${item.fileName}.${item.isVue ? 'vue' : 'js'}`
+    if (item.hasInitialize) files.initialize = `${item.fileName}.initialize.js`
+    if (item.hasFinalize) files.finalize = `${item.fileName}.finalize.js`
+    if (item.hasInfo) files.info = `${item.fileName}.info.md`
+    return {
+        nodeId: item.nodeId,
+        name: item.name,
+        sanitizedName: item.sanitizedName,
+        fileName: item.fileName,
+        extractor: item.isVue ? 'ui-template' : 'function',
+        files
+    }
+}
+
+/**
+ * Get the path of the unit test fixture of an extracted node, relative to the extracted directory
+ * @param {{dir?: string, fileName: string}} item - Manifest entry
+ * @returns {string}
+ */
+function getTestFixtureFile(item) {
+    return path.posix.join(item.dir || '', `${item.fileName}${TEST_FIXTURE_SUFFIX}`)
+}
+
+/**
+ * Find the TypeScript sources written by the user next to the extracted files of a node
+ * @param {object} item - Manifest entry
+ * @param {Array<ExtractorField>} fields - Fields of the node
+ * @param {string} extractedDir - Directory holding the extracted files of the tab or subflow
+ * @returns {Object<string, string>} - Paths relative to the extracted directory, by node property
+ */
+function findTypeScriptSources(item, fields, extractedDir) {
+    const sources = {}
+    fields.filter(field => field.typescript).forEach((field) => {
+        // Also for properties the node has no code in yet
+        const extractedFile = item.files[field.property] || (item.fileName && path.posix.join(item.dir || '', getFieldFileName(item.fileName, field)))
+        const fileName = extractedFile && getTypeScriptFile(extractedFile)
+        if (fileName && fs.existsSync(path.join(extractedDir, fileName))) {
+            sources[field.property] = fileName
+        }
+    })
+    return sources
+}
+
+/**
+ * Transpile the content of a TypeScript source, without its settings header
+ * @param {ExtractorField} field
+ * @param {string} content - Content of the `.ts` file
+ * @param {string} file - Path of the `.ts` file
+ * @returns {{code: string, errors: Array<import('./code-validator').CodeError>}} - Errors with the lines of the file
+ * @throws {Error} When TypeScript is not installed in the project
+ */
+function transpileFieldSource(field, content, file) {
+    const headerLines = field.header ? countSettingsHeaderLines(content) : 0
+    return transpileTypeScript(headerLines > 0 ? content.replace(SETTINGS_HEADER, '') : content, file, headerLines)
+}
+
+/**
+ * Hash of an extracted file content, stored in the manifest to detect edits made on disk
+ * @param {string} content
+ * @returns {string}
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * Read the manifest of an extracted directory
+ * @param {string} extractedDir - Directory holding the extracted files of a tab or subflow
+ * @param {string} flowName - Name of the tab or subflow
+ * @param {object} RED - Node-RED runtime
+ * @returns {object | null} - null when there is no readable manifest
+ */
+function readManifest(extractedDir, flowName, RED) {
+    const manifestFile = path.join(extractedDir, '.manifest.json')
+
+    if (!fs.existsSync(manifestFile)) {
+        return null
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(manifestFile, 'utf8'))
+    } catch (error) {
+        RED.log.warn(`[node-red-contrib-flow-splitter] Could not read manifest for "${flowName}": ${error.message}`)
+        return null
+    }
+}
+
+/**
+ * Collect the extracted files edited on disk since they were last extracted,
+ * i.e. whose content no longer matches the hash recorded in the manifest
+ * @param {string} extractedDir - Directory holding the extracted files of a tab or subflow
+ * @param {object | null} manifest - Manifest of the last extraction
+ * @returns {Map<string, {nodeId: string, property: string, fileName: string, content: string}>} - Keyed by `nodeId/property`
+ */
+function collectEditedFiles(extractedDir, manifest) {
+    const edited = new Map()
+
+    Object.keys(manifest || {}).forEach((nodeId) => {
+        const item = manifest[nodeId]
+        // Manifests written before hashes were recorded cannot tell edited files apart
+        if (!item.files || !item.hashes) {
+            return
+        }
+
+        Object.keys(item.files).forEach((property) => {
+            const fileName = item.files[property]
+            const file = path.join(extractedDir, fileName)
+            if (!item.hashes[property] || !fs.existsSync(file)) {
+                return
+            }
+            const content = fs.readFileSync(file, 'utf8')
+            if (hashContent(content) !== item.hashes[property]) {
+                edited.set(`${nodeId}/${property}`, { nodeId, property, fileName, content })
+            }
+        })
+    })
+
+    return edited
+}
+
+/**
+ * Tell whether the code of a node property differs from its TypeScript source, e.g. after an edit in the editor
+ * @param {object} node
+ * @param {ExtractorField} field
+ * @param {string} source - Content of the `.ts` file
+ * @param {string} file - Path of the `.ts` file
+ * @returns {boolean} - false when the source cannot be transpiled
+ */
+function isEditedOutsideTypeScript(node, field, source, file) {
+    let result
+    try {
+        result = transpileFieldSource(field, source, file)
+    } catch (error) {
+        return false
+    }
+    const value = getProperty(node, field.property)
+    return result.errors.length === 0 && result.code !== unbundleLocalRequires(typeof value === 'string' ? value : '')
+}
+
+/**
+ * @typedef {object} ExtractConflict
+ * @property {string} nodeId
+ * @property {string} property - Node property the file holds
+ * @property {string} file - Extracted file that was edited on disk
+ * @property {string} conflictFile - File holding the version that was not written to the extracted file
+ */
+
 /**
  * Extract functions and templates from flow nodes into separate files
+ *
+ * Files edited on disk since the last extraction (not reloaded yet) whose content also differs from the node
+ * are conflicts: with `onConflict: 'copy'` the node content is written and the disk edit is kept as `<file>.conflict`,
+ * with `onConflict: 'keep'` the disk edit is kept and the node content is written as `<file>.conflict`.
+ *
+ * TypeScript sources are never written from the node: they follow its files when they are renamed or moved, and the
+ * properties whose code no longer matches their source are recorded in the manifest (`editedOutsideTypeScript`).
+ *
  * @param {Array} flowNodes - Array of nodes from a tab or subflow
  * @param {string} flowName - Name of the tab or subflow
  * @param {string} flowDir - Directory where the flow file is stored
  * @param {object} RED - Node-RED runtime
+ * @param {Map<string, Extractor>} [registry] - Extractor registry, defaults to the built-in extractors
+ * @param {object} [options]
+ * @param {'copy'|'keep'} [options.onConflict] - How to handle files edited on disk, defaults to `copy`
+ * @param {boolean} [options.groupDirectories] - Put the files of nodes in groups into folders named after the groups
+ * @param {'name'|'name-id'|'id'} [options.fileNaming] - Base file names of the nodes: their name, name and short id, or id.
+ * Defaults to `name`, with the short id added for unnamed nodes and nodes with the same name
+ * @param {function(string): void} [options.beforeChange] - Called with the extracted directory before it is replaced or removed
+ * @param {function(object): boolean} [options.isIgnoredNode] - Nodes left out of the extraction (see flow-filters.js), their code stays in the flow file
+ * @returns {Array<ExtractConflict>} - Conflicting files
  */
-function extractFunctionsAndTemplates(flowNodes, flowName, flowDir, RED) {
-    if (!flowNodes || flowNodes.length === 0) return
+function extractFunctionsAndTemplates(flowNodes, flowName, flowDir, RED, registry = createExtractorRegistry(), options = {}) {
+    if (!flowNodes || flowNodes.length === 0) return []
 
     const extractedDir = path.join(flowDir, flowName)
-    
-    // Delete entire extracted directory to ensure fresh state
-    if (fs.existsSync(extractedDir)) {
-        fs.removeSync(extractedDir)
-    }
-    
-    const manifest = {}
-    const fileNames = []
-    let count = 0
+    const keepDiskEdits = options.onConflict === 'keep'
+
+    const naming = options.fileNaming || 'name'
+    const previousManifest = readManifest(extractedDir, flowName, RED) || {}
+
+    // Edits made in the IDE and not reloaded yet must survive the fresh extraction below
+    const editedFiles = collectEditedFiles(extractedDir, previousManifest)
+    const conflicts = []
+
+    // Conflict copies of previous extractions are kept until they are deleted by the user
+    const previousConflictFiles = listFilesRecursive(extractedDir)
+        .filter(f => f.endsWith('.conflict'))
+        .map(f => ({ fileName: f, content: fs.readFileSync(path.join(extractedDir, f), 'utf8') }))
+
+    // Extract into a fresh staging directory, which replaces the extracted directory once complete
+    const stagingDir = path.join(flowDir, `.${flowName}.extracting`)
+    fs.removeSync(stagingDir)
 
+    previousConflictFiles.forEach(({ fileName, content }) => {
+        fs.outputFileSync(path.join(stagingDir, fileName), content, 'utf8')
+    })
+
+    // Test fixtures are not extracted from the node, they follow its files when they are renamed or moved
+    const previousFixtures = new Map()
+    Object.keys(previousManifest).forEach((id) => {
+        const item = upgradeLegacyManifestItem(previousManifest[id])
+        const fileName = item.fileName ? getTestFixtureFile(item) : null
+        if (fileName && fs.existsSync(path.join(extractedDir, fileName))) {
+            previousFixtures.set(id, { fileName, content: fs.readFileSync(path.join(extractedDir, fileName), 'utf8') })
+        }
+    })
+    // Fixtures of nodes deleted before the last extraction are kept until they are deleted by the user
+    const claimedFixtures = new Set([...previousFixtures.values()].map(fixture => fixture.fileName))
+    listFilesRecursive(extractedDir)
+        .map(f => f.split(path.sep).join('/'))
+        .filter(f => f.endsWith(TEST_FIXTURE_SUFFIX) && !claimedFixtures.has(f))
+        .forEach((fileName) => {
+            fs.outputFileSync(path.join(stagingDir, fileName), fs.readFileSync(path.join(extractedDir, fileName), 'utf8'), 'utf8')
+        })
+
+    // TypeScript sources moved with their node, the others stay where they are
+    const claimedTypeScriptSources = new Set()
+
+    const groupsById = new Map(options.groupDirectories
+        ? flowNodes.filter(n => n && n.type === 'group').map(n => [n.id, n])
+        : [])
+
+    // Collect the nodes to extract with their non-empty contents
+    const entries = []
     flowNodes.forEach((node) => {
-        const id = node.id
-        const type = node.type
+        const extractor = registry.get(node.type)
 
-        let name
+        if (!extractor || (options.isIgnoredNode && options.isIgnoredNode(node))) {
+            return
+        }
 
-        if (type === 'function') {
-            name = node.name || 'unnamed-function'
-        } else if (type === 'ui-template') {
-            name = node.name || 'unnamed-template'
-        } else {
+        const contents = getExtractorFields(extractor, node)
+            .map(field => ({ field, content: encodeFieldValue(field, getProperty(node, field.property), node) }))
+            .filter(({ content }) => content !== undefined)
+
+        // Nodes with only documentation are left in the flow file
+        if (!contents.some(({ field }) => field !== INFO_FIELD)) {
             return
         }
 
-        const sanitizedName = name.replace(/[\/\\:*?"<>|]/g, '-')
-        fileNames.push(sanitizedName)
-        const nameCount = fileNames.filter((n) => n === sanitizedName).length
+        const name = node.name || extractor.defaultName || `unnamed-${node.type}`
+        entries.push({
+            node,
+            extractor,
+            contents,
+            name,
+            sanitizedName: sanitizeFileName(name),
+            unnamed: !node.name,
+            dir: getGroupPath(node, groupsById)
+        })
+    })
 
-        let fileName
-        if (nameCount > 1) {
-            fileName = `${sanitizedName}(${nameCount})`
-        } else {
-            fileName = sanitizedName
-        }
-
-        // Detect if it's a Vue template or a function
-        const hasTemplate = node.format?.trim().indexOf('<template>') !== -1 ?? false
-        const hasScript = node.format?.trim().indexOf('<script>') !== -1 ?? false
-        const isVue = (typeof node.format === 'string' && (hasTemplate || hasScript))
-        const isFun = (
-            (typeof node.func === 'string' && node.func.trim().length > 0) ||
-            (typeof node.initialize === 'string' && node.initialize.trim().length > 0) ||
-            (typeof node.finalize === 'string' && node.finalize.trim().length > 0)
-        ) && isVue === false
-
-        let code = isVue ? node.format : node.func
-        let initialize = isFun ? node.initialize : undefined
-        let finalize = isFun ? node.finalize : undefined
-        let info = node.info ?? undefined
-
-        // Clean up empty values
-        if ((code ?? '').trim().length === 0) code = undefined
-        if ((initialize ?? '').trim().length === 0) initialize = undefined
-        if ((finalize ?? '').trim().length === 0) finalize = undefined
-        if ((info ?? '').trim().length === 0) info = undefined
-
-        if (isVue || isFun) {
-            // Ensure output directory exists
-            if (!fs.existsSync(extractedDir)) {
-                fs.mkdirSync(extractedDir, { recursive: true })
+    assignFileNames(entries, previousManifest, naming)
+
+    const manifest = {}
+    let count = 0
+
+    entries.forEach(({ node, extractor, contents, name, sanitizedName, fileName, dir }) => {
+        const id = node.id
+
+        const previous = previousManifest[id]
+        if (previous && previous.fileName) {
+            const previousPath = path.posix.join(previous.dir || '', previous.fileName)
+            if (previousPath !== path.posix.join(dir, fileName)) {
+                RED.log.info(`[node-red-contrib-flow-splitter] Renamed "${previousPath}" to "${path.posix.join(dir, fileName)}" in "${flowName}"`)
             }
+        }
 
-            count++
+        // Ensure output directory exists
+        if (!fs.existsSync(stagingDir)) {
+            fs.mkdirSync(stagingDir, { recursive: true })
+        }
 
-            const baseName = fileName
-            const codeName = `${baseName}.${isVue ? 'vue' : 'js'}`
-            const initializeName = `${baseName}.initialize.js`
-            const finalizeName = `${baseName}.finalize.js`
-            const infoName = `${baseName}.info.md`
+        count++
 
-            const codeFile = path.join(extractedDir, codeName)
-            const initializeFile = path.join(extractedDir, initializeName)
-            const finalizeFile = path.join(extractedDir, finalizeName)
-            const infoFile = path.join(extractedDir, infoName)
+        // Write files
+        const files = {}
+        const hashes = {}
+        contents.forEach(({ field, content }) => {
+            // Path relative to the extracted directory, with `/` separators in the manifest
+            const fieldFileName = path.posix.join(dir, getFieldFileName(fileName, field))
+            const file = path.join(stagingDir, fieldFileName)
+            fs.mkdirSync(path.dirname(file), { recursive: true })
+            const edit = editedFiles.get(`${id}/${field.property}`)
+            editedFiles.delete(`${id}/${field.property}`)
 
-            // Write files
-            if (code != null) {
-                fs.writeFileSync(codeFile, code, 'utf8')
-            }
-            if (initialize != null) {
-                fs.writeFileSync(initializeFile, initialize, 'utf8')
-            }
-            if (finalize != null) {
-                fs.writeFileSync(finalizeFile, finalize, 'utf8')
-            }
-            if (info != null) {
-                fs.writeFileSync(infoFile, info, 'utf8')
+            if (edit && edit.content !== content) {
+                fs.writeFileSync(file, keepDiskEdits ? edit.content : content, 'utf8')
+                fs.writeFileSync(`${file}.conflict`, keepDiskEdits ? content : edit.content, 'utf8')
+                conflicts.push({ nodeId: id, property: field.property, file: fieldFileName, conflictFile: `${fieldFileName}.conflict` })
+            } else {
+                fs.writeFileSync(file, content, 'utf8')
             }
+            files[field.property] = fieldFileName
+            // Always the hash of the node content: a kept disk edit is still detected as such on the next extraction
+            hashes[field.property] = hashContent(content)
+        })
+
+        const fixture = previousFixtures.get(id)
+        if (fixture) {
+            previousFixtures.delete(id)
+            fs.outputFileSync(path.join(stagingDir, getTestFixtureFile({ dir, fileName })), fixture.content, 'utf8')
+        }
 
-            // Store in manifest
-            manifest[id] = {
-                nodeId: id,
-                name,
-                sanitizedName,
-                fileName,
-                isVue,
-                isFun,
-                hasCode: code != null,
-                hasInitialize: initialize != null,
-                hasFinalize: finalize != null,
-                hasInfo: info != null
+        const fields = getExtractorFields(extractor, node)
+        const typescript = {}
+        const editedOutsideTypeScript = []
+        const previousSources = previous ? findTypeScriptSources(upgradeLegacyManifestItem(previous), fields, extractedDir) : {}
+        Object.keys(previousSources).forEach((property) => {
+            const field = fields.find(f => f.property === property)
+            const previousFile = path.join(extractedDir, previousSources[property])
+            const source = fs.readFileSync(previousFile, 'utf8')
+            const typescriptFile = getTypeScriptFile(path.posix.join(dir, getFieldFileName(fileName, field)))
+            claimedTypeScriptSources.add(previousSources[property])
+            fs.outputFileSync(path.join(stagingDir, typescriptFile), source, 'utf8')
+            typescript[property] = typescriptFile
+            if (isEditedOutsideTypeScript(node, field, source, previousFile)) {
+                editedOutsideTypeScript.push(property)
+                RED.log.warn(`[node-red-contrib-flow-splitter] Code of "${files[property] || property}" in "${flowName}" was edited outside of its TypeScript source "${typescriptFile}", which replaces it on the next reload`)
             }
+        })
+
+        // Store in manifest
+        manifest[id] = {
+            nodeId: id,
+            name,
+            sanitizedName,
+            fileName,
+            dir,
+            extractor: extractor.name,
+            naming,
+            files,
+            hashes
+        }
+        if (Object.keys(typescript).length > 0) {
+            manifest[id].typescript = typescript
+        }
+        if (editedOutsideTypeScript.length > 0) {
+            manifest[id].editedOutsideTypeScript = editedOutsideTypeScript
+        }
+        // Modules the function node loads, declared in the IDE typings
+        if (Array.isArray(node.libs) && node.libs.length > 0) {
+            manifest[id].libs = node.libs
         }
     })
 
+    // Edited files whose node or property no longer exists would be lost
+    editedFiles.forEach((edit) => {
+        fs.outputFileSync(path.join(stagingDir, `${edit.fileName}.conflict`), edit.content, 'utf8')
+        conflicts.push({ nodeId: edit.nodeId, property: edit.property, file: edit.fileName, conflictFile: `${edit.fileName}.conflict` })
+    })
+
+    // TypeScript sources of deleted nodes, or of nodes no longer extracted, stay where they were
+    const previousExtractedFiles = new Set(Object.values(previousManifest)
+        .flatMap(item => Object.values(upgradeLegacyManifestItem(item).files)))
+    listFilesRecursive(extractedDir)
+        .map(f => f.split(path.sep).join('/'))
+        .filter(f => f.endsWith('.ts') && !claimedTypeScriptSources.has(f) && !previousExtractedFiles.has(f))
+        .forEach((fileName) => {
+            const target = path.join(stagingDir, fileName)
+            fs.outputFileSync(fs.existsSync(target) ? `${target}.conflict` : target, fs.readFileSync(path.join(extractedDir, fileName), 'utf8'), 'utf8')
+        })
+
+    // Fixtures of deleted nodes stay where they were, until they are deleted by the user
+    previousFixtures.forEach((fixture, nodeId) => {
+        fs.outputFileSync(path.join(stagingDir, fixture.fileName), fixture.content, 'utf8')
+        RED.log.warn(`[node-red-contrib-flow-splitter] Test fixture "${fixture.fileName}" in "${flowName}" belongs to node ${nodeId}, which no longer exists`)
+    })
+
+    conflicts.forEach((conflict) => {
+        RED.log.warn(`[node-red-contrib-flow-splitter] Conflict in "${flowName}" for node ${conflict.nodeId}: "${conflict.file}" was edited on disk and not reloaded, other version saved as "${conflict.conflictFile}"`)
+    })
+
     // Save manifest if we extracted anything
     if (count > 0) {
-        const manifestFile = path.join(extractedDir, '.manifest.json')
+        const manifestFile = path.join(stagingDir, '.manifest.json')
         fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2), 'utf8')
-        
+
         RED.log.info(`[node-red-contrib-flow-splitter] Extracted ${count} functions/templates for "${flowName}"`)
     }
+
+    const beforeChange = options.beforeChange || (() => {})
+    if (fs.existsSync(stagingDir)) {
+        // Unchanged extractions are left alone
+        if (hasSameFiles(extractedDir, stagingDir)) {
+            fs.removeSync(stagingDir)
+        } else {
+            beforeChange(extractedDir)
+            replaceDirectory(stagingDir, extractedDir)
+        }
+    } else if (fs.existsSync(extractedDir)) {
+        beforeChange(extractedDir)
+        fs.removeSync(extractedDir)
+    }
+
+    return conflicts
 }
 
 /**
@@ -138,24 +971,16 @@ function extractFunctionsAndTemplates(flowNodes, flowName, flowDir, RED) {
  * @param {string} flowName - Name of the tab or subflow
  * @param {string} flowDir - Directory where the flow file is stored
  * @param {object} RED - Node-RED runtime
+ * @param {Map<string, Extractor>} [registry] - Extractor registry, defaults to the built-in extractors
  * @returns {Array} - Updated flow nodes
  */
-function restoreFunctionsAndTemplates(flowNodes, flowName, flowDir, RED) {
+function restoreFunctionsAndTemplates(flowNodes, flowName, flowDir, RED, registry = createExtractorRegistry()) {
     if (!flowNodes || flowNodes.length === 0) return flowNodes
 
     const extractedDir = path.join(flowDir, flowName)
-    const manifestFile = path.join(extractedDir, '.manifest.json')
+    const manifest = readManifest(extractedDir, flowName, RED)
 
-    // Check if manifest exists
-    if (!fs.existsSync(manifestFile)) {
-        return flowNodes
-    }
-
-    let manifest
-    try {
-        manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'))
-    } catch (error) {
-        RED.log.warn(`[node-red-contrib-flow-splitter] Could not read manifest for "${flowName}": ${error.message}`)
+    if (!manifest) {
         return flowNodes
     }
 
@@ -163,7 +988,7 @@ function restoreFunctionsAndTemplates(flowNodes, flowName, flowDir, RED) {
 
     // Update nodes with content from files
     Object.keys(manifest).forEach((nodeId) => {
-        const item = manifest[nodeId]
+        const item = upgradeLegacyManifestItem(manifest[nodeId])
         const node = flowNodes.find(n => n.id === nodeId)
 
         if (!node) {
@@ -171,60 +996,65 @@ function restoreFunctionsAndTemplates(flowNodes, flowName, flowDir, RED) {
             return
         }
 
-        const baseName = item.fileName
-        const codeName = `${baseName}.${item.isVue ? 'vue' : 'js'}`
-        const initializeName = `${baseName}.initialize.js`
-        const finalizeName = `${baseName}.finalize.js`
-        const infoName = `${baseName}.info.md`
-
-        const codeFile = path.join(extractedDir, codeName)
-        const initializeFile = path.join(extractedDir, initializeName)
-        const finalizeFile = path.join(extractedDir, finalizeName)
-        const infoFile = path.join(extractedDir, infoName)
-
-        // Read and update code
-        if (item.hasCode && fs.existsSync(codeFile)) {
-            const content = fs.readFileSync(codeFile, 'utf8')
-            if (item.isVue) {
-                if (node.format !== content) {
-                    node.format = content
-                    node.func = content
-                    updatedCount++
+        const extractor = findExtractorByName(registry, item.extractor)
+        const knownFields = extractor ? getExtractorFields(extractor, node) : [INFO_FIELD]
+        // TypeScript sources take the place of the extracted files
+        const typescriptSources = findTypeScriptSources(item, knownFields, extractedDir)
+        const properties = [...new Set([...Object.keys(item.files), ...Object.keys(typescriptSources)])]
+
+        properties.forEach((property) => {
+            const fileName = typescriptSources[property] || item.files[property]
+            const file = path.join(extractedDir, fileName)
+            if (!fs.existsSync(file)) {
+                return
+            }
+
+            // Fields no longer known (e.g. a removed jsonata rule) are restored as plain text
+            const field = knownFields.find(f => f.property === property) || { property, encoding: 'text' }
+
+            let value
+            let settings = {}
+            try {
+                const source = fs.readFileSync(file, 'utf8')
+                let content = source
+                if (field.header) {
+                    ({ values: settings, content } = readSettingsHeader(field.header, content))
                 }
-            } else if (item.isFun) {
-                if (node.func !== content) {
-                    node.func = content
-                    updatedCount++
+                if (typescriptSources[property]) {
+                    const result = transpileFieldSource(field, source, file)
+                    if (result.errors.length > 0) {
+                        throw new Error(`${result.errors[0].message} (line ${result.errors[0].line})`)
+                    }
+                    content = result.code
+                }
+                if (field.bundle) {
+                    // Modules are looked up in the destination folder, the parent of the tabs and subflows folders
+                    content = bundleLocalRequires(content, file, path.dirname(flowDir)).code
                 }
+                value = decodeFieldValue(field, content)
+            } catch (error) {
+                RED.log.warn(`[node-red-contrib-flow-splitter] Could not read "${fileName}" for "${flowName}": ${error.message}`)
+                return
             }
-        }
 
-        // Read and update initialize
-        if (item.hasInitialize && fs.existsSync(initializeFile)) {
-            const content = fs.readFileSync(initializeFile, 'utf8')
-            if (node.initialize !== content) {
-                node.initialize = content
-                updatedCount++
-            }
-        }
+            Object.keys(settings).forEach((setting) => {
+                if (JSON.stringify(node[setting]) !== JSON.stringify(settings[setting])) {
+                    node[setting] = settings[setting]
+                    updatedCount++
+                }
+            })
 
-        // Read and update finalize
-        if (item.hasFinalize && fs.existsSync(finalizeFile)) {
-            const content = fs.readFileSync(finalizeFile, 'utf8')
-            if (node.finalize !== content) {
-                node.finalize = content
-                updatedCount++
+            if (JSON.stringify(getProperty(node, property)) === JSON.stringify(value)) {
+                return
             }
-        }
 
-        // Read and update info
-        if (item.hasInfo && fs.existsSync(infoFile)) {
-            const content = fs.readFileSync(infoFile, 'utf8')
-            if (node.info !== content) {
-                node.info = content
-                updatedCount++
+            if (extractor && extractor.restore && field !== INFO_FIELD) {
+                extractor.restore(node, field, value)
+            } else {
+                setProperty(node, property, value)
             }
-        }
+            updatedCount++
+        })
     })
 
     if (updatedCount > 0) {
@@ -234,7 +1064,111 @@ function restoreFunctionsAndTemplates(flowNodes, flowName, flowDir, RED) {
     return flowNodes
 }
 
+/**
+ * Check the syntax of the extracted files of a tab or subflow before they are restored
+ * @param {Array} flowNodes - Array of nodes from a tab or subflow
+ * @param {string} flowName - Name of the tab or subflow
+ * @param {string} flowDir - Directory where the flow file is stored
+ * @param {object} RED - Node-RED runtime
+ * @param {Map<string, Extractor>} [registry] - Extractor registry, defaults to the built-in extractors
+ * @returns {Array<import('./code-validator').CodeError>} - Errors, with the path of the extracted files
+ */
+function validateFunctionsAndTemplates(flowNodes, flowName, flowDir, RED, registry = createExtractorRegistry()) {
+    const extractedDir = path.join(flowDir, flowName)
+    const manifest = flowNodes && flowNodes.length > 0 ? readManifest(extractedDir, flowName, RED) : null
+
+    if (!manifest) {
+        return []
+    }
+
+    const errors = []
+
+    Object.keys(manifest).forEach((nodeId) => {
+        const item = upgradeLegacyManifestItem(manifest[nodeId])
+        const node = flowNodes.find(n => n.id === nodeId)
+        const extractor = findExtractorByName(registry, item.extractor)
+
+        if (!node || !extractor) {
+            return
+        }
+
+        const fields = getExtractorFields(extractor, node)
+        const typescriptSources = findTypeScriptSources(item, fields, extractedDir)
+
+        fields
+            .filter(field => field.validate && (typescriptSources[field.property] || item.files[field.property]))
+            .forEach((field) => {
+                const file = path.join(extractedDir, typescriptSources[field.property] || item.files[field.property])
+                if (!fs.existsSync(file)) {
+                    return
+                }
+                const content = fs.readFileSync(file, 'utf8')
+                if (field.header) {
+                    try {
+                        readSettingsHeader(field.header, content)
+                    } catch (error) {
+                        errors.push({ file, line: error.line, column: 1, message: error.message, nodeId })
+                    }
+                }
+                if (typescriptSources[field.property]) {
+                    try {
+                        transpileFieldSource(field, content, file).errors
+                            .forEach(error => errors.push({ ...error, nodeId }))
+                    } catch (error) {
+                        errors.push({ file, line: 1, column: 1, message: error.message, nodeId })
+                    }
+                } else {
+                    validateCode(field.validate, content, file)
+                        .forEach(error => errors.push({ ...error, nodeId }))
+                }
+                if (field.bundle) {
+                    // The header is a comment, bundling the whole file keeps its line numbers
+                    try {
+                        bundleLocalRequires(content, file, path.dirname(flowDir))
+                    } catch (error) {
+                        errors.push({ file: error.file || file, line: error.line || 1, column: 1, message: error.message, nodeId })
+                    }
+                }
+            })
+    })
+
+    return errors
+}
+
+/**
+ * List the files extracted for a tab or subflow, as recorded in its manifest
+ * @param {string} flowDir - Directory where the flow file is stored
+ * @param {string} flowName - Name of the tab or subflow
+ * @param {object} RED - Node-RED runtime
+ * @returns {Array<{nodeId: string, name: string, extractor: string, files: Array<string>, fields: Object<string, string>, typescript: Object<string, string>, editedOutsideTypeScript: Array<string>, testFile: string | null, libs: Array<{var: string, module: string}>}>}
+ * `fields` maps the node properties to their file, `typescript` to their TypeScript source
+ */
+function listExtractedFiles(flowDir, flowName, RED) {
+    const manifest = readManifest(path.join(flowDir, flowName), flowName, RED)
+
+    return Object.keys(manifest || {}).map((nodeId) => {
+        const item = upgradeLegacyManifestItem(manifest[nodeId])
+        return {
+            nodeId,
+            name: item.name,
+            extractor: item.extractor,
+            files: Object.values(item.files),
+            fields: { ...item.files },
+            typescript: { ...item.typescript },
+            editedOutsideTypeScript: item.editedOutsideTypeScript || [],
+            testFile: item.fileName ? getTestFixtureFile(item) : null,
+            libs: item.libs || []
+        }
+    })
+}
+
 module.exports = {
+    TEST_FIXTURE_SUFFIX,
+    countSettingsHeaderLines,
+    createExtractorRegistry,
+    getExtractedProperties,
     extractFunctionsAndTemplates,
-    restoreFunctionsAndTemplates
+    restoreFunctionsAndTemplates,
+    validateFunctionsAndTemplates,
+    listExtractedFiles
 }
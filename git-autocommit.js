@@ -0,0 +1,276 @@
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const crypto = require('crypto')
+const { execFile } = require('child_process')
+const { promisify } = require('util')
+const { listFilesRecursive } = require('./safe-fs')
+
+const execFileAsync = promisify(execFile)
+
+/**
+ * Git auto-commit
+ * Commits the source files written by a deploy split, and only them, with a message listing
+ * the tabs, subflows and functions that were added, changed or removed
+ */
+
+const GIT_TIMEOUT_MS = 30000
+
+/**
+ * Files of the git directory telling an operation is in progress, with the name of the operation
+ */
+const IN_PROGRESS_MARKERS = [
+    ['MERGE_HEAD', 'merge'],
+    ['rebase-merge', 'rebase'],
+    ['rebase-apply', 'rebase'],
+    ['CHERRY_PICK_HEAD', 'cherry-pick'],
+    ['REVERT_HEAD', 'revert']
+]
+
+/**
+ * State of the source tree, compared before and after a split
+ * @typedef {object} SourceState
+ * @property {Map<string, string>} files - Hash of each file, by path relative to the project (posix)
+ * @property {Array<{flowType: string, flowName: string, nodes: Array<object>}>} extracted - Extracted files of each tab and subflow
+ */
+
+/**
+ * Changes of the source tree made by a split
+ * @typedef {object} SourceChanges
+ * @property {Array<string>} files - Written or deleted files, relative to the project (posix)
+ * @property {Object<string, {added: Array<string>, changed: Array<string>, removed: Array<string>}>} items - Tabs, subflows and functions
+ */
+
+/**
+ * @param {string} file
+ * @returns {string}
+ */
+function hashFile(file) {
+    return crypto.createHash('sha1').update(fs.readFileSync(file)).digest('hex')
+}
+
+/**
+ * Read the state of the source tree
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {function(object, string): Array<object>} listExtractedFiles - See `splitter.listExtractedFiles`
+ * @returns {SourceState}
+ */
+function captureSourceState(cfg, projectPath, listExtractedFiles) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const files = new Map()
+
+    listFilesRecursive(srcDir)
+        // Conflict copies are left to the user
+        .filter(file => !file.endsWith('.conflict'))
+        .forEach((file) => {
+            files.set(path.relative(projectPath, path.join(srcDir, file)).split(path.sep).join('/'), hashFile(path.join(srcDir, file)))
+        })
+
+    return { files, extracted: listExtractedFiles(cfg, projectPath) }
+}
+
+/**
+ * Index the extracted nodes of a state by id, with their files relative to the project
+ * @param {SourceState} state
+ * @param {object} cfg - Splitter configuration
+ * @returns {Map<string, {label: string, files: Array<string>}>}
+ */
+function indexExtractedNodes(state, cfg) {
+    const nodes = new Map()
+    state.extracted.forEach((flow) => {
+        const flowDir = `${(cfg.destinationFolder || 'src').split(path.sep).join('/')}/${flow.flowType}s/${flow.flowName}`
+        flow.nodes.forEach((node) => {
+            nodes.set(node.nodeId, {
+                label: `${flow.flowName}/${node.name || node.nodeId}`,
+                files: node.files.map(file => `${flowDir}/${file}`)
+            })
+        })
+    })
+    return nodes
+}
+
+/**
+ * Compare the source tree before and after a split
+ * @param {SourceState} before
+ * @param {SourceState} after
+ * @param {object} cfg - Splitter configuration
+ * @returns {SourceChanges}
+ */
+function diffSourceStates(before, after, cfg) {
+    const isChanged = file => before.files.get(file) !== after.files.get(file)
+    const files = [...new Set([...before.files.keys(), ...after.files.keys()])].filter(isChanged).sort()
+    const items = {
+        tab: { added: [], changed: [], removed: [] },
+        subflow: { added: [], changed: [], removed: [] },
+        function: { added: [], changed: [], removed: [] }
+    }
+
+    // A tab or subflow changed when its file, its folder of extracted files or its layout file changed
+    const destination = (cfg.destinationFolder || 'src').split(path.sep).join('/')
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+    ;['tab', 'subflow'].forEach((flowType) => {
+        const flowPrefix = `${destination}/${flowType}s/`
+        const names = new Set()
+        before.files.forEach((hash, file) => file.startsWith(flowPrefix) && file.endsWith(extension) && !file.slice(flowPrefix.length).includes('/') && names.add(file.slice(flowPrefix.length, -extension.length)))
+        after.files.forEach((hash, file) => file.startsWith(flowPrefix) && file.endsWith(extension) && !file.slice(flowPrefix.length).includes('/') && names.add(file.slice(flowPrefix.length, -extension.length)))
+
+        ;[...names].sort().forEach((name) => {
+            const flowFile = `${flowPrefix}${name}${extension}`
+            if (!before.files.has(flowFile)) {
+                items[flowType].added.push(name)
+            } else if (!after.files.has(flowFile)) {
+                items[flowType].removed.push(name)
+            } else if (files.some(file => file === flowFile || file.startsWith(`${flowPrefix}${name}/`) || file === `${destination}/layout/${flowType}s/${name}.layout${extension}`)) {
+                items[flowType].changed.push(name)
+            }
+        })
+    })
+
+    const nodesBefore = indexExtractedNodes(before, cfg)
+    const nodesAfter = indexExtractedNodes(after, cfg)
+    nodesAfter.forEach((node, id) => {
+        const previous = nodesBefore.get(id)
+        if (!previous) {
+            items.function.added.push(node.label)
+        } else if (previous.label !== node.label || node.files.some(isChanged) || previous.files.some(isChanged)) {
+            items.function.changed.push(node.label)
+        }
+    })
+    nodesBefore.forEach((node, id) => {
+        if (!nodesAfter.has(id)) {
+            items.function.removed.push(node.label)
+        }
+    })
+
+    return { files, items }
+}
+
+/**
+ * @param {number} count
+ * @param {string} word
+ * @returns {string}
+ */
+function plural(count, word) {
+    return `${count} ${word}${count > 1 ? 's' : ''}`
+}
+
+/**
+ * Generate the commit message from the template of the configuration.
+ * `{summary}` is replaced by the number of items that changed (e.g. `2 tabs, 1 function`), `{details}` by the list of added, changed and removed items.
+ * @param {SourceChanges} changes
+ * @param {string} template
+ * @returns {string}
+ */
+function formatCommitMessage(changes, template) {
+    const counts = Object.keys(changes.items)
+        .map((type) => {
+            const item = changes.items[type]
+            return [type, item.added.length + item.changed.length + item.removed.length]
+        })
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => plural(count, type))
+    const summary = counts.length > 0 ? counts.join(', ') : 'source files'
+
+    const details = []
+    Object.keys(changes.items).forEach((type) => {
+        ;['added', 'changed', 'removed'].forEach((status) => {
+            const names = changes.items[type][status]
+            if (names.length > 0) {
+                details.push(`${status[0].toUpperCase()}${status.slice(1)} ${type}s:`, ...names.map(name => `- ${name}`))
+            }
+        })
+    })
+
+    return template
+        .replace(/\{summary\}/g, summary)
+        .replace(/\{details\}/g, details.join('\n'))
+        .trim()
+}
+
+/**
+ * @param {Array<string>} args
+ * @param {string} cwd
+ * @returns {Promise<string>} Output of the command
+ */
+async function git(args, cwd) {
+    const { stdout } = await execFileAsync('git', ['--literal-pathspecs', ...args], { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 })
+    return stdout.trim()
+}
+
+/**
+ * Stage the files written by the split and the splitter configuration, then commit them, and only them
+ * @param {SourceChanges} changes
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {string} configFilename - Name of the splitter configuration file
+ * @returns {Promise<string | null>} Hash of the commit, null when there was nothing to commit
+ * @throws {Error} When the project is not in a git repository, when a merge or rebase is in progress,
+ * when another branch than the configured one is checked out, or when git fails
+ */
+async function commitSourceChanges(changes, cfg, projectPath, configFilename) {
+    if (changes.files.length === 0) {
+        return null
+    }
+
+    let gitDir
+    try {
+        gitDir = await git(['rev-parse', '--absolute-git-dir'], projectPath)
+    } catch (error) {
+        throw new Error(`'${projectPath}' is not in a git repository`)
+    }
+
+    const inProgress = IN_PROGRESS_MARKERS.find(([marker]) => fs.existsSync(path.join(gitDir, marker)))
+    if (inProgress) {
+        throw new Error(`A ${inProgress[1]} is in progress, finish it before the changes can be committed`)
+    }
+
+    if (cfg.gitBranch) {
+        const branch = await git(['symbolic-ref', '--short', '-q', 'HEAD'], projectPath).catch(() => '')
+        if (branch !== cfg.gitBranch) {
+            throw new Error(`Branch '${branch || 'detached HEAD'}' is checked out instead of '${cfg.gitBranch}'`)
+        }
+    }
+
+    // Deleted files are only staged when git knows them
+    const destination = (cfg.destinationFolder || 'src').split(path.sep).join('/')
+    const tracked = new Set((await git(['ls-files', '-z', '--', destination], projectPath)).split('\0'))
+    const paths = changes.files.filter(file => fs.existsSync(path.join(projectPath, file)) || tracked.has(file))
+    if (fs.existsSync(path.join(projectPath, configFilename))) {
+        paths.push(configFilename)
+    }
+    if (paths.length === 0) {
+        return null
+    }
+
+    // The paths and the message are passed in files: a deploy can change more files than a command line can hold
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-git-'))
+    try {
+        const pathspecFile = path.join(tempDir, 'pathspec')
+        fs.writeFileSync(pathspecFile, paths.join('\0'))
+        const pathspecArgs = [`--pathspec-from-file=${pathspecFile}`, '--pathspec-file-nul']
+
+        await git(['add', '-A', ...pathspecArgs], projectPath)
+        const pathSet = new Set(paths)
+        const staged = (await git(['diff', '--cached', '--name-only', '--relative', '-z'], projectPath)).split('\0').filter(file => pathSet.has(file))
+        if (staged.length === 0) {
+            return null
+        }
+
+        const messageFile = path.join(tempDir, 'message')
+        fs.writeFileSync(messageFile, formatCommitMessage(changes, cfg.gitCommitMessage))
+        const authorArgs = cfg.gitAuthor ? ['--author', cfg.gitAuthor] : []
+        // Files staged by the user beforehand are left out of the commit
+        await git(['commit', '-q', '-F', messageFile, ...authorArgs, '--only', ...pathspecArgs], projectPath)
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true })
+    }
+    return git(['rev-parse', '--short', 'HEAD'], projectPath)
+}
+
+module.exports = {
+    captureSourceState,
+    diffSourceStates,
+    formatCommitMessage,
+    commitSourceChanges
+}
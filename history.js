@@ -0,0 +1,248 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { replaceDirectory, moveFileAtomic, writeFileAtomic, listFilesRecursive } = require('./safe-fs')
+
+/**
+ * History
+ * Timestamped snapshots of the source tree files and of the single flows.json file, taken before an
+ * operation rewrites or deletes them, with retention limits and rollback.
+ * A snapshot only holds what its operation changed, so rolling back to a snapshot also undoes every newer one.
+ */
+
+const HISTORY_DIR = path.join('.flow-splitter', 'history')
+const ROLLBACK_DIR = path.join('.flow-splitter', 'rollback')
+const SNAPSHOT_INFO_FILE = 'snapshot.json'
+const SNAPSHOT_FILES_DIR = 'files'
+
+/**
+ * State of a file or directory before an operation changed it
+ * @typedef {object} SnapshotEntry
+ * @property {string} path - Relative to the project
+ * @property {'file'|'directory'|'none'} type - `none` when it did not exist yet, it is removed on rollback
+ */
+
+/**
+ * @typedef {object} Snapshot
+ * @property {string} id - Timestamp and reason, e.g. `2024-05-01T10-20-30-000Z-split`
+ * @property {string} createdAt - ISO date
+ * @property {string} reason - Operation that triggered the snapshot
+ * @property {Array<SnapshotEntry>} entries - Manifest of the files and directories the operation changed
+ * @property {number} fileCount - Number of files saved in the snapshot
+ */
+
+/**
+ * Snapshot recorded while an operation runs
+ * @typedef {object} SnapshotRecorder
+ * @property {function(Array<string>): void} save - Save files or directories of the project right before
+ * they are changed. Paths already saved by the operation, or inside a saved directory, are skipped.
+ */
+
+/**
+ * @param {string} projectPath - Path to the project
+ * @returns {string}
+ */
+function getHistoryPath(projectPath) {
+    return path.join(projectPath, HISTORY_DIR)
+}
+
+/**
+ * Check whether a path is the same as, or inside, another one
+ * @param {string} file - Relative path
+ * @param {string} parent - Relative path
+ * @returns {boolean}
+ */
+function isSameOrInside(file, parent) {
+    const relative = path.relative(parent, file)
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))
+}
+
+/**
+ * List the snapshots, newest first
+ * @param {string} projectPath - Path to the project
+ * @returns {Array<Snapshot>}
+ */
+function listSnapshots(projectPath) {
+    const historyPath = getHistoryPath(projectPath)
+    if (!fs.existsSync(historyPath)) {
+        return []
+    }
+
+    return fs.readdirSync(historyPath)
+        .filter(id => fs.existsSync(path.join(historyPath, id, SNAPSHOT_INFO_FILE)))
+        .sort()
+        .reverse()
+        .map(id => JSON.parse(fs.readFileSync(path.join(historyPath, id, SNAPSHOT_INFO_FILE), 'utf8')))
+}
+
+/**
+ * Start the snapshot of an operation.
+ * Nothing is stored until the operation saves a path, so operations changing nothing leave no snapshot.
+ * @param {string} projectPath - Path to the project
+ * @param {object} cfg - Splitter configuration (`historyLimit`)
+ * @param {string} reason - Operation about to change the files
+ * @param {object} RED - Node-RED runtime
+ * @returns {SnapshotRecorder}
+ */
+function startSnapshot(projectPath, cfg, reason, RED) {
+    const limit = Number(cfg.historyLimit)
+    /** @type {Snapshot | null} */
+    let snapshot = null
+    let snapshotDir = ''
+
+    /**
+     * @param {Array<string>} paths - Absolute paths, or relative to the project
+     */
+    const save = (paths) => {
+        if (!(limit > 0)) {
+            return
+        }
+
+        const relativePaths = paths.map(p => path.relative(projectPath, path.resolve(projectPath, p)))
+        const savedPaths = snapshot ? snapshot.entries.map(entry => entry.path.split('/').join(path.sep)) : []
+        const newPaths = []
+        relativePaths.forEach((p) => {
+            if (!savedPaths.concat(newPaths).some(saved => isSameOrInside(p, saved))) {
+                newPaths.push(p)
+            }
+        })
+        if (newPaths.length === 0) {
+            return
+        }
+
+        const isNew = snapshot === null
+        if (isNew) {
+            let createdAt = new Date()
+            // Snapshots are ordered by their id: keep the dates increasing within the same millisecond
+            const latest = listSnapshots(projectPath)[0]
+            if (latest && new Date(latest.createdAt) >= createdAt) {
+                createdAt = new Date(new Date(latest.createdAt).getTime() + 1)
+            }
+            const id = `${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason}`
+            snapshotDir = path.join(getHistoryPath(projectPath), id)
+            snapshot = { id, createdAt: createdAt.toISOString(), reason, entries: [], fileCount: 0 }
+            fs.removeSync(snapshotDir)
+        }
+
+        newPaths.forEach((p) => {
+            const source = path.join(projectPath, p)
+            /** @type {SnapshotEntry['type']} */
+            let type = 'none'
+            if (fs.existsSync(source)) {
+                type = fs.statSync(source).isDirectory() ? 'directory' : 'file'
+                fs.copySync(source, path.join(snapshotDir, SNAPSHOT_FILES_DIR, p))
+            }
+            snapshot.entries.push({ path: p.split(path.sep).join('/'), type })
+        })
+        snapshot.fileCount = listFilesRecursive(path.join(snapshotDir, SNAPSHOT_FILES_DIR)).length
+
+        // The manifest is written last: a snapshot is only listed once its files are saved
+        fs.mkdirSync(snapshotDir, { recursive: true })
+        writeFileAtomic(path.join(snapshotDir, SNAPSHOT_INFO_FILE), JSON.stringify(snapshot, null, 2))
+
+        if (isNew) {
+            RED.log.info(`[node-red-contrib-flow-splitter-extended] Saving snapshot ${snapshot.id}`)
+            pruneSnapshots(projectPath, limit, RED)
+        }
+    }
+
+    return { save }
+}
+
+/**
+ * Delete the oldest snapshots beyond the limit
+ * @param {string} projectPath - Path to the project
+ * @param {number} limit - Number of snapshots to keep
+ * @param {object} RED - Node-RED runtime
+ */
+function pruneSnapshots(projectPath, limit, RED) {
+    const historyPath = getHistoryPath(projectPath)
+    listSnapshots(projectPath).slice(limit).forEach((snapshot) => {
+        try {
+            fs.removeSync(path.join(historyPath, snapshot.id))
+        } catch (error) {
+            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Could not remove snapshot ${snapshot.id}: ${error.message}`)
+        }
+    })
+}
+
+/**
+ * Put a file or directory back in the state saved by a snapshot
+ * @param {string} projectPath - Path to the project
+ * @param {string} savedDir - Copy of the files of the snapshot
+ * @param {SnapshotEntry} entry
+ */
+function restoreEntry(projectPath, savedDir, entry) {
+    const target = path.join(projectPath, entry.path)
+    const source = path.join(savedDir, entry.path)
+
+    if (entry.type === 'none') {
+        fs.removeSync(target)
+    } else if (entry.type === 'directory') {
+        replaceDirectory(source, target)
+    } else {
+        if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+            fs.removeSync(target)
+        }
+        moveFileAtomic(source, target)
+    }
+}
+
+/**
+ * Roll back to the state from before the operation of a snapshot.
+ * The snapshot and every newer one are restored, newest change first.
+ * The current state of the restored paths is saved as a snapshot first, so a rollback can itself be rolled back.
+ * @param {string} projectPath - Path to the project
+ * @param {object} cfg - Splitter configuration
+ * @param {string} id - Snapshot id
+ * @param {object} RED - Node-RED runtime
+ * @returns {Snapshot} The restored snapshot
+ */
+function rollbackToSnapshot(projectPath, cfg, id, RED) {
+    const snapshots = listSnapshots(projectPath)
+    const index = snapshots.findIndex(s => s.id === id)
+    if (index === -1) {
+        throw new Error(`Snapshot '${id}' not found`)
+    }
+    const restored = snapshots.slice(0, index + 1)
+
+    restored.forEach((snapshot) => {
+        const filesDir = path.join(getHistoryPath(projectPath), snapshot.id, SNAPSHOT_FILES_DIR)
+        const missing = snapshot.entries.find(entry => entry.type !== 'none' && !fs.existsSync(path.join(filesDir, entry.path)))
+        if (missing) {
+            throw new Error(`Snapshot '${snapshot.id}' is incomplete: '${missing.path}' is missing from ${filesDir}`)
+        }
+    })
+
+    // Copy the snapshots before saving the current state, which may prune them
+    const rollbackDir = path.join(projectPath, ROLLBACK_DIR)
+    fs.removeSync(rollbackDir)
+    try {
+        restored.forEach((snapshot) => {
+            const filesDir = path.join(getHistoryPath(projectPath), snapshot.id, SNAPSHOT_FILES_DIR)
+            if (fs.existsSync(filesDir)) {
+                fs.copySync(filesDir, path.join(rollbackDir, snapshot.id))
+            } else {
+                fs.mkdirSync(path.join(rollbackDir, snapshot.id), { recursive: true })
+            }
+        })
+
+        const changes = restored.flatMap(snapshot => snapshot.entries.map(entry => ({ snapshot, entry })).reverse())
+        const paths = [...new Set(changes.map(({ entry }) => entry.path))].sort()
+        startSnapshot(projectPath, cfg, 'before-rollback', RED).save(paths)
+
+        changes.forEach(({ snapshot, entry }) => restoreEntry(projectPath, path.join(rollbackDir, snapshot.id), entry))
+    } finally {
+        fs.removeSync(rollbackDir)
+    }
+
+    const snapshot = restored[restored.length - 1]
+    RED.log.info(`[node-red-contrib-flow-splitter-extended] Rolled back to snapshot ${snapshot.id}`)
+    return snapshot
+}
+
+module.exports = {
+    HISTORY_DIR,
+    listSnapshots,
+    startSnapshot,
+    rollbackToSnapshot
+}
@@ -0,0 +1,181 @@
+const path = require('path')
+const fs = require('fs')
+const eol = require('eol')
+const { writeFileAtomic } = require('./safe-fs')
+const { LOCAL_MODULES_DIR } = require('./local-modules')
+
+/**
+ * IDE Typings
+ * Declarations of the globals available to the code of function nodes (see the sandbox of the core 10-function.js),
+ * and a jsconfig.json for the extracted files, so IDEs provide IntelliSense instead of flagging them as undefined
+ */
+
+const TYPINGS_FILENAME = 'node-red-function.d.ts'
+const JSCONFIG_FILENAME = 'jsconfig.json'
+
+/**
+ * Globals of the function node sandbox
+ */
+const SANDBOX_TYPINGS = `// Generated by node-red-contrib-flow-splitter-extended on each extraction, do not edit
+
+interface NodeMessage {
+    _msgid?: string;
+    payload?: any;
+    topic?: string;
+    [key: string]: any;
+}
+
+interface ContextStore {
+    get(key: string | string[], store?: string): any;
+    get(key: string | string[], callback: (err: Error | null, ...values: any[]) => void): void;
+    get(key: string | string[], store: string, callback: (err: Error | null, ...values: any[]) => void): void;
+    set(key: string | string[], value: any, store?: string): void;
+    set(key: string | string[], value: any, callback: (err: Error | null) => void): void;
+    set(key: string | string[], value: any, store: string, callback: (err: Error | null) => void): void;
+    keys(store?: string): string[];
+    keys(callback: (err: Error | null, keys: string[]) => void): void;
+    keys(store: string, callback: (err: Error | null, keys: string[]) => void): void;
+}
+
+interface NodeStatus {
+    fill?: 'red' | 'green' | 'yellow' | 'blue' | 'grey';
+    shape?: 'ring' | 'dot';
+    text?: string;
+}
+
+interface FunctionNode {
+    /** Id of the function node */
+    readonly id: string;
+    /** Name of the function node */
+    readonly name: string;
+    /** Number of outputs of the function node */
+    readonly outputCount: number;
+    log(message: any): void;
+    warn(message: any): void;
+    error(message: any, msg?: NodeMessage): void;
+    debug(message: any): void;
+    trace(message: any): void;
+    on(event: 'close', listener: (removed?: boolean, done?: () => void) => void): void;
+    status(status: NodeStatus | string): void;
+    /** Send messages, one per output (an array of messages sends them in sequence on that output) */
+    send(msg: NodeMessage | null | Array<NodeMessage | NodeMessage[] | null>, clone?: boolean): void;
+    /** Tell the runtime the message is handled (only when the function does not return it) */
+    done(error?: Error | string): void;
+}
+
+/** Message received by the node (not available in the initialize and finalize code) */
+declare const msg: NodeMessage;
+declare const node: FunctionNode;
+declare const context: ContextStore & { readonly flow: ContextStore; readonly global: ContextStore };
+declare const flow: ContextStore;
+declare const global: ContextStore;
+declare const env: { get(name: string): any };
+declare const RED: {
+    util: {
+        cloneMessage<T extends NodeMessage>(msg: T): T;
+        generateId(): string;
+        getMessageProperty(msg: NodeMessage, property: string): any;
+        setMessageProperty(msg: NodeMessage, property: string, value: any, createMissing?: boolean): boolean;
+        evaluateNodeProperty(value: string, type: string, node: FunctionNode, msg: NodeMessage, callback?: (err: Error | null, result: any) => void): any;
+        encodeObject(msg: NodeMessage, options?: { maxLength?: number }): NodeMessage;
+        ensureString(value: any): string;
+        ensureBuffer(value: any): any;
+        compareObjects(a: any, b: any): boolean;
+        normalisePropertyExpression(expression: string): Array<string | number>;
+        [name: string]: any;
+    };
+};
+declare const util: typeof import('util');
+declare const Buffer: typeof import('buffer').Buffer;
+declare const console: {
+    log(...args: any[]): void;
+    info(...args: any[]): void;
+    warn(...args: any[]): void;
+    error(...args: any[]): void;
+    debug(...args: any[]): void;
+};
+declare function setTimeout(callback: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+declare function clearTimeout(timeout: any): void;
+declare function setInterval(callback: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+declare function clearInterval(interval: any): void;
+`
+
+/**
+ * Configuration of the JavaScript language service for the extracted files.
+ * Node.js globals are not loaded (`types`), the function node sandbox replaces them.
+ */
+const JSCONFIG = {
+    compilerOptions: {
+        target: 'ES2022',
+        module: 'commonjs',
+        lib: ['ES2022'],
+        types: [],
+        checkJs: false
+    },
+    include: [TYPINGS_FILENAME, 'tabs/**/*.js', 'subflows/**/*.js', 'tabs/**/*.ts', 'subflows/**/*.ts', `${LOCAL_MODULES_DIR}/**/*.js`]
+}
+
+/**
+ * Declare the modules loaded by the function nodes (their `libs` setting) as globals.
+ * A variable name used for different modules by different nodes is declared as the union of the modules.
+ * @param {Array<{flowName: string, nodes: Array<object>}>} flows - Extracted files of each tab and subflow
+ * @returns {string}
+ */
+function generateLibsTypings(flows) {
+    /** @type {Map<string, {modules: Set<string>, users: Array<string>}>} */
+    const libs = new Map()
+
+    flows.forEach((flow) => {
+        flow.nodes.forEach((node) => {
+            (node.libs || []).forEach((lib) => {
+                if (!lib || !/^[A-Za-z_$][\w$]*$/.test(lib.var || '') || !lib.module) {
+                    return
+                }
+                if (!libs.has(lib.var)) {
+                    libs.set(lib.var, { modules: new Set(), users: [] })
+                }
+                libs.get(lib.var).modules.add(lib.module)
+                libs.get(lib.var).users.push(`${flow.flowName}/${node.name || node.nodeId}`)
+            })
+        })
+    })
+
+    return [...libs.keys()].sort().map((name) => {
+        const lib = libs.get(name)
+        const type = [...lib.modules].sort().map(module => `typeof import(${JSON.stringify(module)})`).join(' | ')
+        return `/** Module set up in the function node settings of: ${lib.users.join(', ')} */\ndeclare const ${name}: ${type};\n`
+    }).join('\n')
+}
+
+/**
+ * Write the typings of the function node globals in the destination folder, and a jsconfig.json if there is none.
+ * An existing jsconfig.json is left untouched, so it can be customized.
+ * @param {string} srcDir - Destination folder of the split files
+ * @param {Array<{flowName: string, nodes: Array<object>}>} flows - Extracted files of each tab and subflow
+ * @param {object} RED - Node-RED runtime
+ */
+function writeIdeTypings(srcDir, flows, RED) {
+    if (!fs.existsSync(srcDir)) {
+        return
+    }
+
+    const libsTypings = generateLibsTypings(flows)
+    const typings = eol.auto(libsTypings ? `${SANDBOX_TYPINGS}\n${libsTypings}` : SANDBOX_TYPINGS)
+
+    const typingsFile = path.join(srcDir, TYPINGS_FILENAME)
+    if (!fs.existsSync(typingsFile) || fs.readFileSync(typingsFile, 'utf8') !== typings) {
+        writeFileAtomic(typingsFile, typings)
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Updated IDE typings ${TYPINGS_FILENAME}`)
+    }
+
+    const jsconfigFile = path.join(srcDir, JSCONFIG_FILENAME)
+    if (!fs.existsSync(jsconfigFile)) {
+        writeFileAtomic(jsconfigFile, eol.auto(JSON.stringify(JSCONFIG, null, 2)))
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Created ${JSCONFIG_FILENAME}`)
+    }
+}
+
+module.exports = {
+    TYPINGS_FILENAME,
+    writeIdeTypings
+}
@@ -1,9 +1,18 @@
 const path = require('path')
 const fs = require('fs')
-const manager = require('flows-file-manager')
-const eol = require('eol')
-const yaml = require('js-yaml')
 const functionsTemplatesHandler = require('./functions-templates-handler')
+const splitter = require('./splitter')
+const { createSourceWatcher } = require('./source-watcher')
+const { diffFlows } = require('./flow-diff')
+const { CodeValidationError } = require('./code-validator')
+const history = require('./history')
+const { getEnvironmentName } = require('./environments')
+const { getCredentialsFilename } = require('./credentials')
+const { LAYOUT_DIR } = require('./layout')
+const gitAutoCommit = require('./git-autocommit')
+const { runFunctionTests, summarizeTestResults } = require('./function-test-runner')
+const { createRuntimeErrorMapper, indexNodeSources } = require('./runtime-errors')
+const { LOCAL_MODULES_DIR } = require('./local-modules')
 
 /**
  * Here we define some types to allow the IDE to provide us autocompletion.
@@ -24,30 +33,50 @@ const functionsTemplatesHandler = require('./functions-templates-handler')
  */
 let RED
 
-const splitCfgFilename = '.config.flow-splitter.json'
-const DEFAULT_CFG = {
-    fileFormat: 'yaml',
-    destinationFolder: 'src',
-    tabsOrder: [],
-    monolithFilename: "flows.json",
-    extractFunctionsTemplates: true,
-    restoreFunctionsTemplates: false
-}
+/**
+ * Active watcher on the split and extracted files (only when `watchSourceFiles` is enabled)
+ * @type {ReturnType<typeof createSourceWatcher> | null}
+ */
+let sourceWatcher = null
+let sourceWatcherKey = null
 
 /**
- * Write splitter configuration to disk
- * @param {object} cfg - Splitter configuration
- * @param {string} projectPath - Path to the project
+ * Mapper of the runtime errors to the extracted files, created with the plugin (see `createRuntimeErrorMapper`)
+ * @type {ReturnType<typeof createRuntimeErrorMapper>}
  */
-function writeSplitterConfig(cfg, projectPath) {
-    RED.log.info("[node-red-contrib-flow-splitter-extended] Writing new config")
-    try {
-        const splitterCfgToWrite = JSON.parse(JSON.stringify(cfg))
-        delete splitterCfgToWrite.monolithFilename
-        fs.writeFileSync(path.join(projectPath, splitCfgFilename), eol.auto(JSON.stringify(splitterCfgToWrite, null, 2)))
-    } catch (error) {
-        RED.log.warn(`[node-red-contrib-flow-splitter-extended] Could not write splitter config '${splitCfgFilename}': ${error}`)
-    }
+let runtimeErrorMapper
+
+/**
+ * Maximum time to wait for Node-RED to write the flowFile before splitting it
+ */
+const FLOW_FILE_WAIT_MS = 2000
+
+/**
+ * Time and result of the last run of each operation (split, build, reload, extract, rollback), shown in the editor sidebar
+ * @type {Object<string, {time: string, success: boolean, message: string}>}
+ */
+const lastOperations = {}
+
+/**
+ * Flows of the last deploy that was split, to locate the nodes removed by the next deploy.
+ * null until the first split, which is then a full split.
+ * @type {Array<object> | null}
+ */
+let lastSplitFlows = null
+
+/**
+ * Maximum time to wait for the runtime to restart the changed nodes on reload
+ */
+const FLOWS_STARTED_WAIT_MS = 10000
+
+/**
+ * Record the result of an operation for the status endpoint
+ * @param {string} operation - split, build, reload, extract or rollback
+ * @param {boolean} success
+ * @param {string} message
+ */
+function recordOperation(operation, success, message) {
+    lastOperations[operation] = { time: new Date().toISOString(), success, message }
 }
 
 /**
@@ -65,24 +94,6 @@ function getProjectPath() {
     return userDir
 }
 
-/**
- * Load splitter configuration from disk
- * @param {string} projectPath - Path to the project
- * @returns {object} Splitter configuration
- */
-function loadSplitterConfig(projectPath) {
-    let cfg = { ...DEFAULT_CFG }
-    cfg.monolithFilename = RED.settings.flowFile || 'flows.json'
-    
-    const configPath = path.join(projectPath, splitCfgFilename)
-    if (fs.existsSync(configPath)) {
-        const loadedCfg = JSON.parse(fs.readFileSync(configPath))
-        cfg = { ...cfg, ...loadedCfg }
-        cfg.monolithFilename = loadedCfg.monolithFilename || RED.settings.flowFile || 'flows.json'
-    }
-    return cfg
-}
-
 /**
  * Get private RED instance to access internal APIs
  * @returns {REDType} Private RED instance
@@ -97,365 +108,609 @@ function getPrivateRED() {
 }
 
 /**
- * Extract functions and templates from split flow files
+ * Compute what a reload would change compared to the deployed flows
  * @param {object} cfg - Splitter configuration
  * @param {string} projectPath - Path to the project
+ * @returns {import('./flow-diff').FlowsDiff}
  */
-function extractFunctionsTemplatesFromSplitFiles(cfg, projectPath) {
-    if (cfg.extractFunctionsTemplates === false) {
-        return
-    }
+function computeReloadDiff(cfg, projectPath) {
+    const registry = functionsTemplatesHandler.createExtractorRegistry(cfg.extractors, RED)
+    const deployedFlows = getPrivateRED().nodes.getFlows()
+    const currentNodes = deployedFlows && Array.isArray(deployedFlows.flows) ? deployedFlows.flows : []
 
-    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
-    const tabsDir = path.join(srcDir, 'tabs')
-    const subflowsDir = path.join(srcDir, 'subflows')
-
-    RED.log.info("[node-red-contrib-flow-splitter-extended] Extracting functions and templates...")
-
-    processFlowDirectory(tabsDir, cfg.fileFormat, 'tab')
-    processFlowDirectory(subflowsDir, cfg.fileFormat, 'subflow')
-    
-    // Clean up orphaned directories from renamed/deleted flows
-    cleanupOrphanedDirectories(tabsDir, cfg.fileFormat)
-    cleanupOrphanedDirectories(subflowsDir, cfg.fileFormat)
+    return diffFlows(currentNodes, splitter.buildReloadFlowNodes(cfg, projectPath), {
+        getCodeProperties: node => functionsTemplatesHandler.getExtractedProperties(node, registry)
+    })
 }
 
 /**
- * Remove subdirectories that don't have a corresponding flow file
- * @param {string} dir - Directory to clean (tabs or subflows)
- * @param {string} fileFormat - File format (yaml or json)
+ * Dry-run endpoint handler
+ * Returns the per-flow, per-node diff a reload would apply, without writing anything
  */
-function cleanupOrphanedDirectories(dir, fileFormat) {
-    if (!fs.existsSync(dir)) {
-        return
-    }
+function dryRunReload(req, res) {
+    try {
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
 
-    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
-    
-    // Get all flow files
-    const flowFiles = fs.readdirSync(dir)
-        .filter(f => f.endsWith(extension))
-        .map(f => path.basename(f, extension))
-    
-    // Get all subdirectories
-    const subdirs = fs.readdirSync(dir)
-        .filter(f => {
-            const fullPath = path.join(dir, f)
-            return fs.statSync(fullPath).isDirectory()
+        res.json({
+            success: true,
+            ...computeReloadDiff(cfg, projectPath)
         })
-    
-    // Remove orphaned subdirectories
-    subdirs.forEach(subdir => {
-        if (!flowFiles.includes(subdir)) {
-            const subdirPath = path.join(dir, subdir)
-            try {
-                fs.rmSync(subdirPath, { recursive: true, force: true })
-                RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed orphaned directory: ${subdir}`)
-            } catch (error) {
-                RED.log.warn(`[node-red-contrib-flow-splitter-extended] Could not remove orphaned directory ${subdir}: ${error.message}`)
-            }
+    } catch (error) {
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Dry-run failed: ${error.message}`)
+        if (error instanceof CodeValidationError) {
+            // The reload would be refused for the same syntax errors
+            return res.status(422).json({
+                success: false,
+                error: "Syntax errors in extracted files, reload refused",
+                errors: error.errors
+            })
         }
-    })
+        res.status(500).json({
+            success: false,
+            error: error.message
+        })
+    }
 }
 
 /**
- * Clean up old flow files when a tab or subflow has been renamed.
- * Scans existing files and removes those with IDs that match current flows but have different filenames.
- * @param {Array} flowNodes - Array of all flow nodes from Node-RED
+ * @typedef {object} ReloadResult
+ * @property {'nodes'|'full'} mode - Deploy type used to apply the rebuilt flows
+ * @property {Array<object>} [restarted] - Changed nodes that were restarted (`nodes` mode)
+ * @property {Array<object>} [started] - Added nodes (`nodes` mode)
+ * @property {Array<object>} [stopped] - Removed nodes (`nodes` mode)
+ */
+
+/**
+ * Restore functions/templates into the split files, rebuild the single flows.json file and reload the flows.
+ * With `reloadMode: 'nodes'` (default) only the changed nodes are restarted, like a "Modified Nodes" deploy.
  * @param {object} cfg - Splitter configuration
  * @param {string} projectPath - Path to the project
+ * @returns {Promise<ReloadResult>}
  */
-function cleanupRenamedFlows(flowNodes, cfg, projectPath) {
-    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
-    const tabsDir = path.join(srcDir, 'tabs')
-    const subflowsDir = path.join(srcDir, 'subflows')
-    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+async function reloadFromSplitFiles(cfg, projectPath) {
+    // Our own writes (restore, then the split triggered by the deploy) must not trigger the watcher
+    suspendSourceWatcher()
+    try {
+        splitter.buildMonolithFile(cfg, projectPath)
+
+        const PRIVATE_RED = getPrivateRED()
 
-    // Build maps of ID -> expected filename from the current flow nodes
-    const tabsIdToFilename = new Map()
-    const subflowsIdToFilename = new Map()
-
-    flowNodes.forEach(node => {
-        if (node.type === 'tab' && node.id) {
-            // Use normalizedLabel if available, otherwise compute from label
-            const label = node.label || node.id
-            const expectedFilename = node.normalizedLabel || 
-                label.replace(/[\/\\:*?"<>|]/g, '-').toLowerCase().replace(/\s+/g, '-')
-            tabsIdToFilename.set(node.id, expectedFilename)
-        } else if (node.type === 'subflow' && node.id) {
-            const name = node.name || node.id
-            const expectedFilename = name.replace(/[\/\\:*?"<>|]/g, '-').toLowerCase().replace(/\s+/g, '-')
-            subflowsIdToFilename.set(node.id, expectedFilename)
+        if (cfg.reloadMode === 'full') {
+            await PRIVATE_RED.nodes.loadFlows(true)
+            recordOperation('reload', true, 'All flows restarted')
+            return { mode: 'full' }
         }
-    })
 
-    // Clean up tabs directory
-    cleanupRenamedFlowsInDir(tabsDir, tabsIdToFilename, extension, 'tab')
-    
-    // Clean up subflows directory
-    cleanupRenamedFlowsInDir(subflowsDir, subflowsIdToFilename, extension, 'subflow')
+        const previousFlows = (PRIVATE_RED.nodes.getFlows() || {}).flows || []
+        const flows = splitter.readFlowsFile(path.join(projectPath, cfg.monolithFilename))
+
+        // The runtime reports the nodes it stopped and started in the diff of the next flows:started event
+        const started = waitForFlowsStarted(FLOWS_STARTED_WAIT_MS)
+        const credentialsFile = path.join(projectPath, getCredentialsFilename(cfg.monolithFilename))
+        if (cfg.splitCredentials && fs.existsSync(credentialsFile)) {
+            // The rebuilt credentials file is loaded by the runtime as a whole, still encrypted
+            await PRIVATE_RED.nodes.setFlows(flows, JSON.parse(fs.readFileSync(credentialsFile, 'utf8')), 'nodes')
+        } else {
+            await PRIVATE_RED.nodes.setFlows(flows, 'nodes')
+        }
+        const event = await started
+        const diff = (event && event.diff) || {}
+
+        const describe = (nodes, ids) => (ids || []).map((id) => {
+            const node = nodes.find(n => n.id === id) || { id }
+            return { id, type: node.type, name: node.name || node.label }
+        })
+
+        const result = {
+            mode: 'nodes',
+            restarted: describe(flows, diff.changed),
+            started: describe(flows, diff.added),
+            stopped: describe(previousFlows, diff.removed)
+        }
+        recordOperation('reload', true, `${result.restarted.length} restarted, ${result.started.length} started, ${result.stopped.length} stopped`)
+        return result
+    } catch (error) {
+        recordOperation('reload', false, error.message)
+        throw error
+    } finally {
+        resumeSourceWatcher()
+    }
 }
 
 /**
- * Clean up renamed flows in a specific directory.
- * Removes old files when the same ID exists but with a different filename.
- * @param {string} dir - Directory to scan
- * @param {Map} idToFilename - Map of ID to expected filename
- * @param {string} extension - File extension (.yaml or .json)
- * @param {string} flowType - Type of flow (tab or subflow)
+ * Wait for the next flows:started event of the runtime
+ * @param {number} timeoutMs - Maximum time to wait, the event is not emitted when node types are missing
+ * @returns {Promise<FlowStartedEventType | null>} null on timeout
  */
-function cleanupRenamedFlowsInDir(dir, idToFilename, extension, flowType) {
-    if (!fs.existsSync(dir)) {
-        return
-    }
+function waitForFlowsStarted(timeoutMs) {
+    return new Promise((resolve) => {
+        const onStarted = (event) => {
+            clearTimeout(timer)
+            resolve(event)
+        }
+        const timer = setTimeout(() => {
+            RED.events.removeListener('flows:started', onStarted)
+            resolve(null)
+        }, timeoutMs)
+        RED.events.once('flows:started', onStarted)
+    })
+}
 
-    const files = fs.readdirSync(dir).filter(f => f.endsWith(extension))
+/**
+ * Manual reload endpoint handler
+ * Restores functions/templates from files and reloads flows
+ */
+async function manualReload(req, res) {
+    try {
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Manual reload triggered")
 
-    files.forEach(file => {
-        const filePath = path.join(dir, file)
-        const filename = path.basename(file, extension)
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
+
+        // Optional guard: only reload if the changes are exactly the ones previously reviewed with the dry-run
+        const expectedHash = (req.body && req.body.ifDiffHash) || req.query.ifDiffHash
+        if (expectedHash) {
+            const diff = computeReloadDiff(cfg, projectPath)
+            if (diff.hash !== expectedHash) {
+                RED.log.warn("[node-red-contrib-flow-splitter-extended] Manual reload refused: the changes differ from the expected diff")
+                return res.status(409).json({
+                    success: false,
+                    error: "The changes to reload differ from the expected diff",
+                    ...diff
+                })
+            }
+        }
 
-        try {
-            let flowData
-            const fileContent = fs.readFileSync(filePath, 'utf8')
+        const result = await reloadFromSplitFiles(cfg, projectPath)
 
-            if (extension === '.yaml') {
-                flowData = yaml.load(fileContent)
-            } else {
-                flowData = JSON.parse(fileContent)
-            }
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Manual reload completed successfully")
+        
+        res.json({ 
+            success: true, 
+            message: "Functions and templates reloaded successfully",
+            ...result
+        })
 
-            const flowDataArray = Array.isArray(flowData) ? flowData : [flowData]
-            const flowNode = flowDataArray.find(n => n.type === flowType)
-
-            if (flowNode && flowNode.id) {
-                const expectedFilename = idToFilename.get(flowNode.id)
-                
-                // If this ID exists in current flows but with a different filename, this is an old renamed file
-                if (expectedFilename && expectedFilename !== filename) {
-                    RED.log.info(`[node-red-contrib-flow-splitter-extended] Removing old ${flowType} file "${file}" (renamed to "${expectedFilename}${extension}")`)
-                    
-                    // Remove the old flow file
-                    fs.unlinkSync(filePath)
-                    
-                    // Remove the corresponding subdirectory if it exists
-                    const subdirPath = path.join(dir, filename)
-                    if (fs.existsSync(subdirPath) && fs.statSync(subdirPath).isDirectory()) {
-                        fs.rmSync(subdirPath, { recursive: true, force: true })
-                        RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed old ${flowType} directory "${filename}"`)
-                    }
-                }
-            }
-        } catch (error) {
-            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Error checking ${flowType} file ${file}: ${error.message}`)
+    } catch (error) {
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Manual reload failed: ${error.message}`)
+        if (error instanceof CodeValidationError) {
+            // Nothing was reloaded, report the syntax errors with their extracted file, line and column
+            return res.status(422).json({
+                success: false,
+                error: "Syntax errors in extracted files, reload refused",
+                errors: error.errors
+            })
         }
-    })
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        })
+    }
 }
 
 /**
- * Process a directory of flow files to extract functions/templates
- * @param {string} dir - Directory to process
- * @param {string} fileFormat - File format (yaml or json)
- * @param {string} flowType - Type of flow (tab or subflow)
+ * Start, restart or stop the source files watcher according to the configuration
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
  */
-function processFlowDirectory(dir, fileFormat, flowType) {
-    if (!fs.existsSync(dir)) {
+function updateSourceWatcher(cfg, projectPath) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const key = cfg.watchSourceFiles === true ? `${srcDir}|${cfg.fileFormat}|${cfg.watchDebounceMs}|${cfg.separateLayout === true}` : null
+
+    if (key === sourceWatcherKey) {
         return
     }
 
-    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
-    const files = fs.readdirSync(dir).filter(f => f.endsWith(extension))
+    if (sourceWatcher) {
+        sourceWatcher.close()
+        sourceWatcher = null
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Stopped watching source files")
+    }
+    sourceWatcherKey = key
 
-    files.forEach(file => {
-        const filePath = path.join(dir, file)
-        const flowName = path.basename(file, extension)
+    if (key === null) {
+        return
+    }
 
-        try {
-            let flowData
-            const fileContent = fs.readFileSync(filePath, 'utf8')
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+    sourceWatcher = createSourceWatcher({
+        dirs: [path.join(srcDir, 'tabs'), path.join(srcDir, 'subflows')].concat(cfg.separateLayout
+            ? [path.join(srcDir, LAYOUT_DIR, 'tabs'), path.join(srcDir, LAYOUT_DIR, 'subflows')]
+            : []),
+        moduleDirs: [path.join(srcDir, LOCAL_MODULES_DIR)],
+        flowExtension: extension,
+        debounceMs: Number(cfg.watchDebounceMs) || splitter.DEFAULT_CFG.watchDebounceMs,
+        onChange: (files) => onSourceFilesChanged(files)
+    }, RED)
+    RED.log.info(`[node-red-contrib-flow-splitter-extended] Watching source files in ${srcDir}`)
+}
 
-            if (fileFormat === 'yaml') {
-                flowData = yaml.load(fileContent)
-            } else {
-                flowData = JSON.parse(fileContent)
-            }
+/**
+ * Watcher callback: reload the flows when split or extracted files have been edited
+ * @param {Array<string>} files - Changed files
+ */
+async function onSourceFilesChanged(files) {
+    RED.log.info(`[node-red-contrib-flow-splitter-extended] Detected changes in ${files.length} source file(s), reloading`)
+    try {
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
+        const result = await reloadFromSplitFiles(cfg, projectPath)
+        const restarted = result.restarted ? `, restarted ${result.restarted.length} node(s)` : ''
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Automatic reload completed successfully${restarted}`)
+    } catch (error) {
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Automatic reload failed: ${error.message}`)
+    }
+}
 
-            const flowNodes = Array.isArray(flowData) ? flowData : [flowData]
-            functionsTemplatesHandler.extractFunctionsAndTemplates(flowNodes, flowName, dir, RED)
+function suspendSourceWatcher() {
+    if (sourceWatcher) sourceWatcher.suspend()
+}
 
-        } catch (error) {
-            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Error processing ${flowType} ${flowName}: ${error.message}`)
+function resumeSourceWatcher() {
+    if (sourceWatcher) sourceWatcher.resume()
+}
+
+/**
+ * Main function executed on each flow restart
+ * @param {FlowStartedEventType} flowEventData
+ * @returns {void}
+ */
+async function onFlowReload(flowEventData) {
+    RED.log.info("[node-red-contrib-flow-splitter-extended] Flow restart event")
+
+    // An event listener has no caller to reject to: every error is logged and recorded here
+    try {
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
+
+        // Files written while splitting or rebuilding must not be picked up by the watcher
+        suspendSourceWatcher()
+        try {
+            await splitOrRebuildFlows(flowEventData, cfg, projectPath)
+        } finally {
+            resumeSourceWatcher()
         }
-    })
+
+        updateSourceWatcher(cfg, projectPath)
+        updateRuntimeErrorMapper(cfg, projectPath)
+    } catch (error) {
+        recordOperation(flowEventData.config.flows.length === 0 ? 'build' : 'split', false, error.message)
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Flow restart handling failed: ${error.message}`)
+    }
 }
 
 /**
- * Restore functions and templates back into split flow files before rebuilding single flows.json file
+ * Index the extracted files the runtime errors are mapped to, none when `mapRuntimeErrors` is disabled.
+ * The extracted files are indexed again on each restart of the flows, as a deploy or reload can rename them.
  * @param {object} cfg - Splitter configuration
  * @param {string} projectPath - Path to the project
  */
-function restoreFunctionsTemplatesIntoSplitFiles(cfg, projectPath) {
-    if (cfg.restoreFunctionsTemplates === false) {
-        return
+function updateRuntimeErrorMapper(cfg, projectPath) {
+    try {
+        runtimeErrorMapper.setSources(cfg.mapRuntimeErrors === false
+            ? new Map()
+            : indexNodeSources(splitter.listExtractedFiles(cfg, projectPath), cfg, projectPath))
+    } catch (error) {
+        runtimeErrorMapper.setSources(new Map())
+        RED.log.warn(`[node-red-contrib-flow-splitter-extended] Cannot map runtime errors to extracted files: ${error.message}`)
     }
-
-    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
-    const tabsDir = path.join(srcDir, 'tabs')
-    const subflowsDir = path.join(srcDir, 'subflows')
-
-    RED.log.info("[node-red-contrib-flow-splitter-extended] Restoring functions and templates...")
-
-    restoreIntoFlowDirectory(tabsDir, cfg.fileFormat, 'tab')
-    restoreIntoFlowDirectory(subflowsDir, cfg.fileFormat, 'subflow')
 }
 
 /**
- * Process a directory of flow files to restore functions/templates
- * @param {string} dir - Directory to process
- * @param {string} fileFormat - File format (yaml or json)
- * @param {string} flowType - Type of flow (tab or subflow)
+ * Split the running flows into source files, or rebuild the single flows.json file when there are no flows
+ * @param {FlowStartedEventType} flowEventData
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<void>}
  */
-function restoreIntoFlowDirectory(dir, fileFormat, flowType) {
-    if (!fs.existsSync(dir)) {
+async function splitOrRebuildFlows(flowEventData, cfg, projectPath) {
+    if (flowEventData.config.flows.length === 0) {
+        // The flow file does not exist or is empty - rebuild from split files
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Rebuilding single flows.json file from source files")
+
+        let updatedCfg
+        try {
+            updatedCfg = splitter.buildMonolithFile(cfg, projectPath)
+        } catch (error) {
+            recordOperation('build', false, error.message)
+            RED.log.error(`[node-red-contrib-flow-splitter-extended] ${error.message}`)
+            return
+        }
+        recordOperation('build', true, `Rebuilt '${cfg.monolithFilename}'`)
+        splitter.writeSplitterConfig(updatedCfg, projectPath)
+        lastSplitFlows = null
+
+        const PRIVATE_RED = getPrivateRED()
+
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Stopping and loading nodes")
+
+        PRIVATE_RED.nodes.loadFlows(true).then(function () {
+            RED.log.info("[node-red-contrib-flow-splitter-extended] Flows are rebuilt and available")
+        })
         return
     }
 
-    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
-    const files = fs.readdirSync(dir).filter(f => f.endsWith(extension))
+    // Flows exist - split into source files
+    // Wait for Node-RED to finish writing the flowFile: it is part of the snapshot taken before splitting
+    const flowFilePath = path.join(projectPath, RED.settings.flowFile)
+    await waitForStableFile(flowFilePath, FLOW_FILE_WAIT_MS)
 
-    files.forEach(file => {
-        const filePath = path.join(dir, file)
-        const flowName = path.basename(file, extension)
+    // Only the files touched by the deploy are rewritten, unless all flows were restarted
+    const changes = flowEventData.type !== 'full' && flowEventData.diff && lastSplitFlows
+        ? { diff: flowEventData.diff, previousFlows: lastSplitFlows }
+        : undefined
 
+    let sourceStateBefore = null
+    if (cfg.gitAutoCommit) {
         try {
-            let flowData
-            const fileContent = fs.readFileSync(filePath, 'utf8')
+            sourceStateBefore = gitAutoCommit.captureSourceState(cfg, projectPath, splitter.listExtractedFiles)
+        } catch (error) {
+            recordOperation('commit', false, error.message)
+            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Changes will not be committed, cannot read the source tree: ${error.message}`)
+        }
+    }
 
-            if (fileFormat === 'yaml') {
-                flowData = yaml.load(fileContent)
-            } else {
-                flowData = JSON.parse(fileContent)
-            }
+    try {
+        splitter.splitFlows(flowEventData.config.flows, cfg, projectPath, changes)
+        lastSplitFlows = flowEventData.config.flows
+        recordOperation('split', true, `${changes ? 'Incremental' : 'Full'} split of ${flowEventData.config.flows.length} nodes`)
+    } catch (error) {
+        lastSplitFlows = null
+        recordOperation('split', false, error.message)
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Split failed, keeping '${RED.settings.flowFile}': ${error.message}`)
+        return
+    }
 
-            let flowNodes = Array.isArray(flowData) ? flowData : [flowData]
-            flowNodes = functionsTemplatesHandler.restoreFunctionsAndTemplates(flowNodes, flowName, dir, RED)
+    try {
+        fs.unlinkSync(flowFilePath)
+    } catch (error) {
+        RED.log.warn(`[node-red-contrib-flow-splitter-extended] Cannot erase file '${RED.settings.flowFile}': ${error.message}`)
+    }
 
-            if (fileFormat === 'yaml') {
-                const yamlContent = yaml.dump(flowNodes, {
-                    indent: 2,
-                    lineWidth: -1,
-                    noRefs: true,
-                    sortKeys: false
-                })
-                fs.writeFileSync(filePath, eol.auto(yamlContent), 'utf8')
-            } else {
-                fs.writeFileSync(filePath, eol.auto(JSON.stringify(flowNodes, null, 2)), 'utf8')
-            }
+    if (sourceStateBefore) {
+        await commitSplitChanges(sourceStateBefore, cfg, projectPath)
+    }
+}
 
-        } catch (error) {
-            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Error restoring ${flowType} ${flowName}: ${error.message}`)
+/**
+ * Commit the source files written by a split (`gitAutoCommit`)
+ * @param {object} sourceStateBefore - State of the source tree before the split
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ */
+async function commitSplitChanges(sourceStateBefore, cfg, projectPath) {
+    try {
+        const sourceChanges = gitAutoCommit.diffSourceStates(sourceStateBefore, gitAutoCommit.captureSourceState(cfg, projectPath, splitter.listExtractedFiles), cfg)
+        const commit = await gitAutoCommit.commitSourceChanges(sourceChanges, cfg, projectPath, splitter.splitCfgFilename)
+        if (commit) {
+            recordOperation('commit', true, `Committed ${sourceChanges.files.length} file(s) in ${commit}`)
+            RED.log.info(`[node-red-contrib-flow-splitter-extended] Committed ${sourceChanges.files.length} source file(s) in ${commit}`)
         }
-    })
+    } catch (error) {
+        recordOperation('commit', false, error.message)
+        RED.log.warn(`[node-red-contrib-flow-splitter-extended] Changes not committed: ${error.message}`)
+    }
 }
 
 /**
- * Manual reload endpoint handler
- * Restores functions/templates from files and reloads flows
+ * Wait until a file exists and its size and modification time stop changing
+ * @param {string} file
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} false when the file did not settle in time
  */
-async function manualReload(req, res) {
-    try {
-        RED.log.info("[node-red-contrib-flow-splitter-extended] Manual reload triggered")
+async function waitForStableFile(file, timeoutMs) {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+    const deadline = Date.now() + timeoutMs
+    let previous = null
+
+    while (Date.now() < deadline) {
+        if (fs.existsSync(file)) {
+            const stat = fs.statSync(file)
+            const current = `${stat.size}-${stat.mtimeMs}`
+            if (current === previous) {
+                return true
+            }
+            previous = current
+        }
+        await delay(50)
+    }
+    return false
+}
 
-        const projectPath = getProjectPath()
-        const cfg = loadSplitterConfig(projectPath)
+/**
+ * History endpoint handler
+ * Lists the snapshots of the source tree and flows file, newest first
+ */
+function listHistory(req, res) {
+    try {
+        res.json({
+            success: true,
+            snapshots: history.listSnapshots(getProjectPath())
+        })
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        })
+    }
+}
 
-        restoreFunctionsTemplatesIntoSplitFiles(cfg, projectPath)
+/**
+ * Rollback endpoint handler
+ * Restores the source tree of a snapshot and reloads the flows from it
+ */
+async function rollbackHistory(req, res) {
+    try {
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Rollback to snapshot ${req.params.id} triggered`)
 
-        const flowSet = manager.constructFlowSetFromTreeFiles(cfg, projectPath)
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
 
-        if (!flowSet) {
-            RED.log.error("[node-red-contrib-flow-splitter-extended] Cannot build FlowSet from source tree files")
-            return res.status(500).json({ 
-                success: false, 
-                error: "Cannot build FlowSet from source tree files" 
+        if (!history.listSnapshots(projectPath).some(s => s.id === req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: `Snapshot '${req.params.id}' not found`
             })
         }
 
-        manager.constructMonolithFileFromFlowSet(flowSet, cfg, projectPath, false)
+        let snapshot
+        suspendSourceWatcher()
+        try {
+            snapshot = history.rollbackToSnapshot(projectPath, cfg, req.params.id, RED)
+            recordOperation('rollback', true, `Rolled back to snapshot ${snapshot.id}`)
+        } catch (error) {
+            recordOperation('rollback', false, error.message)
+            throw error
+        } finally {
+            resumeSourceWatcher()
+        }
 
-        const PRIVATE_RED = getPrivateRED()
-        await PRIVATE_RED.nodes.loadFlows(true)
+        await reloadFromSplitFiles(cfg, projectPath)
 
-        RED.log.info("[node-red-contrib-flow-splitter-extended] Manual reload completed successfully")
-        
-        res.json({ 
-            success: true, 
-            message: "Functions and templates reloaded successfully"
+        res.json({
+            success: true,
+            message: `Rolled back to snapshot ${snapshot.id}`,
+            snapshot
         })
-
     } catch (error) {
-        RED.log.error(`[node-red-contrib-flow-splitter-extended] Manual reload failed: ${error.message}`)
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Rollback failed: ${error.message}`)
+        res.status(500).json({
+            success: false,
+            error: error.message
         })
     }
 }
 
 /**
- * Main function executed on each flow restart
- * @param {FlowStartedEventType} flowEventData
- * @returns {void}
+ * Test endpoint handler
+ * Runs the unit test fixtures of the extracted function nodes against the code on disk, without deploying.
+ * The `filter` query parameter only runs the fixtures of the nodes whose `<tab>/<node name>` contains it.
  */
-async function onFlowReload(flowEventData) {
-    RED.log.info("[node-red-contrib-flow-splitter-extended] Flow restart event")
-
-    const projectPath = getProjectPath()
-    const cfg = loadSplitterConfig(projectPath)
+async function runTests(req, res) {
+    try {
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
+
+        const nodes = splitter.readSourceFlowNodes({ ...cfg, restoreFunctionsTemplates: true }, projectPath)
+        const results = await runFunctionTests(nodes, splitter.listExtractedFiles(cfg, projectPath), cfg, projectPath, RED, { filter: req.query.filter })
+        const summary = summarizeTestResults(results)
+        recordOperation('test', summary.failed === 0, `${summary.passed} passed, ${summary.failed} failed`)
+
+        res.json({
+            success: summary.failed === 0,
+            message: `${summary.passed} passed, ${summary.failed} failed`,
+            ...summary,
+            results
+        })
+    } catch (error) {
+        recordOperation('test', false, error.message)
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Tests failed to run: ${error.message}`)
+        res.status(500).json({
+            success: false,
+            error: error.message
+        })
+    }
+}
 
-    if (flowEventData.config.flows.length === 0) {
-        // The flow file does not exist or is empty - rebuild from split files
-        RED.log.info("[node-red-contrib-flow-splitter-extended] Rebuilding single flows.json file from source files")
-        
-        restoreFunctionsTemplatesIntoSplitFiles(cfg, projectPath)
-        
-        const flowSet = manager.constructFlowSetFromTreeFiles(cfg, projectPath)
+/**
+ * Status endpoint handler
+ * Returns the project path, the active configuration, the last operations with the duration and warnings
+ * of the last split, extract and restore, and the inventory of the source tree
+ */
+function getStatus(req, res) {
+    try {
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
+
+        res.json({
+            success: true,
+            projectPath,
+            config: cfg,
+            environment: getEnvironmentName(cfg),
+            operations: lastOperations,
+            runs: splitter.getLastRuns(),
+            watching: sourceWatcher !== null,
+            extracted: splitter.listExtractedFiles(cfg, projectPath),
+            inventory: splitter.getInventory(cfg, projectPath)
+        })
+    } catch (error) {
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Status failed: ${error.message}`)
+        res.status(500).json({
+            success: false,
+            error: error.message
+        })
+    }
+}
 
-        if (!flowSet) {
-            RED.log.error("[node-red-contrib-flow-splitter-extended] Cannot build FlowSet from source tree files")
-            return
+/**
+ * Configuration endpoint handler
+ * Validates the options of the request body, merges them into the current configuration and writes it.
+ * The new configuration is used from the next start of the flows.
+ */
+function updateConfig(req, res) {
+    try {
+        const changes = { ...(req.body || {}) }
+        delete changes.monolithFilename
+
+        const errors = splitter.validateSplitterConfig(changes)
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid configuration',
+                errors
+            })
         }
 
-        const updatedCfg = manager.constructMonolithFileFromFlowSet(flowSet, cfg, projectPath, false)
-        writeSplitterConfig(updatedCfg, projectPath)
-
-        const PRIVATE_RED = getPrivateRED()
-
-        RED.log.info("[node-red-contrib-flow-splitter-extended] Stopping and loading nodes")
-
-        PRIVATE_RED.nodes.loadFlows(true).then(function () {
-            RED.log.info("[node-red-contrib-flow-splitter-extended] Flows are rebuilt and available")
+        const projectPath = getProjectPath()
+        const cfg = { ...splitter.loadSplitterConfig(projectPath), ...changes }
+        splitter.writeSplitterConfig(cfg, projectPath)
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Configuration updated from the editor")
+
+        res.json({
+            success: true,
+            message: "Configuration saved, it is used from the next deploy",
+            config: cfg
+        })
+    } catch (error) {
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Configuration update failed: ${error.message}`)
+        res.status(500).json({
+            success: false,
+            error: error.message
         })
-        return
     }
+}
 
-    // Flows exist - split into source files
-    // First, clean up any old files from renamed tabs/subflows
-    cleanupRenamedFlows(flowEventData.config.flows, cfg, projectPath)
-
-    const flowSet = manager.constructFlowSetFromMonolithObject(flowEventData.config.flows)
-
-    const updatedCfg = manager.constructTreeFilesFromFlowSet(flowSet, cfg, projectPath)
-    writeSplitterConfig(updatedCfg, projectPath)
+/**
+ * Re-extract endpoint handler
+ * Extracts functions/templates from the split files again, e.g. after extracted files were deleted
+ */
+function reExtract(req, res) {
+    try {
+        const projectPath = getProjectPath()
+        const cfg = splitter.loadSplitterConfig(projectPath)
 
-    extractFunctionsTemplatesFromSplitFiles(updatedCfg, projectPath)
+        let conflicts
+        suspendSourceWatcher()
+        try {
+            conflicts = splitter.extractFunctionsTemplatesFromSplitFiles({ ...cfg, extractFunctionsTemplates: true }, projectPath)
+        } finally {
+            resumeSourceWatcher()
+        }
+        recordOperation('extract', true, `${conflicts.length} conflict(s)`)
 
-    try {
-        const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
-        await delay(150) // Wait for Node-RED to create the flowFile before erasing it
-        fs.unlinkSync(path.join(projectPath, RED.settings.flowFile))
+        res.json({
+            success: true,
+            message: "Functions and templates extracted",
+            conflicts
+        })
     } catch (error) {
-        RED.log.warn(`[node-red-contrib-flow-splitter-extended] Cannot erase file '${RED.settings.flowFile}': ${error.message}`)
+        recordOperation('extract', false, error.message)
+        RED.log.error(`[node-red-contrib-flow-splitter-extended] Extraction failed: ${error.message}`)
+        res.status(500).json({
+            success: false,
+            error: error.message
+        })
     }
 }
 
@@ -464,6 +719,9 @@ async function onFlowReload(flowEventData) {
  */
 module.exports = function (REDRuntime) {
     RED = REDRuntime
+    splitter.setRuntime(RED)
+    // Before the nodes are loaded, so the errors they log as they start are mapped too
+    runtimeErrorMapper = createRuntimeErrorMapper(RED)
 
     // Register the plugin for Node-RED
     RED.plugins.registerPlugin("node-red-contrib-flow-splitter-extended", {
@@ -473,10 +731,40 @@ module.exports = function (REDRuntime) {
         }
     })
 
+    // With adminAuth, the endpoints reading the flows need the `flows.read` permission, the others `flows.write`
     // Register HTTP endpoint for manual reload
-    RED.httpAdmin.post("/flow-splitter/reload", manualReload)
+    RED.httpAdmin.post("/flow-splitter/reload", RED.auth.needsPermission('flows.write'), manualReload)
     RED.log.info("[node-red-contrib-flow-splitter-extended] Manual reload endpoint registered at POST /flow-splitter/reload")
 
+    // Register HTTP endpoint to preview what a reload would change
+    RED.httpAdmin.get("/flow-splitter/dry-run", RED.auth.needsPermission('flows.read'), dryRunReload)
+    RED.log.info("[node-red-contrib-flow-splitter-extended] Dry-run endpoint registered at GET /flow-splitter/dry-run")
+
+    // Register HTTP endpoints to list snapshots and roll back to one of them
+    RED.httpAdmin.get("/flow-splitter/history", RED.auth.needsPermission('flows.read'), listHistory)
+    RED.httpAdmin.post("/flow-splitter/history/:id/rollback", RED.auth.needsPermission('flows.write'), rollbackHistory)
+    RED.log.info("[node-red-contrib-flow-splitter-extended] History endpoints registered at GET /flow-splitter/history and POST /flow-splitter/history/:id/rollback")
+
+    // Register HTTP endpoints used by the editor sidebar (index.html)
+    RED.httpAdmin.get("/flow-splitter/status", RED.auth.needsPermission('flows.read'), getStatus)
+    RED.httpAdmin.put("/flow-splitter/config", RED.auth.needsPermission('flows.write'), updateConfig)
+    RED.httpAdmin.post("/flow-splitter/extract", RED.auth.needsPermission('flows.write'), reExtract)
+    RED.log.info("[node-red-contrib-flow-splitter-extended] Sidebar endpoints registered at GET /flow-splitter/status, PUT /flow-splitter/config and POST /flow-splitter/extract")
+
+    // Running the tests executes the code of the source tree, like a deploy
+    RED.httpAdmin.post("/flow-splitter/test", RED.auth.needsPermission('flows.write'), runTests)
+    RED.log.info("[node-red-contrib-flow-splitter-extended] Test endpoint registered at POST /flow-splitter/test")
+
+    // Errors of the initialize code are logged as the nodes start, map them with the extracted files known so far
+    RED.events.on('flows:starting', () => {
+        try {
+            const projectPath = getProjectPath()
+            updateRuntimeErrorMapper(splitter.loadSplitterConfig(projectPath), projectPath)
+        } catch (error) {
+            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Cannot map runtime errors to extracted files: ${error.message}`)
+        }
+    })
+
     // Code to launch on every restart of the flows = boot or deploy event
     RED.events.on('flows:started', onFlowReload)
 }
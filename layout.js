@@ -0,0 +1,271 @@
+const path = require('path')
+const fs = require('fs')
+const yaml = require('js-yaml')
+const eol = require('eol')
+const { writeFileAtomic } = require('./safe-fs')
+
+/**
+ * Layout
+ * Positions and sizes of the nodes moved out of the tab and subflow files into sidecar files,
+ * so moving a node in the editor does not show up in the diffs of the flow logic
+ */
+
+const LAYOUT_DIR = 'layout'
+const LAYOUT_SUFFIX = '.layout'
+const FLOW_DIRS = ['tabs', 'subflows']
+
+/**
+ * Properties holding the position and size of a node (`w` and `h` are set on groups)
+ */
+const LAYOUT_PROPERTIES = ['x', 'y', 'w', 'h']
+
+/**
+ * Ports of a subflow, positioned in the subflow editor
+ */
+const SUBFLOW_PORTS = ['in', 'out']
+
+/**
+ * @param {object} cfg - Splitter configuration
+ * @returns {string}
+ */
+function getExtension(cfg) {
+    return cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+}
+
+/**
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project (or staging folder)
+ * @returns {string}
+ */
+function getLayoutDir(cfg, projectPath) {
+    return path.join(projectPath, cfg.destinationFolder || 'src', LAYOUT_DIR)
+}
+
+/**
+ * @param {object} source
+ * @returns {object | null} Layout properties of the object, null when it has none
+ */
+function pickLayout(source) {
+    const layout = {}
+    LAYOUT_PROPERTIES.forEach((key) => {
+        if (key in source) {
+            layout[key] = source[key]
+        }
+    })
+    return Object.keys(layout).length > 0 ? layout : null
+}
+
+/**
+ * @param {object} target - Modified in place
+ */
+function removeLayout(target) {
+    LAYOUT_PROPERTIES.forEach((key) => {
+        delete target[key]
+    })
+}
+
+/**
+ * Take the layout properties out of a node, ports of subflows included
+ * @param {object} node - Modified in place
+ * @returns {object | null} Layout of the node, null when it has none
+ */
+function takeNodeLayout(node) {
+    const layout = pickLayout(node) || {}
+    removeLayout(node)
+
+    if (node.type === 'subflow') {
+        SUBFLOW_PORTS.forEach((port) => {
+            if (Array.isArray(node[port]) && node[port].some(p => p && pickLayout(p))) {
+                layout[port] = node[port].map(p => (p && pickLayout(p)) || {})
+                node[port].forEach(p => p && removeLayout(p))
+            }
+        })
+        if (node.status && pickLayout(node.status)) {
+            layout.status = pickLayout(node.status)
+            removeLayout(node.status)
+        }
+    }
+
+    return Object.keys(layout).length > 0 ? layout : null
+}
+
+/**
+ * Put the layout properties back into a node
+ * @param {object} node - Modified in place
+ * @param {object} layout
+ */
+function applyNodeLayout(node, layout) {
+    Object.keys(layout).forEach((key) => {
+        if (SUBFLOW_PORTS.includes(key) && Array.isArray(layout[key])) {
+            layout[key].forEach((portLayout, index) => {
+                if (Array.isArray(node[key]) && node[key][index]) {
+                    Object.assign(node[key][index], portLayout)
+                }
+            })
+        } else if (key === 'status' && layout.status !== null && typeof layout.status === 'object') {
+            if (node.status) {
+                Object.assign(node.status, layout.status)
+            }
+        } else {
+            node[key] = layout[key]
+        }
+    })
+}
+
+/**
+ * @param {string} filePath
+ * @param {object} cfg - Splitter configuration
+ * @returns {any}
+ */
+function readFile(filePath, cfg) {
+    const content = fs.readFileSync(filePath, 'utf8')
+    return cfg.fileFormat === 'yaml' ? yaml.load(content) : JSON.parse(content)
+}
+
+/**
+ * Write a tab/subflow file or a layout file, formatted as the restored split files
+ * @param {string} filePath
+ * @param {any} content
+ * @param {object} cfg - Splitter configuration
+ * @param {object} [yamlOptions] - Additional options of the YAML output
+ */
+function writeFile(filePath, content, cfg, yamlOptions = {}) {
+    const text = cfg.fileFormat === 'yaml'
+        ? yaml.dump(content, { indent: 2, lineWidth: -1, noRefs: true, sortKeys: false, ...yamlOptions })
+        : JSON.stringify(content, null, 2)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    writeFileAtomic(filePath, eol.auto(text))
+}
+
+/**
+ * Move the layout of the nodes of the tab and subflow files into `<destinationFolder>/layout/<tabs|subflows>/<name>.layout.<ext>`.
+ * Each layout file maps the node ids to their position and size, one line per node.
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the folder holding the split files (the staging folder when splitting)
+ */
+function separateLayoutFiles(cfg, projectPath) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const extension = getExtension(cfg)
+
+    FLOW_DIRS.forEach((flowDir) => {
+        const dir = path.join(srcDir, flowDir)
+        if (!fs.existsSync(dir)) {
+            return
+        }
+
+        fs.readdirSync(dir).filter(f => f.endsWith(extension)).forEach((file) => {
+            const filePath = path.join(dir, file)
+            const flowData = readFile(filePath, cfg)
+            const flowNodes = Array.isArray(flowData) ? flowData : [flowData]
+
+            const layout = {}
+            flowNodes.forEach((node) => {
+                const nodeLayout = node && node.id ? takeNodeLayout(node) : null
+                if (nodeLayout) {
+                    layout[node.id] = nodeLayout
+                }
+            })
+
+            writeFile(filePath, flowData, cfg)
+            writeFile(path.join(getLayoutDir(cfg, projectPath), flowDir, `${path.basename(file, extension)}${LAYOUT_SUFFIX}${extension}`), layout, cfg, { flowLevel: 1 })
+        })
+    })
+}
+
+/**
+ * Read all the layout files
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {Map<string, object>} Layout by node id
+ * @throws {Error} When a layout file cannot be read
+ */
+function readLayout(cfg, projectPath) {
+    const layoutById = new Map()
+    const extension = `${LAYOUT_SUFFIX}${getExtension(cfg)}`
+
+    FLOW_DIRS.forEach((flowDir) => {
+        const dir = path.join(getLayoutDir(cfg, projectPath), flowDir)
+        if (!fs.existsSync(dir)) {
+            return
+        }
+
+        fs.readdirSync(dir).filter(f => f.endsWith(extension)).forEach((file) => {
+            let layout
+            try {
+                layout = readFile(path.join(dir, file), cfg) || {}
+            } catch (error) {
+                throw new Error(`Cannot read layout file '${flowDir}/${file}': ${error.message}`)
+            }
+            Object.keys(layout).forEach(id => layoutById.set(id, layout[id]))
+        })
+    })
+
+    return layoutById
+}
+
+/**
+ * Put the layout back into the flow nodes
+ * @param {Array<object>} nodes - Flow nodes, modified in place
+ * @param {Map<string, object>} layoutById
+ * @returns {Array<object>} nodes
+ */
+function applyLayout(nodes, layoutById) {
+    nodes.forEach((node) => {
+        const layout = node && layoutById.get(node.id)
+        if (layout) {
+            applyNodeLayout(node, layout)
+        }
+    })
+    return nodes
+}
+
+/**
+ * Remove the layout files whose tab or subflow file no longer exists (renamed or deleted),
+ * or all of them when the layout is no longer separated
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {object} RED - Node-RED runtime
+ * @param {import('./history').SnapshotRecorder} [snapshot] - Snapshot saving the files before they are removed
+ */
+function removeOrphanedLayoutFiles(cfg, projectPath, RED, snapshot) {
+    const layoutDir = getLayoutDir(cfg, projectPath)
+    if (!fs.existsSync(layoutDir)) {
+        return
+    }
+
+    if (!cfg.separateLayout) {
+        if (snapshot) {
+            snapshot.save([layoutDir])
+        }
+        fs.rmSync(layoutDir, { recursive: true, force: true })
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed layout files, the layout is back in the split files`)
+        return
+    }
+
+    const extension = getExtension(cfg)
+    FLOW_DIRS.forEach((flowDir) => {
+        const dir = path.join(layoutDir, flowDir)
+        if (!fs.existsSync(dir)) {
+            return
+        }
+
+        fs.readdirSync(dir).filter(f => f.endsWith(`${LAYOUT_SUFFIX}${extension}`)).forEach((file) => {
+            const flowName = file.slice(0, -`${LAYOUT_SUFFIX}${extension}`.length)
+            if (!fs.existsSync(path.join(projectPath, cfg.destinationFolder || 'src', flowDir, `${flowName}${extension}`))) {
+                if (snapshot) {
+                    snapshot.save([path.join(dir, file)])
+                }
+                fs.rmSync(path.join(dir, file), { force: true })
+                RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed layout file of ${flowDir}/${flowName}`)
+            }
+        })
+    })
+}
+
+module.exports = {
+    LAYOUT_DIR,
+    separateLayoutFiles,
+    readLayout,
+    applyLayout,
+    removeOrphanedLayoutFiles
+}
@@ -0,0 +1,253 @@
+const path = require('path')
+const fs = require('fs')
+const { validateCode } = require('./code-validator')
+
+/**
+ * Local modules
+ * Lets extracted function code require the modules of the project (e.g. `src/lib/`): each `require('./...')` line
+ * is replaced by the code of the module, and of the local modules it requires, between marker comments when the code
+ * is restored into the node. Extraction turns the marker block back into the require line.
+ */
+
+/**
+ * Folder of the shared modules in the destination folder, watched in watch mode
+ */
+const LOCAL_MODULES_DIR = 'lib'
+
+const BLOCK_START = '// @flow-splitter-require '
+const BLOCK_END = '// @flow-splitter-require-end'
+
+/**
+ * A line declaring variables from a relative require, e.g. `const { round } = require('../../lib/math')`
+ */
+const LOCAL_REQUIRE_LINE = /^([ \t]*)(const|let|var)\s+([^=]+?)\s*=\s*require\(\s*(['"])(\.{1,2}\/[^'"]*)\4\s*\)\s*;?[ \t]*\r?$/
+
+/**
+ * Relative requires in the code of a module
+ */
+const MODULE_REQUIRE = /\brequire\(\s*(['"])(\.{1,2}\/[^'"]*)\1\s*\)/g
+
+/**
+ * Code of a node with its local requires inlined
+ * @typedef {object} Bundle
+ * @property {string} code
+ * @property {Array<{line: number, lineCount: number, sourceLine: number}>} blocks - Marker blocks (1-based lines of `code`), and the line of the require they replace
+ * @property {Array<{line: number, lineCount: number, file: string}>} segments - Lines of `code` copied from a module file
+ */
+
+/**
+ * @param {string} message
+ * @param {string} file
+ * @param {number} line
+ * @returns {Error} - With the `file` and `line` of the problem
+ */
+function locatedError(message, file, line) {
+    const error = new Error(message)
+    error.file = file
+    error.line = line
+    return error
+}
+
+/**
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isFile(file) {
+    try {
+        return fs.statSync(file).isFile()
+    } catch (error) {
+        return false
+    }
+}
+
+/**
+ * Find the file of a relative require, as Node.js does: the file itself, with `.js`, or the `index.js` of the folder
+ * @param {string} request - e.g. `../../lib/math`
+ * @param {string} fromDir - Folder of the requiring file
+ * @param {string} sourceRoot - Destination folder, modules must be inside it
+ * @returns {string} - Path of the module
+ * @throws {Error} When the module does not exist or is outside of the destination folder
+ */
+function resolveModule(request, fromDir, sourceRoot) {
+    const base = path.resolve(fromDir, request)
+    const file = [base, `${base}.js`, path.join(base, 'index.js')].find(isFile)
+    if (!file) {
+        throw new Error(`Cannot find module '${request}'`)
+    }
+    const relative = path.relative(sourceRoot, file)
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Module '${request}' is outside of the '${path.basename(sourceRoot)}' folder`)
+    }
+    return file
+}
+
+/**
+ * Read a module and the local modules it requires, recursively
+ * @param {string} file - Path of the module
+ * @param {string} sourceRoot - Destination folder
+ * @param {Map<string, {file: string, lines: Array<string>, requests: Object<string, string>}>} [modules] - Modules read so far, by id
+ * @returns {Map<string, {file: string, lines: Array<string>, requests: Object<string, string>}>} - By id (path relative to the destination folder), the required module first
+ * @throws {Error} With the `file` and `line` of the problem, when a module cannot be read, has syntax errors or requires a missing module
+ */
+function collectModules(file, sourceRoot, modules = new Map()) {
+    const id = path.relative(sourceRoot, file).split(path.sep).join('/')
+    if (modules.has(id)) {
+        return modules
+    }
+
+    const content = fs.readFileSync(file, 'utf8')
+    const syntaxError = validateCode('module', content, file)[0]
+    if (syntaxError) {
+        throw locatedError(syntaxError.message, file, syntaxError.line)
+    }
+
+    const module = { file, lines: content.split('\n'), requests: {} }
+    modules.set(id, module)
+
+    module.lines.forEach((line, index) => {
+        for (const match of line.matchAll(MODULE_REQUIRE)) {
+            let required
+            try {
+                required = resolveModule(match[2], path.dirname(file), sourceRoot)
+            } catch (error) {
+                throw locatedError(error.message, file, index + 1)
+            }
+            module.requests[match[2]] = path.relative(sourceRoot, required).split(path.sep).join('/')
+            collectModules(required, sourceRoot, modules)
+        }
+    })
+    return modules
+}
+
+/**
+ * Replace the local require lines of function code by their modules, between marker comments.
+ * The modules run once per node, in their own scope, with `module`, `exports` and a `require` limited to local modules.
+ * @param {string} code - Function code, without settings header
+ * @param {string} file - Path of the extracted file, relative requires start from its folder
+ * @param {string} sourceRoot - Destination folder, modules must be inside it
+ * @returns {Bundle}
+ * @throws {Error} With the `file` and `line` of the problem, when a module cannot be bundled
+ */
+function bundleLocalRequires(code, file, sourceRoot) {
+    const bundle = { code, blocks: [], segments: [] }
+    if (!code.includes('require(')) {
+        return bundle
+    }
+
+    const output = []
+    code.split('\n').forEach((line, index) => {
+        const match = LOCAL_REQUIRE_LINE.exec(line)
+        if (!match) {
+            output.push(line)
+            return
+        }
+
+        let modules
+        try {
+            modules = collectModules(resolveModule(match[5], path.dirname(file), sourceRoot), sourceRoot)
+        } catch (error) {
+            throw error.file ? error : locatedError(error.message, file, index + 1)
+        }
+        const [, indent, kind, binding] = match
+        const requests = {}
+        modules.forEach((module, id) => {
+            requests[id] = module.requests
+        })
+
+        const blockLine = output.length + 1
+        // The require line is kept in the marker, line ending included, to be written back as is
+        output.push(`${indent}${BLOCK_START}${line.trim()}${line.endsWith('\r') ? '\r' : ''}`)
+        output.push(`${indent}${kind} ${binding} = (function () {`)
+        output.push(`${indent}    const __modules__ = {}`)
+        modules.forEach((module, id) => {
+            output.push(`${indent}    __modules__[${JSON.stringify(id)}] = function (module, exports, require) {`)
+            bundle.segments.push({ line: output.length + 1, lineCount: module.lines.length, file: module.file })
+            output.push(...module.lines)
+            output.push(`${indent}    }`)
+        })
+        output.push(
+            `${indent}    const __requests__ = ${JSON.stringify(requests)}`,
+            `${indent}    const __cache__ = {}`,
+            `${indent}    const __load__ = (id) => {`,
+            `${indent}        if (!__cache__[id]) {`,
+            `${indent}            const module = __cache__[id] = { exports: {} }`,
+            `${indent}            __modules__[id].call(module.exports, module, module.exports, (request) => {`,
+            `${indent}                if (!(request in __requests__[id])) {`,
+            `${indent}                    throw new Error("Cannot find module '" + request + "': only modules of the project can be required, other modules are set in the Setup tab")`,
+            `${indent}                }`,
+            `${indent}                return __load__(__requests__[id][request])`,
+            `${indent}            })`,
+            `${indent}        }`,
+            `${indent}        return __cache__[id].exports`,
+            `${indent}    }`,
+            `${indent}    return __load__(${JSON.stringify(modules.keys().next().value)})`,
+            `${indent}})()`,
+            `${indent}${BLOCK_END}`
+        )
+        bundle.blocks.push({ line: blockLine, lineCount: output.length - blockLine + 1, sourceLine: index + 1 })
+    })
+
+    bundle.code = output.join('\n')
+    return bundle
+}
+
+/**
+ * Replace the marker blocks of bundled code by the require lines they were made from
+ * @param {string} code - Function code of the node
+ * @returns {string}
+ */
+function unbundleLocalRequires(code) {
+    if (!code.includes(BLOCK_START)) {
+        return code
+    }
+
+    const lines = code.split('\n')
+    const output = []
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index]
+        const end = line.trimStart().startsWith(BLOCK_START)
+            ? lines.findIndex((l, i) => i > index && l.trim() === BLOCK_END)
+            : -1
+        if (end < 0) {
+            // A block without end (edited in the editor) is left as is
+            output.push(line)
+            continue
+        }
+        output.push(line.replace(BLOCK_START, ''))
+        index = end
+    }
+    return output.join('\n')
+}
+
+/**
+ * Find the line of the extracted code, or of a module, a line of bundled code comes from
+ * @param {Bundle} bundle
+ * @param {number} line - 1-based line of the bundled code
+ * @returns {{line: number, file?: string}} - `file` is set when the line is in a module
+ */
+function mapBundledLine(bundle, line) {
+    const segment = bundle.segments.find(s => line >= s.line && line < s.line + s.lineCount)
+    if (segment) {
+        return { file: segment.file, line: line - segment.line + 1 }
+    }
+
+    let shift = 0
+    for (const block of bundle.blocks) {
+        if (line < block.line) {
+            break
+        }
+        if (line < block.line + block.lineCount) {
+            // The code of the loader: the require line
+            return { line: block.sourceLine }
+        }
+        shift += block.lineCount - 1
+    }
+    return { line: line - shift }
+}
+
+module.exports = {
+    LOCAL_MODULES_DIR,
+    bundleLocalRequires,
+    unbundleLocalRequires,
+    mapBundledLine
+}
@@ -0,0 +1,272 @@
+const path = require('path')
+const fs = require('fs')
+const { countSettingsHeaderLines } = require('./functions-templates-handler')
+const { formatCodeError } = require('./code-validator')
+const { bundleLocalRequires, mapBundledLine } = require('./local-modules')
+
+/**
+ * Runtime errors
+ * Points the errors of function and template nodes at their extracted files: the node is found through the manifests,
+ * the line and column of the stack are mapped back to the file, and the logged error becomes
+ * `file:line:column: message`, as understood by IDE problem matchers
+ */
+
+/**
+ * Extracted file of a node property
+ * @typedef {object} SourceFile
+ * @property {string} file - Path relative to the project (posix)
+ * @property {number} headerLines - Lines of the settings header, above the code restored into the node
+ * @property {{blocks: Array<object>, segments: Array<object>}} [bundle] - Position of the local modules inlined in the code, when it requires some (see `mapBundledLine`)
+ */
+
+/**
+ * Extracted files of a node
+ * @typedef {object} NodeSources
+ * @property {string} extractor
+ * @property {Object<string, SourceFile>} fields - By node property
+ */
+
+/**
+ * Location of an error in an extracted file
+ * @typedef {object} SourceLocation
+ * @property {string} file - Path relative to the project (posix)
+ * @property {number} [line] - 1-based, unknown when the runtime does not tell it
+ * @property {number} [column] - 1-based
+ * @property {string} message
+ */
+
+/**
+ * Scripts the function node compiles, by the kind of their file name (`Function node<kind>:<id> [<name>]`), and the property of their code
+ */
+const FUNCTION_SCRIPTS = {
+    '': 'func',
+    ' setup': 'initialize',
+    ' cleanup': 'finalize'
+}
+
+/**
+ * Position of the code of the function body in its script: it starts on the second line (see the core 10-function.js)
+ */
+const FUNCTION_BODY_OFFSET = { line: 1, column: 0 }
+
+/**
+ * Location the function node appends to the message of some errors, e.g. ` (line 3, col 5)` or ` (setup:line 19)`
+ */
+const RUNTIME_LOCATION_SUFFIX = / \((?:(?:body|setup|cleanup):)?line (\d+)(?:, col (\d+))?\)$/i
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Read where the code of the initialize and finalize properties starts in the scripts of the installed function node.
+ * The wrapper around this code changed between Node-RED versions, so it is read from the runtime rather than assumed.
+ * @returns {Object<string, {line: number, column: number}>} - Offsets by property, without the ones that could not be read
+ */
+function readFunctionScriptOffsets() {
+    const offsets = { func: FUNCTION_BODY_OFFSET }
+    let source
+    try {
+        const paths = [require.main && path.dirname(require.main.filename), process.cwd()].filter(Boolean)
+        source = fs.readFileSync(require.resolve('@node-red/nodes/core/function/10-function.js', { paths }), 'utf8')
+    } catch (error) {
+        return offsets
+    }
+
+    ;[['initialize', 'iniText', 'node.ini'], ['finalize', 'finText', 'node.fin']].forEach(([property, variable, code]) => {
+        const match = new RegExp(`${variable}\\s*=\\s*\`([^\`]*)\`\\s*\\+\\s*${escapeRegExp(code)}\\b`).exec(source)
+        if (match) {
+            const lines = match[1].split('\n')
+            offsets[property] = { line: lines.length - 1, column: lines[lines.length - 1].length }
+        }
+    })
+    return offsets
+}
+
+/**
+ * Index the extracted files of the nodes
+ * @param {Array<{flowType: string, flowName: string, nodes: Array<object>}>} extracted - See `splitter.listExtractedFiles`
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {Map<string, NodeSources>} - By node id
+ */
+function indexNodeSources(extracted, cfg, projectPath) {
+    const sources = new Map()
+    const sourceRoot = path.join(projectPath, cfg.destinationFolder || 'src')
+    const relative = file => path.relative(projectPath, file).split(path.sep).join('/')
+    extracted.forEach((flow) => {
+        const flowDir = path.join(projectPath, cfg.destinationFolder || 'src', `${flow.flowType}s`, flow.flowName)
+        flow.nodes.forEach((node) => {
+            const fields = {}
+            Object.keys(node.fields || {}).forEach((property) => {
+                const file = path.join(flowDir, node.fields[property])
+                fields[property] = { file: relative(file), headerLines: 0 }
+                let content
+                try {
+                    content = fs.readFileSync(file, 'utf8')
+                } catch (error) {
+                    // Missing file, the node keeps the code of the flows file
+                    return
+                }
+                fields[property].headerLines = countSettingsHeaderLines(content)
+                if (node.extractor === 'function') {
+                    try {
+                        const bundle = bundleLocalRequires(content.split('\n').slice(fields[property].headerLines).join('\n'), file, sourceRoot)
+                        if (bundle.blocks.length > 0) {
+                            fields[property].bundle = { blocks: bundle.blocks, segments: bundle.segments.map(s => ({ ...s, file: relative(s.file) })) }
+                        }
+                    } catch (error) {
+                        // The code could not be restored either
+                    }
+                }
+            })
+            sources.set(node.nodeId, { extractor: node.extractor, fields })
+        })
+    })
+    return sources
+}
+
+/**
+ * Locate an error of a node in its extracted files
+ * @param {NodeSources} sources - Extracted files of the node
+ * @param {string} runtimeId - Id of the running node, which differs from the id of the flows file inside subflow instances
+ * @param {string} message - Logged message
+ * @param {string} [stack] - Stack of the error, when known
+ * @param {Object<string, {line: number, column: number}>} offsets - See `readFunctionScriptOffsets`
+ * @returns {SourceLocation | null} - null when the error is not in extracted code
+ */
+function locateError(sources, runtimeId, message, stack, offsets) {
+    const firstLine = String(stack || message).split(/\r?\n/)[0]
+    const suffix = RUNTIME_LOCATION_SUFFIX.exec(firstLine)
+    const text = firstLine.replace(RUNTIME_LOCATION_SUFFIX, '')
+
+    if (sources.extractor !== 'function') {
+        // Templates are rendered, or run in the browser: only the file is known, when the node has a single one
+        const fields = Object.values(sources.fields)
+        return fields.length === 1 ? { file: fields[0].file, message: text } : null
+    }
+
+    const frame = stack && new RegExp(`Function node( setup| cleanup)?:${escapeRegExp(runtimeId)}(?: \\[.*\\])?:(\\d+):(\\d+)`, 'i').exec(stack)
+    let property = 'func'
+    let line
+    let column
+    if (frame) {
+        property = FUNCTION_SCRIPTS[(frame[1] || '').toLowerCase()]
+        const offset = offsets[property]
+        if (offset) {
+            line = Number(frame[2]) - offset.line
+            column = line === 1 ? Number(frame[3]) - offset.column : Number(frame[3])
+        }
+    } else if (suffix && suffix[2]) {
+        // Reference errors of the body are reported by the function node with the line of the code
+        line = Number(suffix[1])
+        column = Number(suffix[2])
+    }
+
+    const field = sources.fields[property]
+    if (!field) {
+        return null
+    }
+    if (!(line >= 1)) {
+        return { file: field.file, message: text }
+    }
+    if (field.bundle) {
+        const mapped = mapBundledLine(field.bundle, line)
+        if (mapped.file) {
+            return { file: mapped.file, line: mapped.line, column: Math.max(column, 1), message: text }
+        }
+        line = mapped.line
+    }
+    return { file: field.file, line: line + field.headerLines, column: Math.max(column, 1), message: text }
+}
+
+/**
+ * @param {SourceLocation} location
+ * @returns {string}
+ */
+function formatLocation(location) {
+    return location.line ? formatCodeError(location) : `${location.file}: ${location.message}`
+}
+
+/**
+ * Map the errors logged by the nodes to their extracted files.
+ * The location is added to the logged entry itself, before the log handlers see it: the console logger is added before
+ * the plugins, and the log handler of the debug node replaces the logged errors by their message. The stack of the
+ * errors ending a message is taken from the `onComplete` hook, as the function node only logs their message.
+ * @param {object} RED - Node-RED runtime
+ * @returns {{setSources: function(Map<string, NodeSources>): void}}
+ */
+function createRuntimeErrorMapper(RED) {
+    const offsets = readFunctionScriptOffsets()
+    /** @type {Map<string, NodeSources>} */
+    let sources = new Map()
+    /** Stack of the last error ending a message, by running node id, until it is logged */
+    const pendingStacks = new Map()
+
+    /**
+     * Point an error logged by a node at its extracted file
+     * @param {object} entry - Log entry, modified in place
+     */
+    const mapEntry = (entry) => {
+        if (!entry || entry.level !== RED.log.ERROR || !entry.id || entry.sourceLocation) {
+            return
+        }
+        const nodeSources = sources.get(entry._alias || entry.id)
+        if (!nodeSources) {
+            return
+        }
+
+        // Errors of the function node sandbox come from another realm, `instanceof Error` does not hold
+        const isError = entry.msg !== null && typeof entry.msg === 'object' && typeof entry.msg.message === 'string'
+        const message = isError ? entry.msg.message : String(entry.msg)
+        let stack = isError && typeof entry.msg.stack === 'string' ? entry.msg.stack : undefined
+        const pending = pendingStacks.get(entry.id)
+        if (pending && pending.error === message) {
+            stack = stack || pending.stack
+        }
+        pendingStacks.delete(entry.id)
+
+        const location = locateError(nodeSources, entry.id, message, stack, offsets)
+        if (location) {
+            entry.msg = formatLocation(location)
+            entry.sourceLocation = location
+        }
+    }
+
+    const log = RED.log.log
+    RED.log.log = function (entry) {
+        try {
+            mapEntry(entry)
+        } catch (error) {
+            // The error is logged as it is
+        }
+        return log.apply(this, arguments)
+    }
+
+    if (RED.hooks) {
+        RED.hooks.add('onComplete.flowSplitterRuntimeErrors', (event) => {
+            const node = event.node && event.node.node
+            const error = event.msg && event.msg.error
+            if (event.error && node && sources.has(node._alias || node.id) && error && typeof error.stack === 'string') {
+                pendingStacks.set(node.id, { error: String(event.error), stack: error.stack })
+            }
+        })
+    }
+
+    return {
+        setSources(nodeSources) {
+            sources = nodeSources
+            pendingStacks.clear()
+        }
+    }
+}
+
+module.exports = {
+    indexNodeSources,
+    locateError,
+    createRuntimeErrorMapper
+}
@@ -0,0 +1,134 @@
+const path = require('path')
+const fs = require('fs-extra')
+
+/**
+ * Safe file system operations
+ * Files and directories are written next to their destination first and then renamed into place,
+ * so a crash never leaves a half written file behind
+ */
+
+/**
+ * Get a temporary path next to the given one
+ * @param {string} target
+ * @param {string} label
+ * @returns {string}
+ */
+function getTempPath(target, label) {
+    return path.join(path.dirname(target), `.${path.basename(target)}.${label}-${process.pid}-${Date.now()}`)
+}
+
+/**
+ * Write a file through a temporary file and a rename
+ * @param {string} file
+ * @param {string} content
+ * @param {BufferEncoding} [encoding]
+ */
+function writeFileAtomic(file, content, encoding = 'utf8') {
+    const tempFile = getTempPath(file, 'tmp')
+    try {
+        fs.writeFileSync(tempFile, content, encoding)
+        fs.renameSync(tempFile, file)
+    } catch (error) {
+        fs.removeSync(tempFile)
+        throw error
+    }
+}
+
+/**
+ * Move a file into place, replacing the existing one
+ * @param {string} source
+ * @param {string} target
+ */
+function moveFileAtomic(source, target) {
+    fs.mkdirSync(path.dirname(target), { recursive: true })
+    try {
+        fs.renameSync(source, target)
+    } catch (error) {
+        // Not on the same device: copy next to the target first
+        if (error.code !== 'EXDEV') {
+            throw error
+        }
+        const tempFile = getTempPath(target, 'tmp')
+        fs.copyFileSync(source, tempFile)
+        fs.renameSync(tempFile, target)
+        fs.removeSync(source)
+    }
+}
+
+/**
+ * Replace a directory by another one (on the same device) with renames only
+ * @param {string} sourceDir - Fully written directory
+ * @param {string} targetDir - Directory to replace, may not exist
+ */
+function replaceDirectory(sourceDir, targetDir) {
+    if (!fs.existsSync(targetDir)) {
+        fs.mkdirSync(path.dirname(targetDir), { recursive: true })
+        fs.renameSync(sourceDir, targetDir)
+        return
+    }
+
+    const replacedDir = getTempPath(targetDir, 'replaced')
+    fs.renameSync(targetDir, replacedDir)
+    try {
+        fs.renameSync(sourceDir, targetDir)
+    } catch (error) {
+        fs.renameSync(replacedDir, targetDir)
+        throw error
+    }
+    fs.removeSync(replacedDir)
+}
+
+/**
+ * List all files of a directory, recursively
+ * @param {string} dir
+ * @returns {Array<string>} Paths relative to the directory
+ */
+function listFilesRecursive(dir) {
+    if (!fs.existsSync(dir)) {
+        return []
+    }
+    const files = []
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        if (entry.isDirectory()) {
+            listFilesRecursive(path.join(dir, entry.name)).forEach(f => files.push(path.join(entry.name, f)))
+        } else if (entry.isFile()) {
+            files.push(entry.name)
+        }
+    })
+    return files
+}
+
+/**
+ * Check whether a file already has the content of another one
+ * @param {string} file - File that may not exist
+ * @param {string} newFile - File holding the new content
+ * @returns {boolean}
+ */
+function hasSameContent(file, newFile) {
+    return fs.existsSync(file) && fs.readFileSync(file).equals(fs.readFileSync(newFile))
+}
+
+/**
+ * Check whether two directories hold the same files with the same content
+ * @param {string} dir - Directory that may not exist
+ * @param {string} newDir - Directory holding the new files
+ * @returns {boolean}
+ */
+function hasSameFiles(dir, newDir) {
+    if (!fs.existsSync(dir)) {
+        return false
+    }
+    const files = listFilesRecursive(dir).sort()
+    const newFiles = listFilesRecursive(newDir).sort()
+    return files.length === newFiles.length &&
+        files.every((file, i) => file === newFiles[i] && hasSameContent(path.join(dir, file), path.join(newDir, file)))
+}
+
+module.exports = {
+    writeFileAtomic,
+    moveFileAtomic,
+    replaceDirectory,
+    listFilesRecursive,
+    hasSameContent,
+    hasSameFiles
+}
@@ -0,0 +1,280 @@
+const path = require('path')
+const fs = require('fs-extra')
+const util = require('util')
+const yaml = require('js-yaml')
+const eol = require('eol')
+const { writeFileAtomic, listFilesRecursive } = require('./safe-fs')
+const { LAYOUT_DIR } = require('./layout')
+
+/**
+ * Source tree migration
+ * The file format and destination folder the source tree was last written with are recorded, so that a change of
+ * `fileFormat` or `destinationFolder` moves the whole tree (split files, layout files, extracted folders and their
+ * manifests) instead of leaving it behind. The new tree is written and checked in a staging folder, then renamed into
+ * place, and the old one is archived.
+ */
+
+/**
+ * Format and folder of the source tree on disk
+ */
+const STATE_FILE = path.join('.flow-splitter', 'source-tree.json')
+
+/**
+ * Staging folder of the migrated tree
+ */
+const STAGING_DIR = path.join('.flow-splitter', 'migration')
+
+/**
+ * Old source trees, by date of the migration
+ */
+const ARCHIVE_DIR = path.join('.flow-splitter', 'migrated')
+
+/**
+ * Folders holding the split files, which are written in the file format
+ */
+const FLOW_DIRS = ['tabs', 'subflows', 'config-nodes']
+
+/**
+ * Format and folder a source tree is written with
+ * @typedef {object} SourceTreeState
+ * @property {string} fileFormat - `yaml` or `json`
+ * @property {string} destinationFolder
+ */
+
+/**
+ * @param {object} cfg - Splitter configuration
+ * @returns {SourceTreeState}
+ */
+function getConfiguredState(cfg) {
+    return { fileFormat: cfg.fileFormat === 'yaml' ? 'yaml' : 'json', destinationFolder: cfg.destinationFolder || 'src' }
+}
+
+/**
+ * @param {string} fileFormat
+ * @returns {string}
+ */
+function getExtension(fileFormat) {
+    return fileFormat === 'yaml' ? '.yaml' : '.json'
+}
+
+/**
+ * Read the recorded state of the source tree
+ * @param {string} projectPath - Path to the project
+ * @returns {SourceTreeState | null} - null when none was recorded yet
+ */
+function readSourceTreeState(projectPath) {
+    const file = path.join(projectPath, STATE_FILE)
+    if (!fs.existsSync(file)) {
+        return null
+    }
+    try {
+        const state = JSON.parse(fs.readFileSync(file, 'utf8'))
+        return state && typeof state.fileFormat === 'string' && typeof state.destinationFolder === 'string' ? state : null
+    } catch (error) {
+        return null
+    }
+}
+
+/**
+ * Record the state of the source tree, when it changed
+ * @param {SourceTreeState} state
+ * @param {string} projectPath - Path to the project
+ */
+function writeSourceTreeState(state, projectPath) {
+    const file = path.join(projectPath, STATE_FILE)
+    const content = JSON.stringify(state, null, 2)
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) {
+        return
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    writeFileAtomic(file, content)
+}
+
+/**
+ * List the files of a source tree written in a file format: split files and layout files.
+ * Extracted folders are not listed, their files keep their own formats.
+ * @param {string} srcDir - Source tree folder
+ * @param {string} fileFormat
+ * @returns {Array<string>} Paths relative to the source tree folder
+ */
+function listFormatFiles(srcDir, fileFormat) {
+    const extension = getExtension(fileFormat)
+    const dirs = FLOW_DIRS.concat(['tabs', 'subflows'].map(dir => path.join(LAYOUT_DIR, dir)))
+    const files = []
+    dirs.forEach((dir) => {
+        if (!fs.existsSync(path.join(srcDir, dir))) {
+            return
+        }
+        fs.readdirSync(path.join(srcDir, dir), { withFileTypes: true })
+            .filter(entry => entry.isFile() && entry.name.endsWith(extension))
+            .forEach(entry => files.push(path.join(dir, entry.name)))
+    })
+    return files
+}
+
+/**
+ * @param {string} text
+ * @param {string} fileFormat
+ * @returns {any}
+ */
+function parse(text, fileFormat) {
+    return fileFormat === 'yaml' ? yaml.load(text) : JSON.parse(text)
+}
+
+/**
+ * @param {any} content
+ * @param {string} fileFormat
+ * @returns {string}
+ */
+function stringify(content, fileFormat) {
+    return eol.auto(fileFormat === 'yaml'
+        ? yaml.dump(content, { indent: 2, lineWidth: -1, noRefs: true, sortKeys: false })
+        : JSON.stringify(content, null, 2))
+}
+
+/**
+ * Find the format and folder of the source tree on disk. Without recorded state, a tree only written in the other
+ * format is taken as written before `fileFormat` changed.
+ * @param {SourceTreeState} configured
+ * @param {string} projectPath - Path to the project
+ * @returns {SourceTreeState}
+ */
+function getPreviousState(configured, projectPath) {
+    const recorded = readSourceTreeState(projectPath)
+    if (recorded) {
+        return recorded
+    }
+    const srcDir = path.join(projectPath, configured.destinationFolder)
+    const otherFormat = configured.fileFormat === 'yaml' ? 'json' : 'yaml'
+    if (listFormatFiles(srcDir, configured.fileFormat).length === 0 && listFormatFiles(srcDir, otherFormat).length > 0) {
+        return { ...configured, fileFormat: otherFormat }
+    }
+    return configured
+}
+
+/**
+ * Write the source tree in its new format into the staging folder, then check every file against the old tree
+ * @param {string} oldDir - Source tree folder
+ * @param {string} stagingDir - Folder of the new tree
+ * @param {SourceTreeState} previous
+ * @param {SourceTreeState} configured
+ * @returns {number} - Converted files
+ * @throws {Error} When a file cannot be converted or differs from the old one
+ */
+function stageSourceTree(oldDir, stagingDir, previous, configured) {
+    const oldExtension = getExtension(previous.fileFormat)
+    const newExtension = getExtension(configured.fileFormat)
+    const formatFiles = new Set(previous.fileFormat === configured.fileFormat ? [] : listFormatFiles(oldDir, previous.fileFormat))
+    const getNewFile = file => formatFiles.has(file) ? `${file.slice(0, -oldExtension.length)}${newExtension}` : file
+
+    fs.copySync(oldDir, stagingDir, { filter: source => !formatFiles.has(path.relative(oldDir, source)) })
+    formatFiles.forEach((file) => {
+        let content
+        try {
+            content = parse(fs.readFileSync(path.join(oldDir, file), 'utf8'), previous.fileFormat)
+        } catch (error) {
+            throw new Error(`Cannot read '${file}': ${error.message}`)
+        }
+        fs.writeFileSync(path.join(stagingDir, getNewFile(file)), stringify(content, configured.fileFormat), 'utf8')
+    })
+
+    // The new tree checks out when it holds the same files, with the same content
+    const oldFiles = listFilesRecursive(oldDir)
+    const stagedFiles = new Set(listFilesRecursive(stagingDir))
+    oldFiles.forEach((file) => {
+        const newFile = getNewFile(file)
+        if (!stagedFiles.has(newFile)) {
+            throw new Error(`'${newFile}' is missing in the migrated tree`)
+        }
+        stagedFiles.delete(newFile)
+        const same = formatFiles.has(file)
+            ? util.isDeepStrictEqual(
+                parse(fs.readFileSync(path.join(stagingDir, newFile), 'utf8'), configured.fileFormat),
+                parse(fs.readFileSync(path.join(oldDir, file), 'utf8'), previous.fileFormat))
+            : fs.readFileSync(path.join(stagingDir, newFile)).equals(fs.readFileSync(path.join(oldDir, file)))
+        if (!same) {
+            throw new Error(`'${newFile}' differs from '${file}' in the migrated tree`)
+        }
+    })
+    if (stagedFiles.size > 0) {
+        throw new Error(`'${[...stagedFiles][0]}' is not in the source tree`)
+    }
+    return formatFiles.size
+}
+
+/**
+ * Move the source tree to the configured format and folder when they changed since it was last written.
+ * The new tree is written and checked in `.flow-splitter/migration/`, then the old tree is moved to
+ * `.flow-splitter/migrated/<date>/` and the new one renamed into place; the old tree is put back if the rename fails.
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {object} RED - Node-RED runtime
+ * @returns {boolean} - Whether the tree was migrated
+ * @throws {Error} When the tree cannot be migrated, nothing is changed then
+ */
+function migrateSourceTree(cfg, projectPath, RED) {
+    const configured = getConfiguredState(cfg)
+    const previous = getPreviousState(configured, projectPath)
+    if (previous.fileFormat === configured.fileFormat && previous.destinationFolder === configured.destinationFolder) {
+        writeSourceTreeState(configured, projectPath)
+        return false
+    }
+
+    const oldDir = path.join(projectPath, previous.destinationFolder)
+    const newDir = path.join(projectPath, configured.destinationFolder)
+    // Nothing to migrate, e.g. the tree was already moved in another clone of the project
+    if (listFormatFiles(oldDir, previous.fileFormat).length === 0) {
+        writeSourceTreeState(configured, projectPath)
+        return false
+    }
+
+    const from = `'${previous.destinationFolder}' (${previous.fileFormat})`
+    const to = `'${configured.destinationFolder}' (${configured.fileFormat})`
+    if (oldDir === newDir) {
+        if (listFormatFiles(newDir, configured.fileFormat).length > 0) {
+            throw new Error(`Cannot migrate the source tree to ${configured.fileFormat}: '${configured.destinationFolder}' holds both ${previous.fileFormat} and ${configured.fileFormat} files, remove the outdated ones`)
+        }
+    } else {
+        const isInside = (dir, parent) => path.relative(parent, dir).split(path.sep)[0] !== '..'
+        if (isInside(newDir, oldDir) || isInside(oldDir, newDir)) {
+            throw new Error(`Cannot migrate the source tree from ${from} to ${to}: the folders are nested, move it by hand`)
+        }
+        if (listFilesRecursive(newDir).length > 0) {
+            throw new Error(`Cannot migrate the source tree from ${from} to ${to}: '${configured.destinationFolder}' is not empty`)
+        }
+    }
+
+    const stagingRoot = path.join(projectPath, STAGING_DIR)
+    const stagingDir = path.join(stagingRoot, configured.destinationFolder)
+    fs.removeSync(stagingRoot)
+    try {
+        let converted
+        try {
+            converted = stageSourceTree(oldDir, stagingDir, previous, configured)
+        } catch (error) {
+            throw new Error(`Cannot migrate the source tree from ${from} to ${to}: ${error.message}`)
+        }
+
+        const archiveDir = path.join(projectPath, ARCHIVE_DIR, new Date().toISOString().replace(/[:.]/g, '-'), previous.destinationFolder)
+        fs.mkdirSync(path.dirname(archiveDir), { recursive: true })
+        fs.renameSync(oldDir, archiveDir)
+        try {
+            fs.removeSync(newDir)
+            fs.mkdirSync(path.dirname(newDir), { recursive: true })
+            fs.renameSync(stagingDir, newDir)
+        } catch (error) {
+            fs.renameSync(archiveDir, oldDir)
+            throw error
+        }
+        writeSourceTreeState(configured, projectPath)
+
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Migrated the source tree from ${from} to ${to}, ${converted} file(s) converted, the old tree is kept in '${path.relative(projectPath, archiveDir)}'`)
+        return true
+    } finally {
+        fs.removeSync(stagingRoot)
+    }
+}
+
+module.exports = {
+    migrateSourceTree
+}
@@ -0,0 +1,174 @@
+const path = require('path')
+const fs = require('fs')
+const { TEST_FIXTURE_SUFFIX } = require('./functions-templates-handler')
+
+/**
+ * Source files watcher
+ * Watches the split flow files and the extracted function/template files
+ * and triggers a debounced callback when one of them changes on disk
+ */
+
+/**
+ * Time during which events are still ignored after the watcher has been resumed.
+ * File system events of our own writes can be delivered slightly after the write itself.
+ */
+const RESUME_GRACE_MS = 250
+
+/**
+ * List the subdirectories of a directory, recursively (extracted files can be in group folders)
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function listSubdirs(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .flatMap((entry) => {
+            const subdir = path.join(dir, entry.name)
+            return [subdir, ...listSubdirs(subdir)]
+        })
+}
+
+/**
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isDirectory(filePath) {
+    try {
+        return fs.statSync(filePath).isDirectory()
+    } catch (error) {
+        return false
+    }
+}
+
+/**
+ * Create a watcher on the given flow directories (tabs, subflows) and all their subdirectories
+ * @param {object} options
+ * @param {Array<string>} options.dirs - Flow directories to watch
+ * @param {Array<string>} [options.moduleDirs] - Directories of local modules to watch, where all files count
+ * @param {string} options.flowExtension - Extension of the split flow files (other files only count in subdirectories)
+ * @param {number} options.debounceMs - Time to wait after the last change before calling `onChange`
+ * @param {function(Array<string>): void} options.onChange - Called with the list of changed files
+ * @param {object} RED - Node-RED runtime
+ * @returns {{close: function(): void, suspend: function(): void, resume: function(): void}}
+ */
+function createSourceWatcher({ dirs, moduleDirs = [], flowExtension, debounceMs, onChange }, RED) {
+    const watchers = new Map()
+    const changedFiles = new Set()
+    let debounceTimer = null
+    let suspendCount = 0
+    let ignoreUntil = 0
+    let closed = false
+
+    function isWatchedFile(filename, isFlowDir) {
+        if (!filename) return false
+        const basename = path.basename(filename)
+        if (basename.startsWith('.') || basename.endsWith('~') || basename.endsWith('.conflict')) return false
+        // Test fixtures do not change the flows
+        if (basename.endsWith(TEST_FIXTURE_SUFFIX)) return false
+        // Extracted files can have any extension, depending on the extractor
+        return isFlowDir ? basename.endsWith(flowExtension) : true
+    }
+
+    function schedule(filePath) {
+        if (suspendCount > 0 || Date.now() < ignoreUntil) {
+            return
+        }
+        changedFiles.add(filePath)
+        clearTimeout(debounceTimer)
+        debounceTimer = setTimeout(() => {
+            debounceTimer = null
+            const files = Array.from(changedFiles)
+            changedFiles.clear()
+            if (closed || suspendCount > 0) return
+            onChange(files)
+        }, debounceMs)
+    }
+
+    function watchDir(dir, flowDir) {
+        const isFlowDir = dir === flowDir && !moduleDirs.includes(flowDir)
+        if (watchers.has(dir) || !fs.existsSync(dir)) {
+            return
+        }
+        try {
+            const watcher = fs.watch(dir, (eventType, filename) => {
+                if (eventType === 'rename') {
+                    // A tab, subflow or group directory may have been added or removed
+                    refreshSubdirs(flowDir)
+                }
+                if (isWatchedFile(filename, isFlowDir) && !isDirectory(path.join(dir, filename))) {
+                    schedule(path.join(dir, filename))
+                }
+            })
+            watcher.on('error', () => unwatchDir(dir))
+            watchers.set(dir, watcher)
+        } catch (error) {
+            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Cannot watch directory ${dir}: ${error.message}`)
+        }
+    }
+
+    function unwatchDir(dir) {
+        const watcher = watchers.get(dir)
+        if (watcher) {
+            watcher.close()
+            watchers.delete(dir)
+        }
+    }
+
+    function refreshSubdirs(flowDir) {
+        if (closed) return
+        if (!fs.existsSync(flowDir)) {
+            return
+        }
+        const subdirs = listSubdirs(flowDir)
+
+        subdirs.forEach(subdir => watchDir(subdir, flowDir))
+
+        // Stop watching removed subdirectories
+        Array.from(watchers.keys())
+            .filter(dir => dir.startsWith(`${flowDir}${path.sep}`) && !subdirs.includes(dir))
+            .forEach(unwatchDir)
+    }
+
+    const watchedDirs = dirs.concat(moduleDirs)
+    watchedDirs.forEach(dir => {
+        watchDir(dir, dir)
+        refreshSubdirs(dir)
+    })
+
+    return {
+        /**
+         * Stop watching all directories
+         */
+        close() {
+            closed = true
+            clearTimeout(debounceTimer)
+            Array.from(watchers.keys()).forEach(unwatchDir)
+        },
+        /**
+         * Ignore all events until `resume` is called (calls can be nested)
+         */
+        suspend() {
+            suspendCount++
+            clearTimeout(debounceTimer)
+            changedFiles.clear()
+        },
+        /**
+         * Listen to events again, after a short grace period for our own pending writes
+         */
+        resume() {
+            suspendCount = Math.max(0, suspendCount - 1)
+            if (suspendCount === 0) {
+                ignoreUntil = Date.now() + RESUME_GRACE_MS
+                // Directories may have been created or removed while suspended
+                watchedDirs.forEach(dir => {
+                    watchDir(dir, dir)
+                    refreshSubdirs(dir)
+                })
+            }
+        }
+    }
+}
+
+module.exports = {
+    createSourceWatcher
+}
@@ -0,0 +1,1211 @@
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const manager = require('flows-file-manager')
+const eol = require('eol')
+const yaml = require('js-yaml')
+const functionsTemplatesHandler = require('./functions-templates-handler')
+const { CodeValidationError, formatCodeError } = require('./code-validator')
+const { writeFileAtomic, moveFileAtomic, listFilesRecursive, hasSameContent } = require('./safe-fs')
+const history = require('./history')
+const { writeIdeTypings } = require('./ide-typings')
+const environments = require('./environments')
+const credentials = require('./credentials')
+const layout = require('./layout')
+const flowFilters = require('./flow-filters')
+const { migrateSourceTree } = require('./source-migration')
+
+/**
+ * Splitter
+ * File based operations on the split source tree: configuration, splitting, rebuilding,
+ * extraction and restore of functions/templates.
+ * Used by the Node-RED plugin (index.js) and by the command line interface (bin/flow-splitter.js).
+ */
+
+/**
+ * Runtime used for logging and settings: the Node-RED runtime in the plugin,
+ * or an object providing the same `log` and `settings` when running without Node-RED (CLI).
+ * @typedef {object} SplitterRuntime
+ * @property {{info: function(string): void, warn: function(string): void, error: function(string): void}} log
+ * @property {{flowFile?: string}} settings
+ */
+
+/**
+ * Exposing the runtime globally to avoid passing it in every functions.
+ * @type {SplitterRuntime}
+ */
+let RED
+
+/**
+ * Set the runtime providing the logger and settings
+ * @param {SplitterRuntime} runtime
+ */
+function setRuntime(runtime) {
+    RED = runtime
+}
+
+/**
+ * Outcome of the last run of an operation
+ * @typedef {object} RunStats
+ * @property {string} time - Start, ISO date
+ * @property {number} durationMs
+ * @property {boolean} success
+ * @property {string} [error] - Error that stopped the operation
+ * @property {Array<string>} warnings - Problems logged during the run, e.g. files that could not be processed
+ */
+
+/**
+ * Last run of the split, extract and restore operations, by operation
+ * @type {Object<string, RunStats>}
+ */
+const lastRuns = {}
+
+/**
+ * Runs in progress (a split includes an extraction), collecting the warnings
+ * @type {Array<RunStats>}
+ */
+const activeRuns = []
+
+/**
+ * Run an operation, recording its time, duration, outcome and warnings
+ * @template T
+ * @param {string} name - Operation
+ * @param {function(): T} operation
+ * @returns {T}
+ */
+function trackRun(name, operation) {
+    const run = { time: new Date().toISOString(), durationMs: 0, success: true, warnings: [] }
+    const start = Date.now()
+    activeRuns.push(run)
+    try {
+        return operation()
+    } catch (error) {
+        run.success = false
+        run.error = error.message
+        throw error
+    } finally {
+        activeRuns.splice(activeRuns.indexOf(run), 1)
+        run.durationMs = Date.now() - start
+        lastRuns[name] = run
+    }
+}
+
+/**
+ * Log a warning and add it to the runs in progress
+ * @param {string} message
+ */
+function warn(message) {
+    RED.log.warn(`[node-red-contrib-flow-splitter-extended] ${message}`)
+    activeRuns.forEach(run => run.warnings.push(message))
+}
+
+/**
+ * @returns {Object<string, RunStats>} Last run of the split, extract and restore operations since the runtime started
+ */
+function getLastRuns() {
+    return lastRuns
+}
+
+const splitCfgFilename = '.config.flow-splitter.json'
+const DEFAULT_CFG = {
+    fileFormat: 'yaml',
+    destinationFolder: 'src',
+    tabsOrder: [],
+    monolithFilename: "flows.json",
+    extractFunctionsTemplates: true,
+    restoreFunctionsTemplates: false,
+    extractors: [],
+    include: [],
+    exclude: [],
+    fileNaming: 'name',
+    groupDirectories: false,
+    separateLayout: false,
+    environment: '',
+    splitCredentials: false,
+    generateIdeTypings: true,
+    mapRuntimeErrors: true,
+    onSyntaxError: 'abort',
+    onExtractConflict: 'copy',
+    reloadMode: 'nodes',
+    historyLimit: 20,
+    watchSourceFiles: false,
+    watchDebounceMs: 500,
+    gitAutoCommit: false,
+    gitBranch: '',
+    gitAuthor: '',
+    gitCommitMessage: 'Update flows: {summary}\n\n{details}'
+}
+
+/**
+ * Write splitter configuration to disk
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ */
+function writeSplitterConfig(cfg, projectPath) {
+    try {
+        const splitterCfgToWrite = JSON.parse(JSON.stringify(cfg))
+        delete splitterCfgToWrite.monolithFilename
+        const cfgPath = path.join(projectPath, splitCfgFilename)
+        const content = eol.auto(JSON.stringify(splitterCfgToWrite, null, 2))
+        // Keep the modification time when nothing changed
+        if (fs.existsSync(cfgPath) && fs.readFileSync(cfgPath, 'utf8') === content) {
+            return
+        }
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Writing new config")
+        writeFileAtomic(cfgPath, content)
+    } catch (error) {
+        RED.log.warn(`[node-red-contrib-flow-splitter-extended] Could not write splitter config '${splitCfgFilename}': ${error}`)
+    }
+}
+
+/**
+ * Allowed values of the configuration keys that are not free text
+ */
+const CFG_CHOICES = {
+    fileFormat: ['yaml', 'json'],
+    fileNaming: ['name', 'name-id', 'id'],
+    onSyntaxError: ['abort', 'warn'],
+    onExtractConflict: ['copy', 'keep'],
+    reloadMode: ['nodes', 'full']
+}
+
+/**
+ * Check a splitter configuration before it is written
+ * @param {object} cfg - Splitter configuration
+ * @returns {Array<string>} Problems found, empty when the configuration is valid
+ */
+function validateSplitterConfig(cfg) {
+    const errors = []
+
+    Object.keys(cfg).forEach((key) => {
+        if (!(key in DEFAULT_CFG)) {
+            errors.push(`Unknown option '${key}'`)
+        }
+    })
+
+    Object.keys(CFG_CHOICES).forEach((key) => {
+        if (key in cfg && !CFG_CHOICES[key].includes(cfg[key])) {
+            errors.push(`'${key}' must be one of ${CFG_CHOICES[key].join(', ')}`)
+        }
+    })
+
+    ;['extractFunctionsTemplates', 'restoreFunctionsTemplates', 'groupDirectories', 'separateLayout', 'splitCredentials', 'generateIdeTypings', 'mapRuntimeErrors', 'watchSourceFiles', 'gitAutoCommit'].forEach((key) => {
+        if (key in cfg && typeof cfg[key] !== 'boolean') {
+            errors.push(`'${key}' must be true or false`)
+        }
+    })
+
+    ;['historyLimit', 'watchDebounceMs'].forEach((key) => {
+        if (key in cfg && !(Number.isInteger(cfg[key]) && cfg[key] >= 0)) {
+            errors.push(`'${key}' must be a positive integer`)
+        }
+    })
+
+    if ('destinationFolder' in cfg) {
+        const folder = cfg.destinationFolder
+        if (typeof folder !== 'string' || folder.trim() === '') {
+            errors.push("'destinationFolder' must not be empty")
+        } else if (path.isAbsolute(folder) || path.normalize(folder).split(/[\\/]/)[0] === '..') {
+            errors.push("'destinationFolder' must be a folder inside the project")
+        }
+    }
+
+    if ('environment' in cfg && !(typeof cfg.environment === 'string' && /^[\w.-]*$/.test(cfg.environment) && !/^\.+$/.test(cfg.environment))) {
+        errors.push("'environment' must be the name of a folder in the 'environments' folder, or empty")
+    }
+
+    if ('gitBranch' in cfg && !(typeof cfg.gitBranch === 'string' && /^[^\s~^:?*[\\]*$/.test(cfg.gitBranch))) {
+        errors.push("'gitBranch' must be the name of a branch, or empty")
+    }
+    if ('gitAuthor' in cfg && !(typeof cfg.gitAuthor === 'string' && /^([^<>]+ <[^<>]+>)?$/.test(cfg.gitAuthor))) {
+        errors.push("'gitAuthor' must be like 'Name <email>', or empty")
+    }
+    if ('gitCommitMessage' in cfg && !(typeof cfg.gitCommitMessage === 'string' && cfg.gitCommitMessage.trim() !== '')) {
+        errors.push("'gitCommitMessage' must not be empty")
+    }
+
+    if ('tabsOrder' in cfg && !(Array.isArray(cfg.tabsOrder) && cfg.tabsOrder.every(id => typeof id === 'string'))) {
+        errors.push("'tabsOrder' must be a list of tab ids")
+    }
+    if ('extractors' in cfg && !Array.isArray(cfg.extractors)) {
+        errors.push("'extractors' must be a list")
+    }
+    ;['include', 'exclude'].forEach((key) => {
+        if (key in cfg) {
+            errors.push(...flowFilters.validateFilterRules(key, cfg[key]))
+        }
+    })
+
+    return errors
+}
+
+/**
+ * Load splitter configuration from disk
+ * @param {string} projectPath - Path to the project
+ * @returns {object} Splitter configuration
+ */
+function loadSplitterConfig(projectPath) {
+    let cfg = { ...DEFAULT_CFG }
+    cfg.monolithFilename = RED.settings.flowFile || 'flows.json'
+    
+    const configPath = path.join(projectPath, splitCfgFilename)
+    if (fs.existsSync(configPath)) {
+        const loadedCfg = JSON.parse(fs.readFileSync(configPath))
+        cfg = { ...cfg, ...loadedCfg }
+        cfg.monolithFilename = loadedCfg.monolithFilename || RED.settings.flowFile || 'flows.json'
+    }
+    return cfg
+}
+
+/**
+ * Extract functions and templates from split flow files
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {import('./history').SnapshotRecorder} [snapshot] - Snapshot saving the directories before they are changed
+ * @param {Set<string>} [onlyFiles] - Split files to extract from, relative to the project (default: all)
+ * @returns {Array<object>} Files edited on disk that conflicted with the flows (see `extractFunctionsAndTemplates`)
+ */
+function extractFunctionsTemplatesFromSplitFiles(cfg, projectPath, snapshot = history.startSnapshot(projectPath, cfg, 'extract', RED), onlyFiles) {
+    if (cfg.extractFunctionsTemplates === false) {
+        return []
+    }
+
+    return trackRun('extract', () => {
+        const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+        const tabsDir = path.join(srcDir, 'tabs')
+        const subflowsDir = path.join(srcDir, 'subflows')
+
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Extracting functions and templates...")
+
+        const registry = functionsTemplatesHandler.createExtractorRegistry(cfg.extractors, RED)
+        const filter = flowFilters.createFlowFilter(cfg, projectPath)
+
+        const options = {
+            onConflict: cfg.onExtractConflict,
+            fileNaming: cfg.fileNaming,
+            groupDirectories: cfg.groupDirectories === true,
+            beforeChange: dir => snapshot.save([dir]),
+            isIgnoredNode: filter.isIgnoredNode,
+            onlyFiles,
+            projectPath
+        }
+        const conflicts = [
+            ...processFlowDirectory(tabsDir, cfg.fileFormat, 'tab', registry, options, filter),
+            ...processFlowDirectory(subflowsDir, cfg.fileFormat, 'subflow', registry, options, filter)
+        ]
+    
+        // Clean up orphaned directories from renamed/deleted flows
+        cleanupOrphanedDirectories(tabsDir, cfg.fileFormat, snapshot, getIgnoredFlowFilenames(cfg, projectPath, 'tab'))
+        cleanupOrphanedDirectories(subflowsDir, cfg.fileFormat, snapshot, getIgnoredFlowFilenames(cfg, projectPath, 'subflow'))
+
+        if (cfg.generateIdeTypings !== false) {
+            writeIdeTypings(srcDir, listExtractedFiles(cfg, projectPath), RED)
+        }
+
+        if (conflicts.length > 0) {
+            const nodes = [...new Set(conflicts.map(c => c.nodeId))]
+            warn(`${conflicts.length} extracted file(s) edited on disk conflicted with the deployed flows, nodes: ${nodes.join(', ')}`)
+        }
+
+        return conflicts
+    })
+}
+
+/**
+ * List the extracted functions/templates of each tab and subflow, from the manifests
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {Array<{flowType: string, flowName: string, nodes: Array<object>}>}
+ */
+function listExtractedFiles(cfg, projectPath) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+    const flows = []
+
+    ;[['tab', 'tabs'], ['subflow', 'subflows']].forEach(([flowType, subDir]) => {
+        const dir = path.join(srcDir, subDir)
+        if (!fs.existsSync(dir)) {
+            return
+        }
+
+        fs.readdirSync(dir).filter(f => f.endsWith(extension)).forEach((file) => {
+            const flowName = path.basename(file, extension)
+            flows.push({ flowType, flowName, nodes: functionsTemplatesHandler.listExtractedFiles(dir, flowName, RED) })
+        })
+    })
+
+    return flows
+}
+
+/**
+ * Extracted files of a node, as listed in the manifest of its tab or subflow
+ * @typedef {object} InventoryNode
+ * @property {string} nodeId
+ * @property {string} name
+ * @property {string} extractor
+ * @property {Array<{file: string, missing: boolean}>} files - Paths relative to the project, `missing` when not on disk
+ * @property {string | null} testFile - Test fixture of the node, relative to the project
+ * @property {Array<string>} typescriptFiles - TypeScript sources of the node, relative to the project
+ * @property {Array<string>} editedOutsideTypeScript - Properties whose code was edited outside of their TypeScript source
+ * @property {boolean} orphan - The node is no longer in the flow file
+ */
+
+/**
+ * Inventory of the source tree: the split files, the extracted files of each node, and the problems found
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {{flows: Array<{flowType: string, flowName: string, file: string, nodeCount: number, nodes: Array<InventoryNode>, orphanFiles: Array<string>}>, configNodeFiles: Array<string>, orphanDirectories: Array<string>, ignoredFlows: Array<{flowType: string, id: string, name: string, nodeCount: number}>}}
+ */
+function getInventory(cfg, projectPath) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+    const relative = file => path.relative(projectPath, file).split(path.sep).join('/')
+    const inventory = { flows: [], configNodeFiles: [], orphanDirectories: [], ignoredFlows: [] }
+
+    ;[['tab', 'tabs'], ['subflow', 'subflows']].forEach(([flowType, subDir]) => {
+        const dir = path.join(srcDir, subDir)
+        if (!fs.existsSync(dir)) {
+            return
+        }
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+
+        entries.filter(e => e.isFile() && e.name.endsWith(extension)).forEach((entry) => {
+            const flowName = path.basename(entry.name, extension)
+            const extractedDir = path.join(dir, flowName)
+
+            let nodeIds = null
+            try {
+                const flowData = extension === '.yaml' ? yaml.load(fs.readFileSync(path.join(dir, entry.name), 'utf8')) : JSON.parse(fs.readFileSync(path.join(dir, entry.name), 'utf8'))
+                nodeIds = new Set((Array.isArray(flowData) ? flowData : [flowData]).filter(n => n && n.id).map(n => n.id))
+            } catch (error) {
+                warn(`Cannot read ${flowType} ${flowName}: ${error.message}`)
+            }
+
+            const nodes = functionsTemplatesHandler.listExtractedFiles(dir, flowName, RED).map(node => ({
+                nodeId: node.nodeId,
+                name: node.name,
+                extractor: node.extractor,
+                files: node.files.map(file => ({ file: relative(path.join(extractedDir, file)), missing: !fs.existsSync(path.join(extractedDir, file)) })),
+                testFile: node.testFile && fs.existsSync(path.join(extractedDir, node.testFile)) ? relative(path.join(extractedDir, node.testFile)) : null,
+                typescriptFiles: Object.values(node.typescript).map(file => relative(path.join(extractedDir, file))),
+                editedOutsideTypeScript: node.editedOutsideTypeScript,
+                orphan: nodeIds !== null && !nodeIds.has(node.nodeId)
+            }))
+
+            // Files of the extracted directory that no manifest entry accounts for
+            const known = new Set(nodes.flatMap(node => [...node.files.map(f => f.file), ...node.typescriptFiles, node.testFile]))
+            const orphanFiles = listFilesRecursive(extractedDir)
+                .map(file => relative(path.join(extractedDir, file)))
+                .filter(file => !known.has(file) && path.posix.basename(file) !== '.manifest.json')
+
+            inventory.flows.push({
+                flowType,
+                flowName,
+                file: relative(path.join(dir, entry.name)),
+                nodeCount: nodeIds ? nodeIds.size : 0,
+                nodes,
+                orphanFiles
+            })
+        })
+
+        const ignoredNames = getIgnoredFlowFilenames(cfg, projectPath, flowType)
+        entries.filter(e => e.isDirectory() && !ignoredNames.has(e.name) && !entries.some(f => f.isFile() && f.name === `${e.name}${extension}`))
+            .forEach(e => inventory.orphanDirectories.push(relative(path.join(dir, e.name))))
+    })
+
+    inventory.configNodeFiles = listFilesRecursive(path.join(srcDir, 'config-nodes'))
+        .filter(file => file.endsWith(extension))
+        .map(file => relative(path.join(srcDir, 'config-nodes', file)))
+
+    let ignored = null
+    try {
+        ignored = flowFilters.readIgnoredFlows(cfg, projectPath)
+    } catch (error) {
+        warn(`Cannot read the ignored flows: ${error.message}`)
+    }
+    inventory.ignoredFlows = (ignored ? ignored.nodes : [])
+        .filter(n => n.type === 'tab' || n.type === 'subflow')
+        .map(flow => ({
+            flowType: flow.type,
+            id: flow.id,
+            name: flow.type === 'tab' ? flow.label : flow.name,
+            nodeCount: ignored.nodes.filter(n => n.z === flow.id).length
+        }))
+
+    return inventory
+}
+
+/**
+ * Remove subdirectories that don't have a corresponding flow file
+ * @param {string} dir - Directory to clean (tabs or subflows)
+ * @param {string} fileFormat - File format (yaml or json)
+ * @param {import('./history').SnapshotRecorder} snapshot - Snapshot saving the directories before they are removed
+ * @param {Set<string>} [keptNames] - Subdirectories never removed, those of the ignored tabs or subflows
+ */
+function cleanupOrphanedDirectories(dir, fileFormat, snapshot, keptNames = new Set()) {
+    if (!fs.existsSync(dir)) {
+        return
+    }
+
+    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
+    
+    // Get all flow files
+    const flowFiles = fs.readdirSync(dir)
+        .filter(f => f.endsWith(extension))
+        .map(f => path.basename(f, extension))
+    
+    // Get all subdirectories
+    const subdirs = fs.readdirSync(dir)
+        .filter(f => {
+            const fullPath = path.join(dir, f)
+            return fs.statSync(fullPath).isDirectory()
+        })
+    
+    // Remove orphaned subdirectories
+    subdirs.forEach(subdir => {
+        if (!flowFiles.includes(subdir) && !keptNames.has(subdir)) {
+            const subdirPath = path.join(dir, subdir)
+            try {
+                snapshot.save([subdirPath])
+                fs.rmSync(subdirPath, { recursive: true, force: true })
+                RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed orphaned directory: ${subdir}`)
+            } catch (error) {
+                RED.log.warn(`[node-red-contrib-flow-splitter-extended] Could not remove orphaned directory ${subdir}: ${error.message}`)
+            }
+        }
+    })
+}
+
+/**
+ * Names of the split files of the ignored tabs or subflows, which the cleanup leaves alone
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {string} flowType - tab or subflow
+ * @returns {Set<string>} - Without extension
+ */
+function getIgnoredFlowFilenames(cfg, projectPath, flowType) {
+    let ignored = null
+    try {
+        ignored = flowFilters.readIgnoredFlows(cfg, projectPath)
+    } catch (error) {
+        warn(`Cannot read the ignored flows: ${error.message}`)
+    }
+    return new Set((ignored ? ignored.nodes : []).filter(n => n.type === flowType).map(getFlowFilename))
+}
+
+/**
+ * Tell whether a split file holds a tab or subflow ignored by the filter rules, left from before it was ignored
+ * @param {Array<object>} flowNodes - Nodes of the split file
+ * @param {string} flowType - tab or subflow
+ * @param {import('./flow-filters').FlowFilter} filter
+ * @returns {boolean}
+ */
+function isIgnoredFlowFile(flowNodes, flowType, filter) {
+    const flowNode = flowNodes.find(n => n && n.type === flowType)
+    return Boolean(flowNode) && filter.isIgnoredFlow(flowNode)
+}
+
+/**
+ * Get the name of the split file of a tab or subflow, without extension
+ * @param {object} node - Tab or subflow node
+ * @returns {string}
+ */
+function getFlowFilename(node) {
+    if (node.type === 'tab') {
+        // Use normalizedLabel if available, otherwise compute from label
+        const label = node.label || node.id
+        return node.normalizedLabel ||
+            label.replace(/[\/\\:*?"<>|]/g, '-').toLowerCase().replace(/\s+/g, '-')
+    }
+    const name = node.name || node.id
+    return name.replace(/[\/\\:*?"<>|]/g, '-').toLowerCase().replace(/\s+/g, '-')
+}
+
+/**
+ * Clean up old flow files when a tab or subflow has been renamed or deleted.
+ * Scans existing files and removes those with IDs that match current flows but have different filenames,
+ * and, when `keptIds` is given, those with IDs that are no longer in the flows.
+ * @param {Array} flowNodes - Array of all flow nodes from Node-RED
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {Set<string>} [keptIds] - Ids of the tabs and subflows not in `flowNodes` whose files are kept (ignored ones)
+ * @param {import('./history').SnapshotRecorder} [snapshot] - Snapshot saving the files before they are removed
+ */
+function cleanupRenamedFlows(flowNodes, cfg, projectPath, keptIds, snapshot = history.startSnapshot(projectPath, cfg, 'cleanup', RED)) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const tabsDir = path.join(srcDir, 'tabs')
+    const subflowsDir = path.join(srcDir, 'subflows')
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+
+    // Build maps of ID -> expected filename from the current flow nodes
+    const tabsIdToFilename = new Map()
+    const subflowsIdToFilename = new Map()
+
+    flowNodes.forEach(node => {
+        if (node.type === 'tab' && node.id) {
+            tabsIdToFilename.set(node.id, getFlowFilename(node))
+        } else if (node.type === 'subflow' && node.id) {
+            subflowsIdToFilename.set(node.id, getFlowFilename(node))
+        }
+    })
+
+    // Clean up tabs directory
+    cleanupRenamedFlowsInDir(tabsDir, tabsIdToFilename, extension, 'tab', keptIds, snapshot)
+    
+    // Clean up subflows directory
+    cleanupRenamedFlowsInDir(subflowsDir, subflowsIdToFilename, extension, 'subflow', keptIds, snapshot)
+}
+
+/**
+ * Clean up renamed flows in a specific directory.
+ * Removes old files when the same ID exists but with a different filename.
+ * @param {string} dir - Directory to scan
+ * @param {Map} idToFilename - Map of ID to expected filename
+ * @param {string} extension - File extension (.yaml or .json)
+ * @param {string} flowType - Type of flow (tab or subflow)
+ * @param {Set<string>} [keptIds] - When given, files of IDs neither in `idToFilename` nor in this set are removed as deleted
+ * @param {import('./history').SnapshotRecorder} snapshot - Snapshot saving the files before they are removed
+ */
+function cleanupRenamedFlowsInDir(dir, idToFilename, extension, flowType, keptIds, snapshot) {
+    if (!fs.existsSync(dir)) {
+        return
+    }
+
+    const files = fs.readdirSync(dir).filter(f => f.endsWith(extension))
+
+    files.forEach(file => {
+        const filePath = path.join(dir, file)
+        const filename = path.basename(file, extension)
+
+        try {
+            let flowData
+            const fileContent = fs.readFileSync(filePath, 'utf8')
+
+            if (extension === '.yaml') {
+                flowData = yaml.load(fileContent)
+            } else {
+                flowData = JSON.parse(fileContent)
+            }
+
+            const flowDataArray = Array.isArray(flowData) ? flowData : [flowData]
+            const flowNode = flowDataArray.find(n => n.type === flowType)
+
+            if (flowNode && flowNode.id) {
+                const expectedFilename = idToFilename.get(flowNode.id)
+                
+                // If this ID exists in current flows but with a different filename, this is an old renamed file
+                const renamed = expectedFilename && expectedFilename !== filename
+                // If this ID is not in the current flows anymore, the tab or subflow was deleted
+                const deleted = !expectedFilename && keptIds && !keptIds.has(flowNode.id)
+                if (renamed || deleted) {
+                    RED.log.info(renamed
+                        ? `[node-red-contrib-flow-splitter-extended] Removing old ${flowType} file "${file}" (renamed to "${expectedFilename}${extension}")`
+                        : `[node-red-contrib-flow-splitter-extended] Removing deleted ${flowType} file "${file}"`)
+
+                    const subdirPath = path.join(dir, filename)
+                    snapshot.save([filePath, subdirPath])
+
+                    // Remove the old flow file
+                    fs.unlinkSync(filePath)
+                    
+                    // Remove the corresponding subdirectory if it exists
+                    if (fs.existsSync(subdirPath) && fs.statSync(subdirPath).isDirectory()) {
+                        fs.rmSync(subdirPath, { recursive: true, force: true })
+                        RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed old ${flowType} directory "${filename}"`)
+                    }
+                }
+            }
+        } catch (error) {
+            RED.log.warn(`[node-red-contrib-flow-splitter-extended] Error checking ${flowType} file ${file}: ${error.message}`)
+        }
+    })
+}
+
+/**
+ * Process a directory of flow files to extract functions/templates
+ * @param {string} dir - Directory to process
+ * @param {string} fileFormat - File format (yaml or json)
+ * @param {string} flowType - Type of flow (tab or subflow)
+ * @param {Map} registry - Extractor registry
+ * @param {object} options - Extraction options (`onConflict`, and `onlyFiles` relative to `projectPath` to skip the other files)
+ * @param {import('./flow-filters').FlowFilter} filter - Files of ignored tabs and subflows are skipped
+ * @returns {Array<object>} Conflicting files, with their tab or subflow
+ */
+function processFlowDirectory(dir, fileFormat, flowType, registry, options, filter) {
+    const conflicts = []
+
+    if (!fs.existsSync(dir)) {
+        return conflicts
+    }
+
+    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
+    const files = fs.readdirSync(dir)
+        .filter(f => f.endsWith(extension))
+        .filter(f => !options.onlyFiles || options.onlyFiles.has(path.relative(options.projectPath, path.join(dir, f))))
+
+    files.forEach(file => {
+        const filePath = path.join(dir, file)
+        const flowName = path.basename(file, extension)
+
+        try {
+            let flowData
+            const fileContent = fs.readFileSync(filePath, 'utf8')
+
+            if (fileFormat === 'yaml') {
+                flowData = yaml.load(fileContent)
+            } else {
+                flowData = JSON.parse(fileContent)
+            }
+
+            const flowNodes = Array.isArray(flowData) ? flowData : [flowData]
+            if (isIgnoredFlowFile(flowNodes, flowType, filter)) {
+                return
+            }
+            functionsTemplatesHandler.extractFunctionsAndTemplates(flowNodes, flowName, dir, RED, registry, options)
+                .forEach(conflict => conflicts.push({ ...conflict, flowType, flowName }))
+
+        } catch (error) {
+            warn(`Error processing ${flowType} ${flowName}: ${error.message}`)
+        }
+    })
+
+    return conflicts
+}
+
+/**
+ * Restore functions and templates back into split flow files before rebuilding single flows.json file
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {import('./history').SnapshotRecorder} [snapshot] - Snapshot saving the files before they are changed
+ */
+function restoreFunctionsTemplatesIntoSplitFiles(cfg, projectPath, snapshot = history.startSnapshot(projectPath, cfg, 'restore', RED)) {
+    if (cfg.restoreFunctionsTemplates === false) {
+        return
+    }
+
+    return trackRun('restore', () => {
+        const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+        const tabsDir = path.join(srcDir, 'tabs')
+        const subflowsDir = path.join(srcDir, 'subflows')
+
+        RED.log.info("[node-red-contrib-flow-splitter-extended] Restoring functions and templates...")
+
+        const registry = functionsTemplatesHandler.createExtractorRegistry(cfg.extractors, RED)
+        const filter = flowFilters.createFlowFilter(cfg, projectPath)
+
+        restoreIntoFlowDirectory(tabsDir, cfg.fileFormat, 'tab', registry, snapshot, filter)
+        restoreIntoFlowDirectory(subflowsDir, cfg.fileFormat, 'subflow', registry, snapshot, filter)
+    })
+}
+
+/**
+ * Process a directory of flow files to restore functions/templates
+ * @param {string} dir - Directory to process
+ * @param {string} fileFormat - File format (yaml or json)
+ * @param {string} flowType - Type of flow (tab or subflow)
+ * @param {Map} registry - Extractor registry
+ * @param {import('./history').SnapshotRecorder} snapshot - Snapshot saving the files before they are changed
+ * @param {import('./flow-filters').FlowFilter} filter - Files of ignored tabs and subflows are skipped
+ */
+function restoreIntoFlowDirectory(dir, fileFormat, flowType, registry, snapshot, filter) {
+    if (!fs.existsSync(dir)) {
+        return
+    }
+
+    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
+    const files = fs.readdirSync(dir).filter(f => f.endsWith(extension))
+
+    files.forEach(file => {
+        const filePath = path.join(dir, file)
+        const flowName = path.basename(file, extension)
+
+        try {
+            let flowData
+            const fileContent = fs.readFileSync(filePath, 'utf8')
+
+            if (fileFormat === 'yaml') {
+                flowData = yaml.load(fileContent)
+            } else {
+                flowData = JSON.parse(fileContent)
+            }
+
+            let flowNodes = Array.isArray(flowData) ? flowData : [flowData]
+            if (isIgnoredFlowFile(flowNodes, flowType, filter)) {
+                return
+            }
+            flowNodes = functionsTemplatesHandler.restoreFunctionsAndTemplates(flowNodes, flowName, dir, RED, registry)
+
+            let content
+            if (fileFormat === 'yaml') {
+                content = eol.auto(yaml.dump(flowNodes, {
+                    indent: 2,
+                    lineWidth: -1,
+                    noRefs: true,
+                    sortKeys: false
+                }))
+            } else {
+                content = eol.auto(JSON.stringify(flowNodes, null, 2))
+            }
+
+            // Unchanged files are left alone
+            if (content !== fileContent) {
+                snapshot.save([filePath])
+                writeFileAtomic(filePath, content)
+            }
+
+        } catch (error) {
+            warn(`Error restoring ${flowType} ${flowName}: ${error.message}`)
+        }
+    })
+}
+
+/**
+ * Check the syntax of all extracted functions/templates
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {Array<import('./code-validator').CodeError>} Errors, with file paths relative to the project
+ */
+function validateExtractedCode(cfg, projectPath) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+    const registry = functionsTemplatesHandler.createExtractorRegistry(cfg.extractors, RED)
+    const filter = flowFilters.createFlowFilter(cfg, projectPath)
+    const errors = []
+
+    ;[['tab', path.join(srcDir, 'tabs')], ['subflow', path.join(srcDir, 'subflows')]].forEach(([flowType, dir]) => {
+        if (!fs.existsSync(dir)) {
+            return
+        }
+
+        fs.readdirSync(dir).filter(f => f.endsWith(extension)).forEach((file) => {
+            const flowName = path.basename(file, extension)
+            try {
+                const fileContent = fs.readFileSync(path.join(dir, file), 'utf8')
+                const flowData = extension === '.yaml' ? yaml.load(fileContent) : JSON.parse(fileContent)
+                const flowNodes = Array.isArray(flowData) ? flowData : [flowData]
+                if (isIgnoredFlowFile(flowNodes, flowType, filter)) {
+                    return
+                }
+
+                functionsTemplatesHandler.validateFunctionsAndTemplates(flowNodes, flowName, dir, RED, registry)
+                    .forEach(error => errors.push({ ...error, file: path.relative(projectPath, error.file) }))
+            } catch (error) {
+                RED.log.warn(`[node-red-contrib-flow-splitter-extended] Error validating ${flowName}: ${error.message}`)
+            }
+        })
+    })
+
+    return errors
+}
+
+/**
+ * Refuse to restore extracted code with syntax errors, unless `onSyntaxError` is set to `warn`
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @throws {CodeValidationError}
+ */
+function assertValidExtractedCode(cfg, projectPath) {
+    const errors = validateExtractedCode(cfg, projectPath)
+    if (errors.length === 0) {
+        return
+    }
+
+    if (cfg.onSyntaxError === 'warn') {
+        errors.forEach(error => RED.log.warn(`[node-red-contrib-flow-splitter-extended] Syntax error in ${formatCodeError(error)}`))
+        return
+    }
+
+    errors.forEach(error => RED.log.error(`[node-red-contrib-flow-splitter-extended] Syntax error in ${formatCodeError(error)}`))
+    throw new CodeValidationError(errors)
+}
+
+/**
+ * Read the split source files and the ignored tabs and subflows, and apply the extracted functions/templates, the layout and the environment overlays in memory,
+ * without writing anything. Used to check the source tree, the flows a reload would load are built by `buildReloadFlowNodes`.
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {object} [options]
+ * @param {boolean} [options.applyEnvironment] - Apply the overlays of the active environment, defaults to true
+ * @returns {Array<object>} Flow nodes
+ */
+function readSourceFlowNodes(cfg, projectPath, options = {}) {
+    const srcDir = path.join(projectPath, cfg.destinationFolder || 'src')
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+    const registry = functionsTemplatesHandler.createExtractorRegistry(cfg.extractors, RED)
+    let nodes = []
+
+    ;['tabs', 'subflows', 'config-nodes'].forEach((subDir) => {
+        const dir = path.join(srcDir, subDir)
+        if (!fs.existsSync(dir)) {
+            return
+        }
+
+        fs.readdirSync(dir).filter(f => f.endsWith(extension)).forEach((file) => {
+            const fileContent = fs.readFileSync(path.join(dir, file), 'utf8')
+            const flowData = extension === '.yaml' ? yaml.load(fileContent) : JSON.parse(fileContent)
+            let flowNodes = Array.isArray(flowData) ? flowData : [flowData]
+
+            if (subDir !== 'config-nodes' && cfg.restoreFunctionsTemplates !== false) {
+                flowNodes = functionsTemplatesHandler.restoreFunctionsAndTemplates(flowNodes, path.basename(file, extension), dir, RED, registry)
+            }
+            nodes.push(...flowNodes.filter(n => n && n.id))
+        })
+    })
+
+    const ignored = flowFilters.readIgnoredFlows(cfg, projectPath)
+    if (ignored) {
+        nodes = flowFilters.mergeIgnoredFlows(nodes, ignored, RED)
+    }
+
+    if (cfg.separateLayout) {
+        layout.applyLayout(nodes, layout.readLayout(cfg, projectPath))
+    }
+
+    const environment = options.applyEnvironment === false ? null : environments.readEnvironmentOverlays(cfg, projectPath)
+    return environment ? environments.applyEnvironmentOverlays(nodes, environment, RED) : nodes
+}
+
+/**
+ * Read a flows file (array of nodes, or `{flows: [...]}` as exported with credentials)
+ * @param {string} filePath
+ * @returns {Array<object>}
+ */
+function readFlowsFile(filePath) {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    const flows = Array.isArray(content) ? content : content.flows
+    if (!Array.isArray(flows)) {
+        throw new Error(`'${filePath}' is not a flows file`)
+    }
+    return flows
+}
+
+/**
+ * Changes of a deploy, as reported in the flows:started event of the runtime
+ * @typedef {object} FlowChanges
+ * @property {import('./index').noderedEvent.FlowDiff} diff - Ids of the added, changed, removed, rewired and linked nodes
+ * @property {Array<object>} previousFlows - Flow nodes before the deploy
+ */
+
+/**
+ * Find the tabs and subflows touched by the changes of a deploy
+ * @param {Array<object>} flows - All flow nodes after the deploy
+ * @param {FlowChanges} changes
+ * @returns {{flowIds: Set<string>, removedFlows: Array<object>, flowsRenamed: boolean, configChanged: boolean, nodeCount: number}}
+ */
+function getChangedFlows(flows, changes) {
+    const nodesById = new Map(flows.map(n => [n.id, n]))
+    const previousNodesById = new Map(changes.previousFlows.map(n => [n.id, n]))
+    const changedFlows = { flowIds: new Set(), removedFlows: [], flowsRenamed: false, configChanged: false, nodeCount: 0 }
+
+    ;['added', 'changed', 'removed', 'rewired', 'linked'].forEach((key) => {
+        (changes.diff[key] || []).forEach((id) => {
+            changedFlows.nodeCount++
+
+            // A node moved to another tab or subflow changes both of them
+            ;[nodesById.get(id), previousNodesById.get(id)].filter(Boolean).forEach((node) => {
+                if (node.type === 'tab' || node.type === 'subflow') {
+                    changedFlows.flowIds.add(node.id)
+                } else if (node.z) {
+                    changedFlows.flowIds.add(node.z)
+                } else {
+                    changedFlows.configChanged = true
+                }
+            })
+
+            const node = nodesById.get(id) || previousNodesById.get(id)
+            if (node && (node.type === 'tab' || node.type === 'subflow')) {
+                if (!nodesById.has(id)) {
+                    changedFlows.removedFlows.push(node)
+                } else {
+                    changedFlows.flowsRenamed = true
+                }
+            }
+        })
+    })
+
+    return changedFlows
+}
+
+/**
+ * Select the nodes of the changed tabs and subflows, with the config nodes when one of them changed
+ * @param {Array<object>} flows - All flow nodes
+ * @param {ReturnType<typeof getChangedFlows>} changedFlows
+ * @returns {Array<object>}
+ */
+function getChangedFlowNodes(flows, changedFlows) {
+    return flows.filter((node) => {
+        if (node.type === 'tab' || node.type === 'subflow') {
+            return changedFlows.flowIds.has(node.id)
+        }
+        return node.z ? changedFlows.flowIds.has(node.z) : changedFlows.configChanged
+    })
+}
+
+/**
+ * Remove the split file and the extracted files of a deleted tab or subflow
+ * @param {object} node - Tab or subflow node
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {import('./history').SnapshotRecorder} snapshot - Snapshot saving the files before they are removed
+ */
+function removeFlowFiles(node, cfg, projectPath, snapshot) {
+    const extension = cfg.fileFormat === 'yaml' ? '.yaml' : '.json'
+    const dir = path.join(projectPath, cfg.destinationFolder || 'src', node.type === 'tab' ? 'tabs' : 'subflows')
+    const filename = getFlowFilename(node)
+
+    const filePath = path.join(dir, `${filename}${extension}`)
+    snapshot.save([filePath, path.join(dir, filename)])
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath)
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed deleted ${node.type} file "${filename}${extension}"`)
+    }
+    fs.rmSync(path.join(dir, filename), { recursive: true, force: true })
+}
+
+/**
+ * Split flows into the source tree files, then extract functions and templates.
+ * When the changes of the deploy are given, only the changed tabs, subflows and config nodes are split and
+ * functions/templates are only extracted from the files that changed; otherwise every flow is split.
+ * Files whose content did not change are never rewritten.
+ * @param {Array<object>} flows - All flow nodes
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @param {FlowChanges} [changes] - Changes of the deploy
+ * @returns {object} Updated splitter configuration (written to disk)
+ */
+function splitFlows(flows, cfg, projectPath, changes) {
+    return trackRun('split', () => {
+        // A tree left in another format or folder would be split again next to the old one
+        migrateSourceTree(cfg, projectPath, RED)
+
+        // Putting the layout back into the tab files needs every tab to be rewritten
+        const layoutRemoved = !cfg.separateLayout && fs.existsSync(path.join(projectPath, cfg.destinationFolder || 'src', layout.LAYOUT_DIR))
+        const changedFlows = changes && changes.diff && changes.previousFlows && !layoutRemoved ? getChangedFlows(flows, changes) : null
+        if (changedFlows && changedFlows.nodeCount === 0) {
+            RED.log.info("[node-red-contrib-flow-splitter-extended] No changes to split")
+            return cfg
+        }
+
+        const snapshot = history.startSnapshot(projectPath, cfg, 'split', RED)
+
+        // The plugin deletes the flows file after the split
+        const monolithFile = path.join(projectPath, cfg.monolithFilename)
+        if (fs.existsSync(monolithFile)) {
+            snapshot.save([monolithFile])
+        }
+
+        // The deployed flows hold the values of the environment, the split files keep the base values
+        const environment = environments.readEnvironmentOverlays(cfg, projectPath)
+        if (environment) {
+            const baseNodes = readSourceFlowNodes({ ...cfg, restoreFunctionsTemplates: false }, projectPath, { applyEnvironment: false })
+            flows = environments.revertEnvironmentOverlays(flows, environment, baseNodes, RED)
+        }
+
+        // Ignored tabs and subflows are kept as they are in a single file, their split files are left alone
+        const filter = flowFilters.createFlowFilter(cfg, projectPath)
+        const { flows: splitNodes, ignored } = flowFilters.separateIgnoredFlows(flows, filter)
+
+        // First, clean up any old files from renamed or deleted tabs/subflows
+        if (!changedFlows || changedFlows.flowsRenamed) {
+            const ignoredFlowIds = new Set(ignored.nodes.filter(node => node.type === 'tab' || node.type === 'subflow').map(node => node.id))
+            cleanupRenamedFlows(splitNodes, cfg, projectPath, ignoredFlowIds, snapshot)
+        }
+        if (changedFlows) {
+            changedFlows.removedFlows
+                .filter(node => !filter.isIgnoredFlow(node))
+                .forEach(node => removeFlowFiles(node, cfg, projectPath, snapshot))
+        }
+
+        const flowSet = manager.constructFlowSetFromMonolithObject(changedFlows ? getChangedFlowNodes(splitNodes, changedFlows) : splitNodes)
+
+        // The tree files are written in a staging folder, then the changed ones are renamed one by one into the project
+        const stagingPath = path.join(projectPath, '.flow-splitter', 'staging')
+        fs.rmSync(stagingPath, { recursive: true, force: true })
+        let updatedCfg
+        const writtenFiles = new Set()
+        try {
+            updatedCfg = manager.constructTreeFilesFromFlowSet(flowSet, cfg, stagingPath)
+            if (cfg.separateLayout) {
+                layout.separateLayoutFiles(cfg, stagingPath)
+            }
+            const ignoredFlowsFile = path.join(cfg.destinationFolder || 'src', flowFilters.IGNORED_FLOWS_FILENAME)
+            if (ignored.nodes.length > 0) {
+                fs.mkdirSync(path.dirname(path.join(stagingPath, ignoredFlowsFile)), { recursive: true })
+                fs.writeFileSync(path.join(stagingPath, ignoredFlowsFile), eol.auto(JSON.stringify(ignored, null, 2)), 'utf8')
+            } else if (fs.existsSync(path.join(projectPath, ignoredFlowsFile))) {
+                snapshot.save([path.join(projectPath, ignoredFlowsFile)])
+                fs.unlinkSync(path.join(projectPath, ignoredFlowsFile))
+                RED.log.info(`[node-red-contrib-flow-splitter-extended] Removed "${flowFilters.IGNORED_FLOWS_FILENAME}", no tab or subflow is ignored`)
+            }
+            const configDir = path.join(cfg.destinationFolder || 'src', 'config-nodes')
+            const changedFiles = listFilesRecursive(stagingPath)
+                // Without the config nodes, the config nodes files of the staging folder are not complete
+                .filter(file => !changedFlows || changedFlows.configChanged || !file.startsWith(configDir + path.sep))
+                // Unchanged files are left alone, so their modification time stays the same
+                .filter(file => !hasSameContent(path.join(projectPath, file), path.join(stagingPath, file)))
+            snapshot.save(changedFiles.map(file => path.join(projectPath, file)))
+            changedFiles.forEach((file) => {
+                moveFileAtomic(path.join(stagingPath, file), path.join(projectPath, file))
+                writtenFiles.add(file)
+            })
+        } finally {
+            fs.rmSync(stagingPath, { recursive: true, force: true })
+        }
+        if (changedFlows) {
+            // The order of the tabs is the one of all the split flows, not only of the changed ones
+            updatedCfg = { ...updatedCfg, tabsOrder: splitNodes.filter(node => node.type === 'tab').map(node => node.id) }
+        }
+        writeSplitterConfig(updatedCfg, projectPath)
+        layout.removeOrphanedLayoutFiles(updatedCfg, projectPath, RED, snapshot)
+
+        if (changedFlows) {
+            RED.log.info(`[node-red-contrib-flow-splitter-extended] Incremental split: ${changedFlows.flowIds.size} flow(s) changed, ${writtenFiles.size} file(s) rewritten`)
+            extractFunctionsTemplatesFromSplitFiles(updatedCfg, projectPath, snapshot, writtenFiles)
+        } else {
+            extractFunctionsTemplatesFromSplitFiles(updatedCfg, projectPath, snapshot)
+        }
+
+        if (updatedCfg.splitCredentials) {
+            try {
+                credentials.writeCredentialTemplates(flows, updatedCfg, projectPath, RED, snapshot)
+            } catch (error) {
+                warn(`Credential templates not updated: ${error.message}`)
+            }
+        }
+
+        return updatedCfg
+    })
+}
+
+/**
+ * Merge the ignored tabs and subflows, the layout files and the overlays of the active environment into a rebuilt flows file
+ * @param {string} filePath - Flows file
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ */
+function applyOverlaysToFlowsFile(filePath, cfg, projectPath) {
+    const environment = environments.readEnvironmentOverlays(cfg, projectPath)
+    const ignored = flowFilters.readIgnoredFlows(cfg, projectPath)
+    if (!environment && !cfg.separateLayout && !ignored) {
+        return
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8')
+    const content = JSON.parse(text)
+    let nodes = Array.isArray(content) ? content : content.flows
+
+    if (ignored) {
+        nodes = flowFilters.mergeIgnoredFlows(nodes, ignored, RED)
+        if (Array.isArray(content)) {
+            content.splice(0, content.length, ...nodes)
+        } else {
+            content.flows = nodes
+        }
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Merged ${ignored.nodes.length} node(s) of ignored tabs and subflows`)
+    }
+    if (cfg.separateLayout) {
+        layout.applyLayout(nodes, layout.readLayout(cfg, projectPath))
+    }
+    if (environment) {
+        environments.applyEnvironmentOverlays(nodes, environment, RED)
+    }
+    // Keep the formatting of the file written by the flows file manager
+    fs.writeFileSync(filePath, JSON.stringify(content, null, text.includes('\n') ? 4 : undefined), 'utf8')
+
+    if (environment) {
+        RED.log.info(`[node-red-contrib-flow-splitter-extended] Applied ${environment.overlays.size} node overlay(s) of environment '${environment.name}'`)
+    }
+}
+
+/**
+ * Restore functions and templates into the source tree files, then rebuild the single flows.json file
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {object} Updated splitter configuration (not written to disk)
+ */
+function buildMonolithFile(cfg, projectPath) {
+    // Sources left in another format or folder would be ignored, and their flows lost
+    migrateSourceTree(cfg, projectPath, RED)
+
+    if (cfg.restoreFunctionsTemplates !== false) {
+        assertValidExtractedCode(cfg, projectPath)
+    }
+
+    const snapshot = history.startSnapshot(projectPath, cfg, 'build', RED)
+
+    restoreFunctionsTemplatesIntoSplitFiles(cfg, projectPath, snapshot)
+
+    const flowSet = manager.constructFlowSetFromTreeFiles(cfg, projectPath)
+
+    if (!flowSet) {
+        throw new Error("Cannot build FlowSet from source tree files")
+    }
+
+    // The flows file is written under a temporary name, then renamed
+    const monolithFile = path.join(projectPath, cfg.monolithFilename)
+    const tempFilename = path.join(path.dirname(cfg.monolithFilename), `.${path.basename(cfg.monolithFilename)}.tmp-${process.pid}`)
+    let updatedCfg
+    try {
+        updatedCfg = manager.constructMonolithFileFromFlowSet(flowSet, { ...cfg, monolithFilename: tempFilename }, projectPath, false)
+        applyOverlaysToFlowsFile(path.join(projectPath, tempFilename), cfg, projectPath)
+        if (!hasSameContent(monolithFile, path.join(projectPath, tempFilename))) {
+            snapshot.save([monolithFile])
+            moveFileAtomic(path.join(projectPath, tempFilename), monolithFile)
+        }
+    } finally {
+        fs.rmSync(path.join(projectPath, tempFilename), { force: true })
+    }
+
+    if (cfg.splitCredentials) {
+        credentials.buildCredentialsFile(cfg, projectPath, RED, snapshot)
+    }
+
+    return { ...updatedCfg, monolithFilename: cfg.monolithFilename }
+}
+
+/**
+ * Build the flows a reload would load without writing to the project: the source tree is copied to a
+ * temporary folder and rebuilt there with `buildMonolithFile`, the same way as the reload does.
+ * @param {object} cfg - Splitter configuration
+ * @param {string} projectPath - Path to the project
+ * @returns {Array<object>} Flow nodes
+ */
+function buildReloadFlowNodes(cfg, projectPath) {
+    const srcFolder = cfg.destinationFolder || 'src'
+    const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-dry-run-'))
+    try {
+        if (fs.existsSync(path.join(projectPath, srcFolder))) {
+            fs.cpSync(path.join(projectPath, srcFolder), path.join(tempPath, srcFolder), { recursive: true })
+        }
+        const monolithFile = path.join(tempPath, cfg.monolithFilename)
+        fs.mkdirSync(path.dirname(monolithFile), { recursive: true })
+        // The copy is thrown away, it needs no snapshot
+        buildMonolithFile({ ...cfg, historyLimit: 0 }, tempPath)
+
+        const content = JSON.parse(fs.readFileSync(monolithFile, 'utf8'))
+        return Array.isArray(content) ? content : content.flows || []
+    } finally {
+        fs.rmSync(tempPath, { recursive: true, force: true })
+    }
+}
+
+module.exports = {
+    DEFAULT_CFG,
+    splitCfgFilename,
+    setRuntime,
+    writeSplitterConfig,
+    loadSplitterConfig,
+    validateSplitterConfig,
+    cleanupRenamedFlows,
+    extractFunctionsTemplatesFromSplitFiles,
+    listExtractedFiles,
+    getInventory,
+    getLastRuns,
+    restoreFunctionsTemplatesIntoSplitFiles,
+    readSourceFlowNodes,
+    readFlowsFile,
+    validateExtractedCode,
+    splitFlows,
+    buildMonolithFile,
+    buildReloadFlowNodes
+}
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const { spawnSync } = require('child_process')
+
+const CLI = path.join(__dirname, '..', 'bin', 'flow-splitter.js')
+
+let hasManager = true
+try {
+    require.resolve('flows-file-manager')
+} catch (error) {
+    hasManager = false
+}
+
+const FLOWS = [
+    { id: 't1', type: 'tab', label: 'Main' },
+    { id: 'f1', type: 'function', z: 't1', name: 'calc', func: 'return msg', outputs: 1, wires: [] }
+]
+
+/**
+ * Run the command line interface
+ * @param {Array<string>} args
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', env: process.env })
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr }
+}
+
+describe('command line interface', { skip: !hasManager && 'flows-file-manager is not installed' }, () => {
+    let projectPath
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        fs.writeFileSync(path.join(projectPath, 'flows.json'), JSON.stringify(FLOWS, null, 4))
+    })
+
+    afterEach(() => {
+        fs.rmSync(projectPath, { recursive: true, force: true })
+    })
+
+    it('shows the help with exit code 0', () => {
+        const result = run(['--help'])
+        assert.strictEqual(result.status, 0)
+        assert.match(result.stdout, /Usage: flow-splitter <command>/)
+    })
+
+    it('exits with code 2 on invalid usage', () => {
+        assert.strictEqual(run([]).status, 2)
+        assert.strictEqual(run(['unknown', '-p', projectPath]).status, 2)
+        assert.strictEqual(run(['split', 'extra', '-p', projectPath]).status, 2)
+        assert.strictEqual(run(['split', '--unknown-option']).status, 2)
+        assert.strictEqual(run(['split', '-p', path.join(projectPath, 'missing')]).status, 2)
+    })
+
+    it('splits, checks and rebuilds a project with exit code 0', () => {
+        assert.strictEqual(run(['split', '-q', '-p', projectPath]).status, 0)
+        assert.ok(fs.existsSync(path.join(projectPath, '.config.flow-splitter.json')))
+
+        const check = run(['check', '-p', projectPath])
+        assert.strictEqual(check.status, 0, check.stderr)
+
+        const builtFile = path.join(projectPath, 'built.json')
+        assert.strictEqual(run(['build', '-q', '-p', projectPath, '-f', builtFile]).status, 0)
+        const ids = JSON.parse(fs.readFileSync(builtFile, 'utf8')).map(node => node.id).sort()
+        assert.deepStrictEqual(ids, ['f1', 't1'])
+    })
+
+    it('exits with code 1 when the operation fails', () => {
+        const result = run(['split', '-p', projectPath, '-f', path.join(projectPath, 'missing.json')])
+        assert.strictEqual(result.status, 1)
+        assert.match(result.stderr, /split failed/)
+    })
+
+    it('exits with code 1 when the check finds the flows file out of date', () => {
+        assert.strictEqual(run(['split', '-q', '-p', projectPath]).status, 0)
+        fs.writeFileSync(path.join(projectPath, 'flows.json'), JSON.stringify([FLOWS[0]], null, 4))
+
+        const result = run(['check', '-p', projectPath])
+        assert.strictEqual(result.status, 1)
+        assert.match(result.stderr, /is out of date with the source tree/)
+    })
+
+    it('exits with code 1 when a function test fails', () => {
+        assert.strictEqual(run(['split', '-q', '-p', projectPath]).status, 0)
+        const fixtureFile = path.join(projectPath, 'src', 'tabs', 'main', 'calc.test.yaml')
+        fs.writeFileSync(fixtureFile, 'tests:\n  - msg: { payload: 1 }\n    outputs: [{ payload: 1 }]\n')
+        assert.strictEqual(run(['test', '-q', '-p', projectPath]).status, 0)
+
+        fs.writeFileSync(fixtureFile, 'tests:\n  - msg: { payload: 1 }\n    outputs: [{ payload: 2 }]\n')
+        const result = run(['test', '-p', projectPath])
+        assert.strictEqual(result.status, 1)
+        assert.match(result.stdout + result.stderr, /main\/calc/)
+    })
+})
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const crypto = require('crypto')
+const credentials = require('../credentials')
+
+const CFG = { destinationFolder: 'src', monolithFilename: 'flows.json' }
+const VARIABLE = 'FLOW_SPLITTER_TEST_MQTT_USER'
+
+/**
+ * Decrypt a credentials file as the Node-RED runtime does
+ * @param {string} file
+ * @param {string} secret
+ * @returns {object}
+ */
+function decrypt(file, secret) {
+    const content = fs.readJsonSync(file).$
+    const key = crypto.createHash('sha256').update(secret).digest()
+    const decipher = crypto.createDecipheriv('aes-256-ctr', key, Buffer.from(content.substring(0, 32), 'hex'))
+    return JSON.parse(decipher.update(content.substring(32), 'base64', 'utf8') + decipher.final('utf8'))
+}
+
+describe('credentials file', () => {
+    let userDir
+    let RED
+
+    /**
+     * @param {string} projectPath
+     */
+    function writeTemplate(projectPath) {
+        fs.outputFileSync(path.join(projectPath, 'src', 'credentials', 'c1.yaml'), `id: c1\ntype: mqtt-broker\ncredentials:\n  user: \${${VARIABLE}}\n`)
+    }
+
+    /**
+     * Enable projects with an active project
+     * @param {object} project - Settings of the project
+     * @returns {string} Path to the project
+     */
+    function activateProject(project) {
+        fs.writeJsonSync(path.join(userDir, '.config.projects.json'), { activeProject: 'demo', projects: { demo: project } })
+        return path.join(userDir, 'projects', 'demo')
+    }
+
+    beforeEach(() => {
+        userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        RED = { log: { info() {}, warn() {}, error() {} }, settings: { userDir, credentialSecret: 'settings-secret' } }
+        process.env[VARIABLE] = 'broker-user'
+    })
+
+    afterEach(() => {
+        delete process.env[VARIABLE]
+        fs.removeSync(userDir)
+    })
+
+    it('encrypts with the credentialSecret of the settings', () => {
+        writeTemplate(userDir)
+
+        assert.strictEqual(credentials.buildCredentialsFile(CFG, userDir, RED), true)
+        assert.deepStrictEqual(decrypt(path.join(userDir, 'flows_cred.json'), 'settings-secret'), { c1: { user: 'broker-user' } })
+    })
+
+    it('encrypts with the secret of the active project in project mode', () => {
+        const projectPath = activateProject({ credentialSecret: 'project-secret' })
+        writeTemplate(projectPath)
+
+        assert.strictEqual(credentials.buildCredentialsFile(CFG, projectPath, RED), true)
+        assert.deepStrictEqual(decrypt(path.join(projectPath, 'flows_cred.json'), 'project-secret'), { c1: { user: 'broker-user' } })
+    })
+
+    it('writes plain credentials when the active project disabled encryption', () => {
+        const projectPath = activateProject({ credentialSecret: false })
+        writeTemplate(projectPath)
+
+        credentials.buildCredentialsFile(CFG, projectPath, RED)
+        assert.deepStrictEqual(fs.readJsonSync(path.join(projectPath, 'flows_cred.json')), { c1: { user: 'broker-user' } })
+    })
+
+    it('refuses to build when the active project has no credential secret', () => {
+        const projectPath = activateProject({})
+        writeTemplate(projectPath)
+
+        assert.throws(() => credentials.buildCredentialsFile(CFG, projectPath, RED), /Project 'demo' has no credential secret/)
+        assert.strictEqual(fs.existsSync(path.join(projectPath, 'flows_cred.json')), false)
+    })
+
+    it('names the projects file when it cannot be parsed', () => {
+        fs.writeFileSync(path.join(userDir, '.config.projects.json'), '{"activeProject":')
+        writeTemplate(userDir)
+
+        assert.throws(() => credentials.buildCredentialsFile(CFG, userDir, RED), /Cannot read the projects file '.*\.config\.projects\.json'/)
+    })
+})
+
+describe('credential templates', () => {
+    let projectPath
+    let RED
+    const flows = [
+        { id: 'c1', type: 'mqtt-broker', name: 'broker' },
+        { id: 'c2', type: 'http request' }
+    ]
+
+    /**
+     * @param {string} id
+     * @returns {string} Path of the template of a node
+     */
+    function templateFile(id) {
+        return path.join(projectPath, 'src', 'credentials', `${id}.yaml`)
+    }
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        RED = { log: { info() {}, warn() {}, error() {} }, settings: { userDir: projectPath, credentialSecret: false } }
+        fs.writeJsonSync(path.join(projectPath, 'flows_cred.json'), {
+            c1: { user: 'admin', password: 's3cret-password' },
+            c2: { token: 's3cret-token' },
+            gone: { password: 's3cret-gone' }
+        })
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('writes the keys of new credentials with empty values, never the secrets', () => {
+        credentials.writeCredentialTemplates(flows, CFG, projectPath, RED)
+
+        assert.deepStrictEqual(credentials.readCredentialTemplates(CFG, projectPath).map(t => [t.id, t.credentials]), [
+            ['c1', { user: '', password: '' }],
+            ['c2', { token: '' }]
+        ])
+        const written = fs.readFileSync(templateFile('c1'), 'utf8') + fs.readFileSync(templateFile('c2'), 'utf8')
+        assert.doesNotMatch(written, /s3cret|admin/)
+        assert.match(written, /# Credentials of mqtt-broker "broker"/)
+        assert.strictEqual(fs.existsSync(templateFile('gone')), false)
+    })
+
+    it('keeps the values of existing templates and adds the new keys empty', () => {
+        fs.outputFileSync(templateFile('c1'), 'id: c1\ntype: mqtt-broker\ncredentials:\n  user: ${MQTT_USER}\n')
+
+        credentials.writeCredentialTemplates(flows, CFG, projectPath, RED)
+
+        assert.deepStrictEqual(credentials.readCredentialTemplates(CFG, projectPath).find(t => t.id === 'c1').credentials, { user: '${MQTT_USER}', password: '' })
+        assert.doesNotMatch(fs.readFileSync(templateFile('c1'), 'utf8'), /s3cret/)
+    })
+
+    it('removes the templates of deleted nodes, saving them in the snapshot', () => {
+        credentials.writeCredentialTemplates(flows, CFG, projectPath, RED)
+        const saved = []
+
+        credentials.writeCredentialTemplates([flows[0]], CFG, projectPath, RED, { save: paths => saved.push(...paths) })
+
+        assert.strictEqual(fs.existsSync(templateFile('c1')), true)
+        assert.strictEqual(fs.existsSync(templateFile('c2')), false)
+        assert.deepStrictEqual(saved, [templateFile('c2')])
+    })
+
+    it('refuses templates holding anything else than an ${ENV_VAR} reference', () => {
+        fs.outputFileSync(templateFile('c1'), 'id: c1\ncredentials:\n  password: s3cret-password\n')
+
+        assert.throws(() => credentials.readCredentialTemplates(CFG, projectPath), /Credential 'password' in 'src.credentials.c1\.yaml' must be empty or an \$\{ENV_VAR\} reference/)
+        assert.throws(() => credentials.writeCredentialTemplates(flows, CFG, projectPath, RED), /secrets must not be stored/)
+        assert.strictEqual(fs.readFileSync(templateFile('c1'), 'utf8'), 'id: c1\ncredentials:\n  password: s3cret-password\n')
+    })
+})
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const environments = require('../environments')
+
+/**
+ * @returns {{log: object, warnings: Array<string>}}
+ */
+function createRED() {
+    const warnings = []
+    return { warnings, log: { info() {}, warn: message => warnings.push(message), error() {} } }
+}
+
+/**
+ * Flows with an MQTT broker config node and a node using it
+ * @returns {Array<object>}
+ */
+function createFlows() {
+    return [
+        { id: 't1', type: 'tab', label: 'Main' },
+        { id: 'b1', type: 'mqtt-broker', broker: 'localhost', port: 1883, options: { tls: false, keepalive: 60 }, topics: ['a'] },
+        { id: 'm1', type: 'mqtt in', z: 't1', broker: 'b1', topic: 'sensors' }
+    ]
+}
+
+describe('environments', () => {
+    let projectPath
+    let envDir
+    const cfg = { destinationFolder: 'src', environment: 'production' }
+    const previousVariable = process.env[environments.ENVIRONMENT_VARIABLE]
+
+    beforeEach(() => {
+        delete process.env[environments.ENVIRONMENT_VARIABLE]
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        envDir = path.join(projectPath, 'src', environments.ENVIRONMENTS_DIR, 'production')
+        fs.outputFileSync(path.join(envDir, 'broker.yaml'), 'b1:\n  broker: mqtt.example.com\n  options:\n    tls: true\n  topics: [b, c]\n')
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+        if (previousVariable === undefined) {
+            delete process.env[environments.ENVIRONMENT_VARIABLE]
+        } else {
+            process.env[environments.ENVIRONMENT_VARIABLE] = previousVariable
+        }
+    })
+
+    it('selects the environment from the environment variable first, then the config', () => {
+        assert.strictEqual(environments.getEnvironmentName({}), null)
+        assert.strictEqual(environments.getEnvironmentName(cfg), 'production')
+        process.env[environments.ENVIRONMENT_VARIABLE] = 'staging'
+        assert.strictEqual(environments.getEnvironmentName(cfg), 'staging')
+    })
+
+    it('reads overlays keyed by id or listed with their id, merged by node', () => {
+        fs.outputFileSync(path.join(envDir, 'nested', 'more.json'), JSON.stringify([{ id: 'b1', port: 8883 }, { id: 'm1', topic: 'prod/sensors' }]))
+
+        const environment = environments.readEnvironmentOverlays(cfg, projectPath)
+
+        assert.strictEqual(environment.name, 'production')
+        assert.deepStrictEqual(environment.overlays.get('b1'), { id: 'b1', broker: 'mqtt.example.com', options: { tls: true }, topics: ['b', 'c'], port: 8883 })
+        assert.deepStrictEqual(environment.overlays.get('m1'), { id: 'm1', topic: 'prod/sensors' })
+        assert.strictEqual(environments.readEnvironmentOverlays({}, projectPath), null)
+    })
+
+    it('refuses a missing environment folder and nodes without id', () => {
+        assert.throws(() => environments.readEnvironmentOverlays({ ...cfg, environment: 'test' }, projectPath), /Environment 'test' has no overlay folder/)
+
+        fs.outputFileSync(path.join(envDir, 'bad.json'), '[{"broker":"x"}]')
+        assert.throws(() => environments.readEnvironmentOverlays(cfg, projectPath), /Overlay 'bad.json' of environment 'production' has a node without id/)
+    })
+
+    it('deep-merges the overlays into the flows, arrays are replaced', () => {
+        const RED = createRED()
+        const environment = environments.readEnvironmentOverlays(cfg, projectPath)
+        environment.overlays.set('x1', { id: 'x1', name: 'unknown' })
+
+        const nodes = environments.applyEnvironmentOverlays(createFlows(), environment, RED)
+
+        assert.deepStrictEqual(nodes.find(n => n.id === 'b1'), {
+            id: 'b1', type: 'mqtt-broker', broker: 'mqtt.example.com', port: 1883, options: { tls: true, keepalive: 60 }, topics: ['b', 'c']
+        })
+        assert.match(RED.warnings.join('\n'), /overlay for unknown node x1/)
+    })
+
+    it('puts the base values back before a split, and keeps values changed in the editor', () => {
+        const RED = createRED()
+        const environment = environments.readEnvironmentOverlays(cfg, projectPath)
+        environment.overlays.set('m1', { id: 'm1', qos: 2 })
+        const deployed = environments.applyEnvironmentOverlays(createFlows(), environment, RED)
+        // Edited in the editor after the rebuild
+        deployed.find(n => n.id === 'b1').broker = 'mqtt.internal'
+
+        const flows = environments.revertEnvironmentOverlays(deployed, environment, createFlows(), RED)
+
+        assert.deepStrictEqual(flows.find(n => n.id === 'b1'), { ...createFlows()[1], broker: 'mqtt.internal' })
+        // Properties only set by the overlay are removed
+        assert.deepStrictEqual(flows.find(n => n.id === 'm1'), createFlows()[2])
+        assert.strictEqual(deployed.find(n => n.id === 'b1').options.tls, true)
+        assert.match(RED.warnings.join('\n'), /Node b1: broker changed in the editor, saved in the split files but still overridden by environment 'production'/)
+    })
+})
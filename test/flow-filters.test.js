@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const flowFilters = require('../flow-filters')
+
+const RED = { log: { info() {}, warn() {}, error() {} } }
+
+/**
+ * Three tabs, a subflow and their nodes
+ * @returns {Array<object>}
+ */
+function createFlows() {
+    return [
+        { id: 't1', type: 'tab', label: 'Main' },
+        { id: 't2', type: 'tab', label: 'Scratch pad' },
+        { id: 't3', type: 'tab', label: 'Scratch keep' },
+        { id: 's1', type: 'subflow', name: 'Vendor lib' },
+        { id: 'f1', type: 'function', z: 't1', name: 'calc' },
+        { id: 'd1', type: 'debug', z: 't1' },
+        { id: 'f2', type: 'function', z: 't2', name: 'try' },
+        { id: 'f3', type: 'function', z: 't3', name: 'kept' },
+        { id: 'f4', type: 'function', z: 's1', name: 'transform' },
+        { id: 'b1', type: 'mqtt-broker' }
+    ]
+}
+
+describe('flow filters', () => {
+    let projectPath
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+    })
+
+    afterEach(() => {
+        fs.rmSync(projectPath, { recursive: true, force: true })
+    })
+
+    /**
+     * @param {object} cfg - `include` and `exclude` rules
+     * @returns {Array<string>} - Ids of the ignored tabs and subflows
+     */
+    const ignoredFlowIds = (cfg) => {
+        const filter = flowFilters.createFlowFilter(cfg, projectPath)
+        return createFlows().filter(node => (node.type === 'tab' || node.type === 'subflow') && filter.isIgnoredFlow(node)).map(node => node.id)
+    }
+
+    it('lets the last matching exclude rule decide, so that ! rules include again', () => {
+        assert.deepStrictEqual(ignoredFlowIds({ exclude: ['Scratch*', '!Scratch keep'] }), ['t2'])
+        // A later rule excludes again what a ! rule included
+        assert.deepStrictEqual(ignoredFlowIds({ exclude: ['Scratch*', '!Scratch keep', 'tab:t3'] }), ['t2', 't3'])
+    })
+
+    it('reads the rules of the ignore file after the exclude option, without comments', () => {
+        fs.writeFileSync(path.join(projectPath, flowFilters.IGNORE_FILENAME), '# Experiments\n\n!scratch KEEP\n')
+
+        assert.deepStrictEqual(ignoredFlowIds({ exclude: ['Scratch*'] }), ['t2'])
+    })
+
+    it('ignores the flows not included, and the included flows excluded', () => {
+        assert.deepStrictEqual(ignoredFlowIds({ include: ['Scratch*', 'subflow:Vendor*'] }), ['t1'])
+        assert.deepStrictEqual(ignoredFlowIds({ include: ['Scratch*', 'subflow:Vendor*'], exclude: ['Scratch pad'] }), ['t1', 't2'])
+    })
+
+    it('leaves out of the extraction the nodes of types not included or excluded', () => {
+        const filter = flowFilters.createFlowFilter({ include: ['type:function'], exclude: ['id:f2'] }, projectPath)
+        const flows = createFlows()
+
+        assert.deepStrictEqual(flows.filter(filter.isIgnoredNode).map(node => node.id), ['t1', 't2', 't3', 's1', 'd1', 'f2', 'b1'])
+        // Type rules do not ignore tabs and subflows
+        assert.deepStrictEqual(flows.filter(filter.isIgnoredFlow).map(node => node.id), ['f2'])
+    })
+
+    it('refuses include rules starting with ! and rules that are not text', () => {
+        assert.deepStrictEqual(flowFilters.validateFilterRules('exclude', ['Scratch*', '!Scratch keep']), [])
+        assert.match(flowFilters.validateFilterRules('include', ['!Main'])[0], /'include' rules cannot start with '!'/)
+        assert.match(flowFilters.validateFilterRules('exclude', 'Scratch*')[0], /'exclude' must be a list of rules/)
+        assert.match(flowFilters.validateFilterRules('exclude', [''])[0], /'exclude' must be a list of rules/)
+    })
+
+    it('puts the ignored tabs back in the order of the editor, without their outdated split files', () => {
+        const filter = flowFilters.createFlowFilter({ exclude: ['Scratch pad', 'Vendor*'] }, projectPath)
+        const { flows, ignored } = flowFilters.separateIgnoredFlows(createFlows(), filter)
+        assert.deepStrictEqual(flows.map(node => node.id), ['t1', 't3', 'f1', 'd1', 'f3', 'b1'])
+        assert.deepStrictEqual(ignored.tabsOrder, ['t1', 't2', 't3'])
+
+        // Rebuilt with the tabs in another order, and a split file of the ignored tab left from before
+        const rebuilt = [flows[1], flows[0], { id: 't2', type: 'tab', label: 'Scratch pad' }, { id: 'f2', type: 'function', z: 't2', name: 'old' }, ...flows.slice(2)]
+        const warnings = []
+        const merged = flowFilters.mergeIgnoredFlows(rebuilt, ignored, { log: { ...RED.log, warn: message => warnings.push(message) } })
+
+        assert.deepStrictEqual(merged.filter(node => node.type === 'tab').map(node => node.id), ['t1', 't2', 't3'])
+        assert.deepStrictEqual(merged.map(node => node.id).sort(), createFlows().map(node => node.id).sort())
+        assert.strictEqual(merged.find(node => node.id === 'f2').name, 'try')
+        assert.deepStrictEqual(warnings, ['[node-red-contrib-flow-splitter-extended] Ignored tab "Scratch pad" still has split files, they are left out of the flows'])
+    })
+})
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const { runFunctionTests, summarizeTestResults } = require('../function-test-runner')
+
+const RED = { log: { info() {}, warn() {}, error() {} } }
+const CFG = { destinationFolder: 'src' }
+
+/**
+ * Function node sending large values to its first output and counting the others
+ * @returns {object}
+ */
+function createNode() {
+    return {
+        id: 'f1',
+        type: 'function',
+        z: 't1',
+        name: 'calc',
+        outputs: 2,
+        func: [
+            "if (typeof msg.payload !== 'number') { node.warn('invalid payload'); throw new Error('not a number') }",
+            "if (msg.payload > env.get('THRESHOLD')) { return [msg, null] }",
+            "const count = (context.get('count') || 0) + 1",
+            "context.set('count', count)",
+            "node.status({ text: `seen ${count}` })",
+            'return [null, msg]'
+        ].join('\n')
+    }
+}
+
+describe('runFunctionTests', () => {
+    let projectPath
+    let flowDir
+    const extracted = [{ flowType: 'tab', flowName: 'main', nodes: [{ nodeId: 'f1', name: 'calc', testFile: 'calc.test.yaml' }] }]
+
+    /**
+     * @param {string} content - Fixture of the calc node
+     */
+    function writeFixture(content) {
+        fs.outputFileSync(path.join(flowDir, 'calc.test.yaml'), content)
+    }
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        flowDir = path.join(projectPath, 'src', 'tabs', 'main')
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('checks the outputs, errors, warnings, status and context of each test', async () => {
+        writeFixture([
+            'env: { THRESHOLD: 10 }',
+            'tests:',
+            '  - name: large values go to the first output',
+            '    msg: { payload: 20 }',
+            '    outputs: [{ payload: 20 }, []]',
+            '  - name: counts the messages',
+            '    msgs: [{ payload: 1 }, { payload: 2 }]',
+            '    outputs: [[], [{ payload: 1 }, { payload: 2 }]]',
+            '    context: { node: { count: 2 } }',
+            '    status: { text: seen 2 }',
+            '  - name: rejects strings',
+            '    msg: { payload: abc }',
+            '    errors: [not a number]',
+            '    warnings: [invalid payload]'
+        ].join('\n'))
+
+        const results = await runFunctionTests([createNode()], extracted, CFG, projectPath, RED)
+
+        assert.strictEqual(results.length, 1)
+        assert.strictEqual(results[0].file, path.join('src', 'tabs', 'main', 'calc.test.yaml'))
+        assert.strictEqual(results[0].name, 'main/calc')
+        assert.deepStrictEqual(results[0].tests.map(test => [test.name, test.passed, test.failures]), [
+            ['large values go to the first output', true, []],
+            ['counts the messages', true, []],
+            ['rejects strings', true, []]
+        ])
+        assert.deepStrictEqual(summarizeTestResults(results), { passed: 3, failed: 0 })
+    })
+
+    it('reports the differences, and unexpected errors', async () => {
+        writeFixture([
+            'env: { THRESHOLD: 10 }',
+            'tests:',
+            '  - msg: { payload: 5 }',
+            '    outputs: [{ payload: 5 }]',
+            '  - msg: { payload: abc }'
+        ].join('\n'))
+
+        const results = await runFunctionTests([createNode()], extracted, CFG, projectPath, RED)
+
+        const [first, second] = results[0].tests
+        assert.strictEqual(first.name, 'test 1')
+        assert.strictEqual(first.passed, false)
+        assert.match(first.failures.join('\n'), /output 1/)
+        assert.match(first.failures.join('\n'), /output 2/)
+        assert.match(second.failures.join('\n'), /not a number/)
+        assert.deepStrictEqual(summarizeTestResults(results), { passed: 0, failed: 2 })
+    })
+
+    it('waits for the messages sent from timers', async () => {
+        const node = { ...createNode(), func: 'setTimeout(() => node.send({ payload: 1 }), 10)\nreturn null' }
+        writeFixture('tests:\n  - outputs: [{ payload: 1 }]\n    wait: 50\n')
+
+        const results = await runFunctionTests([node], extracted, CFG, projectPath, RED)
+
+        assert.deepStrictEqual(results[0].tests[0].failures, [])
+    })
+
+    it('stops code running longer than the timeout of the node', async () => {
+        const node = { ...createNode(), func: 'while (true) {}', timeout: 0.1 }
+        writeFixture('tests:\n  - msg: {}\n')
+
+        const results = await runFunctionTests([node], extracted, CFG, projectPath, RED)
+
+        assert.match(results[0].tests[0].failures.join('\n'), /timed out/)
+    })
+
+    it('counts the fixtures that cannot be run as failed, and filters the nodes by name', async () => {
+        writeFixture('tests: {}\n')
+        const results = await runFunctionTests([createNode()], extracted, CFG, projectPath, RED)
+        assert.match(results[0].error, /Cannot read the fixture: 'tests' must be a list/)
+        assert.deepStrictEqual(summarizeTestResults(results), { passed: 0, failed: 1 })
+
+        const notFunction = await runFunctionTests([{ id: 'f1', type: 'template' }], extracted, CFG, projectPath, RED)
+        assert.strictEqual(notFunction[0].error, 'Only function nodes can be tested')
+
+        assert.deepStrictEqual(await runFunctionTests([createNode()], extracted, CFG, projectPath, RED, { filter: 'other' }), [])
+    })
+})
@@ -0,0 +1,384 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const functionsTemplatesHandler = require('../functions-templates-handler')
+
+const RED = { log: { info() {}, warn() {}, error() {} } }
+
+/**
+ * Tab with a function node
+ * @param {string} [func] - Code of the function node
+ * @returns {Array<object>}
+ */
+function createFlowNodes(func = 'return msg') {
+    return [
+        { id: 't1', type: 'tab', label: 'Main' },
+        { id: 'f1', type: 'function', z: 't1', name: 'calc', func, outputs: 1 }
+    ]
+}
+
+describe('conflicts with disk edits', () => {
+    let tabsDir
+    let file
+
+    beforeEach(() => {
+        tabsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'src', 'tabs')
+        fs.mkdirSync(tabsDir, { recursive: true })
+        file = path.join(tabsDir, 'main', 'calc.js')
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes(), 'main', tabsDir, RED)
+    })
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(path.dirname(tabsDir)), { recursive: true, force: true })
+    })
+
+    it('overwrites extracted files that were not edited on disk', () => {
+        const conflicts = functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes('return null'), 'main', tabsDir, RED)
+
+        assert.deepStrictEqual(conflicts, [])
+        assert.match(fs.readFileSync(file, 'utf8'), /return null$/)
+        assert.strictEqual(fs.existsSync(`${file}.conflict`), false)
+    })
+
+    it('writes the deployed code and saves the disk edit as a conflict copy', () => {
+        const edited = fs.readFileSync(file, 'utf8').replace('return msg', 'return edited')
+        fs.writeFileSync(file, edited)
+
+        const conflicts = functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes('return null'), 'main', tabsDir, RED)
+
+        assert.deepStrictEqual(conflicts.map(c => [c.nodeId, c.property, c.conflictFile]), [['f1', 'func', 'calc.js.conflict']])
+        assert.match(fs.readFileSync(file, 'utf8'), /return null$/)
+        assert.strictEqual(fs.readFileSync(`${file}.conflict`, 'utf8'), edited)
+    })
+
+    it('keeps the disk edit with onConflict set to keep', () => {
+        const edited = fs.readFileSync(file, 'utf8').replace('return msg', 'return edited')
+        fs.writeFileSync(file, edited)
+
+        const conflicts = functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes('return null'), 'main', tabsDir, RED, undefined, { onConflict: 'keep' })
+
+        assert.strictEqual(conflicts.length, 1)
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), edited)
+        assert.match(fs.readFileSync(`${file}.conflict`, 'utf8'), /return null$/)
+
+        // The kept edit is still a conflict on the next deploy
+        assert.strictEqual(functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes('return null'), 'main', tabsDir, RED, undefined, { onConflict: 'keep' }).length, 1)
+    })
+
+    it('reports no conflict when the disk edit matches the deployed code', () => {
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('return msg', 'return null'))
+
+        const conflicts = functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes('return null'), 'main', tabsDir, RED)
+
+        assert.deepStrictEqual(conflicts, [])
+        assert.strictEqual(fs.existsSync(`${file}.conflict`), false)
+    })
+
+    it('saves the edited files of deleted nodes as conflict copies', () => {
+        const edited = fs.readFileSync(file, 'utf8').replace('return msg', 'return edited')
+        fs.writeFileSync(file, edited)
+
+        const conflicts = functionsTemplatesHandler.extractFunctionsAndTemplates([createFlowNodes()[0]], 'main', tabsDir, RED)
+
+        assert.deepStrictEqual(conflicts.map(c => c.nodeId), ['f1'])
+        assert.strictEqual(fs.readFileSync(`${file}.conflict`, 'utf8'), edited)
+        assert.strictEqual(fs.existsSync(file), false)
+    })
+
+    it('keeps the conflict copies of previous deploys', () => {
+        fs.writeFileSync(file, 'return edited\n')
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes('return null'), 'main', tabsDir, RED)
+
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes('return 1'), 'main', tabsDir, RED)
+
+        assert.strictEqual(fs.readFileSync(`${file}.conflict`, 'utf8'), 'return edited\n')
+    })
+})
+
+describe('function settings header', () => {
+    let tabsDir
+    let file
+
+    /**
+     * Tab with a function node as saved by the editor, which stores edited numbers as strings
+     * @param {object} [settings] - Settings of the function node
+     * @returns {Array<object>}
+     */
+    const createEditorFlowNodes = (settings = {}) => [
+        { id: 't1', type: 'tab', label: 'Main' },
+        { id: 'f1', type: 'function', z: 't1', name: 'calc', func: 'return msg', outputs: 1, timeout: '5', noerr: '0', libs: [], ...settings }
+    ]
+
+    beforeEach(() => {
+        tabsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'src', 'tabs')
+        fs.mkdirSync(tabsDir, { recursive: true })
+        file = path.join(tabsDir, 'main', 'calc.js')
+    })
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(path.dirname(tabsDir)), { recursive: true, force: true })
+    })
+
+    it('restores numbers saved as strings by the editor', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED)
+        const code = fs.readFileSync(file, 'utf8')
+        assert.match(code, /timeout: '5'/)
+        assert.match(code, /noerr: '0'/)
+
+        assert.deepStrictEqual(functionsTemplatesHandler.validateFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED), [])
+        const node = functionsTemplatesHandler.restoreFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED).find(n => n.id === 'f1')
+        assert.strictEqual(node.timeout, '5')
+        assert.strictEqual(node.noerr, '0')
+        assert.strictEqual(node.func, 'return msg')
+    })
+
+    it('restores an empty timeout cleared in the editor', () => {
+        const flowNodes = createEditorFlowNodes({ timeout: '', noerr: '' })
+        functionsTemplatesHandler.extractFunctionsAndTemplates(flowNodes, 'main', tabsDir, RED)
+        assert.match(fs.readFileSync(file, 'utf8'), /timeout: ''/)
+
+        assert.deepStrictEqual(functionsTemplatesHandler.validateFunctionsAndTemplates(flowNodes, 'main', tabsDir, RED), [])
+        const node = functionsTemplatesHandler.restoreFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED).find(n => n.id === 'f1')
+        assert.strictEqual(node.timeout, '')
+        assert.strictEqual(node.noerr, '')
+        assert.strictEqual(node.func, 'return msg')
+    })
+
+    it('restores settings edited in the header as strings or numbers', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED)
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace("timeout: '5'", 'timeout: 2.5').replace("noerr: '0'", "noerr: '3'"))
+
+        const node = functionsTemplatesHandler.restoreFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED).find(n => n.id === 'f1')
+        assert.strictEqual(node.timeout, 2.5)
+        assert.strictEqual(node.noerr, '3')
+    })
+
+    it('rejects settings that are not numbers', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED)
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace("timeout: '5'", "timeout: 'soon'"))
+
+        const messages = functionsTemplatesHandler.validateFunctionsAndTemplates(createEditorFlowNodes(), 'main', tabsDir, RED).map(error => error.message)
+        assert.ok(messages.some(message => message.includes("'timeout' must be a positive number of seconds, got \"soon\"")), messages.join('\n'))
+    })
+})
+
+describe('file names', () => {
+    let tabsDir
+
+    /**
+     * @param {Array<object>} nodes - Function nodes of the tab
+     * @param {object} [options] - Extraction options
+     * @returns {Array<string>} - Extracted code files
+     */
+    const extract = (nodes, options) => {
+        const flowNodes = [{ id: 't1', type: 'tab', label: 'Main' }, ...nodes.map(node => ({ type: 'function', z: 't1', func: 'return msg', ...node }))]
+        functionsTemplatesHandler.extractFunctionsAndTemplates(flowNodes, 'main', tabsDir, RED, undefined, options)
+        return fs.readdirSync(path.join(tabsDir, 'main')).filter(f => f.endsWith('.js')).sort()
+    }
+
+    beforeEach(() => {
+        tabsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'src', 'tabs')
+        fs.mkdirSync(tabsDir, { recursive: true })
+    })
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(path.dirname(tabsDir)), { recursive: true, force: true })
+    })
+
+    it('adds the short id to unnamed nodes and to nodes sharing a name', () => {
+        const files = extract([{ id: 'aaaa1111bbbb', name: 'calc' }, { id: 'cccc2222dddd', name: 'calc' }, { id: 'eeee3333ffff' }])
+        assert.deepStrictEqual(files, ['calc-cccc2222.js', 'calc.js', 'unnamed-function-eeee3333.js'])
+    })
+
+    it('keeps the file names when the nodes are reordered or a node with the same name is added', () => {
+        extract([{ id: 'aaaa1111bbbb', name: 'calc', func: 'return 1' }, { id: 'cccc2222dddd', name: 'calc', func: 'return 2' }])
+
+        const files = extract([{ id: 'eeee3333ffff', name: 'calc', func: 'return 3' }, { id: 'cccc2222dddd', name: 'calc', func: 'return 2' }, { id: 'aaaa1111bbbb', name: 'calc', func: 'return 1' }])
+
+        assert.deepStrictEqual(files, ['calc-cccc2222.js', 'calc-eeee3333.js', 'calc.js'])
+        assert.match(fs.readFileSync(path.join(tabsDir, 'main', 'calc.js'), 'utf8'), /return 1\n?$/)
+        assert.match(fs.readFileSync(path.join(tabsDir, 'main', 'calc-cccc2222.js'), 'utf8'), /return 2\n?$/)
+    })
+
+    it('renames the files of a renamed node', () => {
+        extract([{ id: 'aaaa1111bbbb', name: 'calc' }])
+        assert.deepStrictEqual(extract([{ id: 'aaaa1111bbbb', name: 'compute' }]), ['compute.js'])
+    })
+
+    it('names the files after the name and short id, or the id', () => {
+        const nodes = [{ id: 'aaaa1111bbbb', name: 'calc' }, { id: 'cc:22', name: 'a/b' }]
+        assert.deepStrictEqual(extract(nodes, { fileNaming: 'name-id' }), ['a-b-cc22.js', 'calc-aaaa1111.js'])
+        assert.deepStrictEqual(extract(nodes, { fileNaming: 'id' }), ['aaaa1111bbbb.js', 'cc-22.js'])
+    })
+
+    it('restores the nodes from their files whatever the naming', () => {
+        const nodes = [{ id: 'aaaa1111bbbb', name: 'calc' }, { id: 'cccc2222dddd', name: 'calc' }]
+        extract(nodes, { fileNaming: 'id' })
+        fs.writeFileSync(path.join(tabsDir, 'main', 'cccc2222dddd.js'), fs.readFileSync(path.join(tabsDir, 'main', 'cccc2222dddd.js'), 'utf8').replace('return msg', 'return null'))
+
+        const flowNodes = [{ id: 't1', type: 'tab', label: 'Main' }, ...nodes.map(node => ({ type: 'function', z: 't1', func: 'return msg', ...node }))]
+        const restored = functionsTemplatesHandler.restoreFunctionsAndTemplates(flowNodes, 'main', tabsDir, RED)
+        assert.strictEqual(restored.find(n => n.id === 'aaaa1111bbbb').func, 'return msg')
+        assert.strictEqual(restored.find(n => n.id === 'cccc2222dddd').func, 'return null')
+    })
+})
+
+describe('group folders', () => {
+    let tabsDir
+
+    /**
+     * Tab with a function node in a nested group and one outside of the groups
+     * @param {object} [calc] - Changes to the node in the groups
+     * @returns {Array<object>}
+     */
+    const createGroupedFlowNodes = (calc = {}) => [
+        { id: 't1', type: 'tab', label: 'Main' },
+        { id: 'g1', type: 'group', z: 't1', name: 'Billing' },
+        { id: 'g2', type: 'group', z: 't1', g: 'g1', name: 'Taxes/VAT' },
+        { id: 'f1', type: 'function', z: 't1', g: 'g2', name: 'calc', func: 'return msg', outputs: 1, ...calc },
+        { id: 'f2', type: 'function', z: 't1', name: 'log', func: 'return null', outputs: 1 }
+    ]
+
+    beforeEach(() => {
+        tabsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'src', 'tabs')
+        fs.mkdirSync(tabsDir, { recursive: true })
+    })
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(path.dirname(tabsDir)), { recursive: true, force: true })
+    })
+
+    it('puts the files of grouped nodes in folders named after the groups', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createGroupedFlowNodes(), 'main', tabsDir, RED, undefined, { groupDirectories: true })
+
+        assert.ok(fs.existsSync(path.join(tabsDir, 'main', 'Billing', 'Taxes-VAT', 'calc.js')))
+        assert.ok(fs.existsSync(path.join(tabsDir, 'main', 'log.js')))
+    })
+
+    it('restores the nodes from the group folders', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createGroupedFlowNodes(), 'main', tabsDir, RED, undefined, { groupDirectories: true })
+        const file = path.join(tabsDir, 'main', 'Billing', 'Taxes-VAT', 'calc.js')
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('return msg', 'return 1'))
+
+        const restored = functionsTemplatesHandler.restoreFunctionsAndTemplates(createGroupedFlowNodes(), 'main', tabsDir, RED)
+        assert.strictEqual(restored.find(n => n.id === 'f1').func, 'return 1')
+        assert.strictEqual(restored.find(n => n.id === 'f2').func, 'return null')
+    })
+
+    it('moves the files of a node moved out of its group, edits made in the group folder become a conflict copy', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createGroupedFlowNodes(), 'main', tabsDir, RED, undefined, { groupDirectories: true })
+        const file = path.join(tabsDir, 'main', 'Billing', 'Taxes-VAT', 'calc.js')
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('return msg', 'return 1'))
+
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createGroupedFlowNodes({ g: undefined }), 'main', tabsDir, RED, undefined, { groupDirectories: true })
+
+        assert.strictEqual(fs.existsSync(path.join(tabsDir, 'main', 'Billing')), false)
+        assert.match(fs.readFileSync(path.join(tabsDir, 'main', 'calc.js'), 'utf8'), /return msg\n?$/)
+        assert.match(fs.readFileSync(path.join(tabsDir, 'main', 'calc.js.conflict'), 'utf8'), /return 1\n?$/)
+    })
+
+    it('ignores the groups when the option is off', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createGroupedFlowNodes(), 'main', tabsDir, RED)
+        assert.deepStrictEqual(fs.readdirSync(path.join(tabsDir, 'main')).filter(f => !f.startsWith('.')).sort(), ['calc.js', 'log.js'])
+    })
+})
+
+describe('shared modules', () => {
+    let tabsDir
+    const code = "const { double } = require('../../lib/double')\nmsg.payload = double(msg.payload)\nreturn msg"
+
+    beforeEach(() => {
+        tabsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'src', 'tabs')
+        fs.mkdirSync(path.join(tabsDir, '..', 'lib'), { recursive: true })
+        fs.writeFileSync(path.join(tabsDir, '..', 'lib', 'double.js'), 'exports.double = value => value * 2\n')
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes(code), 'main', tabsDir, RED)
+    })
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(path.dirname(tabsDir)), { recursive: true, force: true })
+    })
+
+    it('restores the code with its modules, and extracts the require line back', () => {
+        const restored = functionsTemplatesHandler.restoreFunctionsAndTemplates(createFlowNodes(), 'main', tabsDir, RED)
+        const func = restored.find(n => n.id === 'f1').func
+        assert.match(func, /exports.double = value => value \* 2/)
+
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createFlowNodes(func), 'main', tabsDir, RED)
+        assert.strictEqual(fs.readFileSync(path.join(tabsDir, 'main', 'calc.js'), 'utf8').replace(/^[\s\S]*?\*\/\n/, ''), code)
+    })
+
+    it('reports a missing module at the line of the require', () => {
+        fs.rmSync(path.join(tabsDir, '..', 'lib', 'double.js'))
+
+        const errors = functionsTemplatesHandler.validateFunctionsAndTemplates(createFlowNodes(), 'main', tabsDir, RED)
+        assert.strictEqual(errors.length, 1)
+        assert.strictEqual(errors[0].file, path.join(tabsDir, 'main', 'calc.js'))
+        assert.match(errors[0].message, /Cannot find module '..\/..\/lib\/double'/)
+    })
+})
+
+let hasTypeScript = true
+try {
+    require.resolve('typescript')
+} catch (error) {
+    hasTypeScript = false
+}
+
+describe('TypeScript sources', { skip: !hasTypeScript && 'typescript is not installed' }, () => {
+    let tabsDir
+    const source = 'const value: number = msg.payload\nmsg.payload = value * 2\nreturn msg\n'
+
+    /**
+     * @param {string} [func] - Code of the function node
+     * @param {string} [name] - Name of the function node
+     * @returns {Array<object>}
+     */
+    const createNodes = (func, name = 'calc') => createFlowNodes(func).map(n => n.id === 'f1' ? { ...n, name } : n)
+
+    beforeEach(() => {
+        tabsDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'src', 'tabs')
+        fs.mkdirSync(tabsDir, { recursive: true })
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createNodes(), 'main', tabsDir, RED)
+        fs.writeFileSync(path.join(tabsDir, 'main', 'calc.ts'), source)
+    })
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(path.dirname(tabsDir)), { recursive: true, force: true })
+    })
+
+    it('restores the code of the .ts file instead of the .js file', () => {
+        const restored = functionsTemplatesHandler.restoreFunctionsAndTemplates(createNodes(), 'main', tabsDir, RED)
+        assert.strictEqual(restored.find(n => n.id === 'f1').func, 'const value = msg.payload;\nmsg.payload = value * 2;\nreturn msg;\n')
+    })
+
+    it('moves the .ts file with a renamed node and records it in the manifest', () => {
+        const func = functionsTemplatesHandler.restoreFunctionsAndTemplates(createNodes(), 'main', tabsDir, RED).find(n => n.id === 'f1').func
+
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createNodes(func, 'compute'), 'main', tabsDir, RED)
+
+        assert.strictEqual(fs.existsSync(path.join(tabsDir, 'main', 'calc.ts')), false)
+        assert.strictEqual(fs.readFileSync(path.join(tabsDir, 'main', 'compute.ts'), 'utf8'), source)
+        const [node] = functionsTemplatesHandler.listExtractedFiles(tabsDir, 'main', RED)
+        assert.deepStrictEqual(node.typescript, { func: 'compute.ts' })
+        assert.deepStrictEqual(node.editedOutsideTypeScript, [])
+    })
+
+    it('records the code edited in the editor, which no longer matches the .ts file', () => {
+        functionsTemplatesHandler.extractFunctionsAndTemplates(createNodes('return null'), 'main', tabsDir, RED)
+
+        assert.strictEqual(fs.readFileSync(path.join(tabsDir, 'main', 'calc.ts'), 'utf8'), source)
+        const [node] = functionsTemplatesHandler.listExtractedFiles(tabsDir, 'main', RED)
+        assert.deepStrictEqual(node.editedOutsideTypeScript, ['func'])
+    })
+
+    it('reports the values imported by the .ts file', () => {
+        fs.writeFileSync(path.join(tabsDir, 'main', 'calc.ts'), `import { round } from 'lodash'\nmsg.payload = round(msg.payload)\n${source}`)
+
+        const errors = functionsTemplatesHandler.validateFunctionsAndTemplates(createNodes(), 'main', tabsDir, RED)
+        assert.strictEqual(errors.length, 1)
+        assert.strictEqual(errors[0].file, path.join(tabsDir, 'main', 'calc.ts'))
+        assert.strictEqual(errors[0].line, 1)
+    })
+})
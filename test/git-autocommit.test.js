@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const { execFileSync } = require('child_process')
+const gitAutoCommit = require('../git-autocommit')
+
+const CFG = { destinationFolder: 'src', fileFormat: 'yaml', gitBranch: '', gitAuthor: '', gitCommitMessage: 'Update flows: {summary}\n\n{details}' }
+const CONFIG_FILENAME = '.config.flow-splitter.json'
+
+/**
+ * Extracted files of the tab `main`: one function node per file of `src/tabs/main`
+ * @param {object} cfg
+ * @param {string} projectPath
+ * @returns {Array<object>}
+ */
+function listExtractedFiles(cfg, projectPath) {
+    const dir = path.join(projectPath, 'src', 'tabs', 'main')
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.js')) : []
+    return [{ flowType: 'tab', flowName: 'main', nodes: files.map(file => ({ nodeId: file, name: path.basename(file, '.js'), files: [file] })) }]
+}
+
+describe('git auto-commit', () => {
+    let projectPath
+
+    /**
+     * @param {...string} args
+     * @returns {string}
+     */
+    function git(...args) {
+        return execFileSync('git', args, { cwd: projectPath, encoding: 'utf8' }).trim()
+    }
+
+    /**
+     * Capture the source tree, apply the changes of a split, then commit them
+     * @param {function(): void} split
+     * @param {object} [cfg]
+     * @returns {Promise<{changes: object, commit: string | null}>}
+     */
+    async function splitAndCommit(split, cfg = CFG) {
+        const before = gitAutoCommit.captureSourceState(cfg, projectPath, listExtractedFiles)
+        split()
+        const changes = gitAutoCommit.diffSourceStates(before, gitAutoCommit.captureSourceState(cfg, projectPath, listExtractedFiles), cfg)
+        return { changes, commit: await gitAutoCommit.commitSourceChanges(changes, cfg, projectPath, CONFIG_FILENAME) }
+    }
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        git('init', '-q', '-b', 'main')
+        git('config', 'user.name', 'Test')
+        git('config', 'user.email', 'test@example.com')
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'main.yaml'), '- id: t1\n')
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'main', 'calc.js'), 'return msg\n')
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'old.yaml'), '- id: t2\n')
+        fs.outputFileSync(path.join(projectPath, 'README.md'), 'readme\n')
+        git('add', '-A')
+        git('commit', '-q', '-m', 'initial')
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('commits only the files written by the split, with a message listing the changes', async () => {
+        fs.writeFileSync(path.join(projectPath, 'README.md'), 'edited by the user\n')
+        const { changes, commit } = await splitAndCommit(() => {
+            fs.writeFileSync(path.join(projectPath, 'src', 'tabs', 'main', 'calc.js'), 'return null\n')
+            fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'main', 'format.js'), 'return msg\n')
+            fs.rmSync(path.join(projectPath, 'src', 'tabs', 'old.yaml'))
+            fs.writeFileSync(path.join(projectPath, CONFIG_FILENAME), '{}')
+        })
+
+        assert.ok(commit)
+        assert.deepStrictEqual(changes.files, ['src/tabs/main/calc.js', 'src/tabs/main/format.js', 'src/tabs/old.yaml'])
+        assert.strictEqual(git('log', '-1', '--format=%B'), [
+            'Update flows: 2 tabs, 2 functions', '',
+            'Changed tabs:', '- main', 'Removed tabs:', '- old',
+            'Added functions:', '- main/format', 'Changed functions:', '- main/calc'
+        ].join('\n'))
+        assert.deepStrictEqual(git('show', '--name-only', '--format=', 'HEAD').split('\n').sort(), [CONFIG_FILENAME, ...changes.files].sort())
+        assert.strictEqual(git('status', '--porcelain'), 'M README.md')
+    })
+
+    it('commits more files than a command line can hold', async () => {
+        const names = Array.from({ length: 3000 }, (value, index) => `src/tabs/main/${'function-with-a-long-name-'.repeat(4)}${index}.js`)
+        const { commit } = await splitAndCommit(() => names.forEach(name => fs.outputFileSync(path.join(projectPath, name), 'return msg\n')))
+
+        assert.ok(commit)
+        assert.strictEqual(git('show', '--name-only', '--format=', 'HEAD').split('\n').length, names.length)
+    })
+
+    it('leaves the files staged by the user out of the commit', async () => {
+        fs.writeFileSync(path.join(projectPath, 'README.md'), 'staged by the user\n')
+        git('add', 'README.md')
+
+        await splitAndCommit(() => fs.writeFileSync(path.join(projectPath, 'src', 'tabs', 'main.yaml'), '- id: t1\n  label: Main\n'))
+
+        assert.deepStrictEqual(git('show', '--name-only', '--format=', 'HEAD').split('\n'), ['src/tabs/main.yaml'])
+        assert.strictEqual(git('diff', '--cached', '--name-only'), 'README.md')
+    })
+
+    it('does not commit when nothing changed, or on another branch than the configured one', async () => {
+        const head = git('rev-parse', 'HEAD')
+        assert.strictEqual((await splitAndCommit(() => {})).commit, null)
+
+        await assert.rejects(
+            splitAndCommit(() => fs.writeFileSync(path.join(projectPath, 'src', 'tabs', 'main.yaml'), '- id: t3\n'), { ...CFG, gitBranch: 'release' }),
+            /Branch 'main' is checked out instead of 'release'/
+        )
+        assert.strictEqual(git('rev-parse', 'HEAD'), head)
+    })
+
+    it('does not commit while a merge is in progress', async () => {
+        fs.writeFileSync(path.join(projectPath, '.git', 'MERGE_HEAD'), git('rev-parse', 'HEAD'))
+
+        await assert.rejects(
+            splitAndCommit(() => fs.writeFileSync(path.join(projectPath, 'src', 'tabs', 'main.yaml'), '- id: t3\n')),
+            /A merge is in progress/
+        )
+    })
+})
@@ -0,0 +1,228 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const history = require('../history')
+const { replaceDirectory } = require('../safe-fs')
+
+const RED = { log: { info() {}, warn() {}, error() {} } }
+
+const CFG = { historyLimit: 5 }
+
+/**
+ * @param {string} dir
+ * @returns {Object<string, string>} - Content of the files, by path relative to the folder
+ */
+function readTree(dir) {
+    const files = {}
+    const list = current => fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+        if (entry.isDirectory()) {
+            list(path.join(current, entry.name))
+        } else {
+            files[path.relative(dir, path.join(current, entry.name)).split(path.sep).join('/')] = fs.readFileSync(path.join(current, entry.name), 'utf8')
+        }
+    })
+    list(dir)
+    return files
+}
+
+/**
+ * Record an operation the way the splitter does: save the paths, then change them
+ * @param {string} projectPath
+ * @param {string} reason
+ * @param {Object<string, string|null>} changes - New content by path, null to delete
+ * @param {object} [cfg]
+ */
+function runOperation(projectPath, reason, changes, cfg = CFG) {
+    const snapshot = history.startSnapshot(projectPath, cfg, reason, RED)
+    Object.entries(changes).forEach(([file, content]) => {
+        snapshot.save([path.join(projectPath, file)])
+        if (content === null) {
+            fs.removeSync(path.join(projectPath, file))
+        } else {
+            fs.outputFileSync(path.join(projectPath, file), content)
+        }
+    })
+}
+
+describe('snapshots and rollback', () => {
+    let projectPath
+    let before
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'main.yaml'), '- id: t1\n  type: tab\n  label: Main\n')
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'main', '.manifest.json'), '{"files":{}}')
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'main', 'calc.js'), 'return msg\n')
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'other.yaml'), '- id: t2\n  type: tab\n  label: Other\n')
+        fs.outputFileSync(path.join(projectPath, 'flows.json'), '[{"id":"t1","type":"tab","label":"Main"}]')
+        before = readTree(path.join(projectPath, 'src'))
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('only saves the files an operation changes, with a manifest', () => {
+        runOperation(projectPath, 'split', {
+            'src/tabs/main/calc.js': 'return null\n',
+            'src/tabs/added.yaml': '[]\n',
+            'flows.json': null
+        })
+
+        const [snapshot] = history.listSnapshots(projectPath)
+        assert.strictEqual(snapshot.reason, 'split')
+        assert.deepStrictEqual(snapshot.entries, [
+            { path: 'src/tabs/main/calc.js', type: 'file' },
+            { path: 'src/tabs/added.yaml', type: 'none' },
+            { path: 'flows.json', type: 'file' }
+        ])
+        assert.strictEqual(snapshot.fileCount, 2)
+        assert.deepStrictEqual(readTree(path.join(projectPath, history.HISTORY_DIR, snapshot.id, 'files')), {
+            'src/tabs/main/calc.js': 'return msg\n',
+            'flows.json': '[{"id":"t1","type":"tab","label":"Main"}]'
+        })
+    })
+
+    it('saves a path once per operation, and nothing inside a saved directory', () => {
+        const snapshot = history.startSnapshot(projectPath, CFG, 'extract', RED)
+        snapshot.save([path.join(projectPath, 'src', 'tabs', 'main')])
+        fs.writeFileSync(path.join(projectPath, 'src', 'tabs', 'main', 'calc.js'), 'return null\n')
+        snapshot.save([path.join(projectPath, 'src', 'tabs', 'main'), path.join(projectPath, 'src', 'tabs', 'main', 'calc.js')])
+
+        const [saved] = history.listSnapshots(projectPath)
+        assert.deepStrictEqual(saved.entries, [{ path: 'src/tabs/main', type: 'directory' }])
+        assert.strictEqual(fs.readFileSync(path.join(projectPath, history.HISTORY_DIR, saved.id, 'files', 'src', 'tabs', 'main', 'calc.js'), 'utf8'), 'return msg\n')
+    })
+
+    it('stores nothing for an operation that changes nothing, or when history is disabled', () => {
+        history.startSnapshot(projectPath, CFG, 'split', RED).save([])
+        runOperation(projectPath, 'split', { 'src/tabs/main/calc.js': 'return null\n' }, { ...CFG, historyLimit: 0 })
+        assert.deepStrictEqual(history.listSnapshots(projectPath), [])
+    })
+
+    it('restores the files changed, added and deleted by the operation', () => {
+        runOperation(projectPath, 'split', {
+            'src/tabs/main/calc.js': 'return null\n',
+            'src/tabs/added.yaml': '[]\n',
+            'src/tabs/main/.manifest.json': null,
+            'flows.json': '[]'
+        })
+        const [snapshot] = history.listSnapshots(projectPath)
+
+        history.rollbackToSnapshot(projectPath, CFG, snapshot.id, RED)
+
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), before)
+        assert.strictEqual(fs.readFileSync(path.join(projectPath, 'flows.json'), 'utf8'), '[{"id":"t1","type":"tab","label":"Main"}]')
+        // Nothing is left next to the source tree
+        assert.deepStrictEqual(fs.readdirSync(projectPath).sort(), ['.flow-splitter', 'flows.json', 'src'])
+        assert.deepStrictEqual(fs.readdirSync(path.join(projectPath, '.flow-splitter')), ['history'])
+    })
+
+    it('restores a replaced directory', () => {
+        const snapshot = history.startSnapshot(projectPath, CFG, 'extract', RED)
+        snapshot.save([path.join(projectPath, 'src', 'tabs', 'main')])
+        fs.removeSync(path.join(projectPath, 'src', 'tabs', 'main'))
+        fs.outputFileSync(path.join(projectPath, 'src', 'tabs', 'main', 'renamed.js'), 'return 1\n')
+
+        history.rollbackToSnapshot(projectPath, CFG, history.listSnapshots(projectPath)[0].id, RED)
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), before)
+    })
+
+    it('undoes every operation newer than the snapshot', () => {
+        runOperation(projectPath, 'split', { 'src/tabs/main/calc.js': 'return 1\n' })
+        const [first] = history.listSnapshots(projectPath)
+        runOperation(projectPath, 'build', { 'src/tabs/main/calc.js': 'return 2\n', 'src/tabs/other.yaml': null })
+
+        history.rollbackToSnapshot(projectPath, CFG, first.id, RED)
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), before)
+    })
+
+    it('saves the current state first, so a rollback can be rolled back', () => {
+        runOperation(projectPath, 'split', { 'src/tabs/main/calc.js': 'return null\n', 'src/tabs/added.yaml': '[]\n' })
+        const edited = readTree(path.join(projectPath, 'src'))
+
+        history.rollbackToSnapshot(projectPath, CFG, history.listSnapshots(projectPath)[0].id, RED)
+
+        const saved = history.listSnapshots(projectPath).find(s => s.reason === 'before-rollback')
+        assert.ok(saved)
+        history.rollbackToSnapshot(projectPath, CFG, saved.id, RED)
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), edited)
+    })
+
+    it('rolls back to the oldest snapshot when the history is full', () => {
+        const cfg = { ...CFG, historyLimit: 3 }
+        for (let index = 1; index <= 3; index++) {
+            runOperation(projectPath, `split-${index}`, { 'src/tabs/main/calc.js': `return ${index}\n` }, cfg)
+        }
+        const snapshots = history.listSnapshots(projectPath)
+        assert.strictEqual(snapshots.length, 3)
+
+        // Saving the current state prunes the oldest snapshot, the one rolled back to
+        history.rollbackToSnapshot(projectPath, cfg, snapshots[2].id, RED)
+
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), before)
+        assert.strictEqual(history.listSnapshots(projectPath).length, 3)
+    })
+
+    it('refuses an incomplete snapshot without touching the files', () => {
+        runOperation(projectPath, 'split', { 'src/tabs/main/calc.js': 'return null\n' })
+        const [snapshot] = history.listSnapshots(projectPath)
+        fs.removeSync(path.join(projectPath, history.HISTORY_DIR, snapshot.id, 'files'))
+        const edited = readTree(path.join(projectPath, 'src'))
+
+        assert.throws(() => history.rollbackToSnapshot(projectPath, CFG, snapshot.id, RED), /is incomplete: 'src\/tabs\/main\/calc.js' is missing/)
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), edited)
+        assert.strictEqual(history.listSnapshots(projectPath).length, 1)
+    })
+
+    it('refuses an unknown snapshot without touching the files', () => {
+        assert.throws(() => history.rollbackToSnapshot(projectPath, CFG, 'unknown', RED), /Snapshot 'unknown' not found/)
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), before)
+    })
+
+    it('keeps only the most recent snapshots', () => {
+        for (let index = 0; index < 7; index++) {
+            runOperation(projectPath, `split-${index}`, { 'src/tabs/main/calc.js': `return ${index}\n` })
+        }
+        assert.strictEqual(history.listSnapshots(projectPath).length, CFG.historyLimit)
+    })
+})
+
+describe('replaceDirectory', () => {
+    let root
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        fs.outputFileSync(path.join(root, 'target', 'old.txt'), 'old')
+        fs.outputFileSync(path.join(root, 'staging', 'new.txt'), 'new')
+    })
+
+    afterEach(() => {
+        fs.removeSync(root)
+    })
+
+    it('replaces the directory and removes the old one', () => {
+        replaceDirectory(path.join(root, 'staging'), path.join(root, 'target'))
+        assert.deepStrictEqual(readTree(path.join(root, 'target')), { 'new.txt': 'new' })
+        assert.deepStrictEqual(fs.readdirSync(root), ['target'])
+    })
+
+    it('puts the old directory back when the new one cannot be renamed into place', () => {
+        const renameSync = fs.renameSync
+        fs.renameSync = (source, target) => {
+            if (source === path.join(root, 'staging')) {
+                throw new Error('EBUSY: resource busy or locked')
+            }
+            return renameSync(source, target)
+        }
+        try {
+            assert.throws(() => replaceDirectory(path.join(root, 'staging'), path.join(root, 'target')), /EBUSY/)
+        } finally {
+            fs.renameSync = renameSync
+        }
+        assert.deepStrictEqual(readTree(path.join(root, 'target')), { 'old.txt': 'old' })
+        assert.deepStrictEqual(fs.readdirSync(root).sort(), ['staging', 'target'])
+    })
+})
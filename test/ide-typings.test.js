@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const { TYPINGS_FILENAME, writeIdeTypings } = require('../ide-typings')
+
+const RED = { log: { info() {}, warn() {}, error() {} } }
+
+describe('writeIdeTypings', () => {
+    let srcDir
+
+    beforeEach(() => {
+        srcDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+    })
+
+    afterEach(() => {
+        fs.removeSync(srcDir)
+    })
+
+    it('writes the typings of the sandbox globals and a jsconfig.json', () => {
+        writeIdeTypings(srcDir, [], RED)
+
+        const typings = fs.readFileSync(path.join(srcDir, TYPINGS_FILENAME), 'utf8')
+        assert.match(typings, /declare const msg: NodeMessage;/)
+        assert.match(typings, /declare const node: FunctionNode;/)
+        const jsconfig = JSON.parse(fs.readFileSync(path.join(srcDir, 'jsconfig.json'), 'utf8'))
+        assert.deepStrictEqual(jsconfig.include, [TYPINGS_FILENAME, 'tabs/**/*.js', 'subflows/**/*.js', 'tabs/**/*.ts', 'subflows/**/*.ts', 'lib/**/*.js'])
+    })
+
+    it('declares the modules of the function nodes, as a union when a name is used for several modules', () => {
+        writeIdeTypings(srcDir, [
+            { flowName: 'main', nodes: [{ nodeId: 'f1', name: 'calc', libs: [{ var: 'dayjs', module: 'dayjs' }, { var: 'fs', module: 'fs-extra' }] }] },
+            { flowName: 'other', nodes: [{ nodeId: 'f2', libs: [{ var: 'fs', module: 'fs' }, { var: 'not a name', module: 'x' }] }] }
+        ], RED)
+
+        const typings = fs.readFileSync(path.join(srcDir, TYPINGS_FILENAME), 'utf8')
+        assert.match(typings, /\/\*\* Module set up in the function node settings of: main\/calc \*\/\ndeclare const dayjs: typeof import\("dayjs"\);/)
+        assert.match(typings, /of: main\/calc, other\/f2 \*\/\ndeclare const fs: typeof import\("fs"\) \| typeof import\("fs-extra"\);/)
+        assert.doesNotMatch(typings, /not a name/)
+    })
+
+    it('keeps an existing jsconfig.json and leaves unchanged typings alone', () => {
+        fs.writeFileSync(path.join(srcDir, 'jsconfig.json'), '{"compilerOptions":{"checkJs":true}}')
+        writeIdeTypings(srcDir, [], RED)
+        const past = new Date(Math.floor(Date.now() / 1000) * 1000 - 60000)
+        fs.utimesSync(path.join(srcDir, TYPINGS_FILENAME), past, past)
+
+        writeIdeTypings(srcDir, [], RED)
+
+        assert.strictEqual(fs.readFileSync(path.join(srcDir, 'jsconfig.json'), 'utf8'), '{"compilerOptions":{"checkJs":true}}')
+        assert.strictEqual(fs.statSync(path.join(srcDir, TYPINGS_FILENAME)).mtimeMs, past.getTime())
+    })
+
+    it('writes nothing when the destination folder does not exist', () => {
+        writeIdeTypings(path.join(srcDir, 'missing'), [], RED)
+        assert.strictEqual(fs.existsSync(path.join(srcDir, 'missing')), false)
+    })
+})
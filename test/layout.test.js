@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const yaml = require('js-yaml')
+const layout = require('../layout')
+
+const RED = { log: { info() {}, warn() {}, error() {} } }
+const CFG = { destinationFolder: 'src', fileFormat: 'yaml', separateLayout: true }
+
+describe('layout', () => {
+    let projectPath
+    let srcDir
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        srcDir = path.join(projectPath, 'src')
+        fs.outputFileSync(path.join(srcDir, 'tabs', 'main.yaml'), yaml.dump([
+            { id: 't1', type: 'tab', label: 'Main' },
+            { id: 'f1', type: 'function', z: 't1', x: 120, y: 40, wires: [] },
+            { id: 'g1', type: 'group', z: 't1', x: 10, y: 10, w: 300, h: 120 }
+        ]))
+        fs.outputFileSync(path.join(srcDir, 'subflows', 'vendor.yaml'), yaml.dump([
+            { id: 's1', type: 'subflow', name: 'Vendor', in: [{ x: 50, y: 30, wires: [] }], out: [], status: { x: 200, y: 90, wires: [] } }
+        ]))
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('moves the positions and sizes out of the tab and subflow files', () => {
+        layout.separateLayoutFiles(CFG, projectPath)
+
+        const tab = yaml.load(fs.readFileSync(path.join(srcDir, 'tabs', 'main.yaml'), 'utf8'))
+        assert.deepStrictEqual(tab[1], { id: 'f1', type: 'function', z: 't1', wires: [] })
+        assert.deepStrictEqual(tab[2], { id: 'g1', type: 'group', z: 't1' })
+        const subflow = yaml.load(fs.readFileSync(path.join(srcDir, 'subflows', 'vendor.yaml'), 'utf8'))
+        assert.deepStrictEqual(subflow[0].in, [{ wires: [] }])
+
+        const layoutFile = fs.readFileSync(path.join(srcDir, layout.LAYOUT_DIR, 'tabs', 'main.layout.yaml'), 'utf8')
+        assert.strictEqual(layoutFile, "f1: {x: 120, 'y': 40}\ng1: {x: 10, 'y': 10, w: 300, h: 120}\n")
+    })
+
+    it('puts the layout back into the nodes, subflow ports included', () => {
+        layout.separateLayoutFiles(CFG, projectPath)
+        const nodes = [
+            { id: 'f1', type: 'function', z: 't1' },
+            { id: 's1', type: 'subflow', in: [{ wires: [] }], out: [], status: { wires: [] } },
+            { id: 'n1', type: 'debug', z: 't1' }
+        ]
+
+        layout.applyLayout(nodes, layout.readLayout(CFG, projectPath))
+
+        assert.deepStrictEqual(nodes, [
+            { id: 'f1', type: 'function', z: 't1', x: 120, y: 40 },
+            { id: 's1', type: 'subflow', in: [{ wires: [], x: 50, y: 30 }], out: [], status: { wires: [], x: 200, y: 90 } },
+            { id: 'n1', type: 'debug', z: 't1' }
+        ])
+    })
+
+    it('names the layout file that cannot be read', () => {
+        fs.outputFileSync(path.join(srcDir, layout.LAYOUT_DIR, 'tabs', 'main.layout.yaml'), 'f1: [')
+
+        assert.throws(() => layout.readLayout(CFG, projectPath), /Cannot read layout file 'tabs\/main.layout.yaml'/)
+    })
+
+    it('removes the layout files of deleted flows, and all of them when the layout is not separated', () => {
+        layout.separateLayoutFiles(CFG, projectPath)
+        fs.rmSync(path.join(srcDir, 'subflows', 'vendor.yaml'))
+        const saved = []
+
+        layout.removeOrphanedLayoutFiles(CFG, projectPath, RED, { save: paths => saved.push(...paths) })
+
+        assert.ok(fs.existsSync(path.join(srcDir, layout.LAYOUT_DIR, 'tabs', 'main.layout.yaml')))
+        assert.strictEqual(fs.existsSync(path.join(srcDir, layout.LAYOUT_DIR, 'subflows', 'vendor.layout.yaml')), false)
+        assert.deepStrictEqual(saved, [path.join(srcDir, layout.LAYOUT_DIR, 'subflows', 'vendor.layout.yaml')])
+
+        layout.removeOrphanedLayoutFiles({ ...CFG, separateLayout: false }, projectPath, RED)
+        assert.strictEqual(fs.existsSync(path.join(srcDir, layout.LAYOUT_DIR)), false)
+    })
+})
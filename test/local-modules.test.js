@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const vm = require('vm')
+const { bundleLocalRequires, unbundleLocalRequires, mapBundledLine } = require('../local-modules')
+
+describe('local modules', () => {
+    let sourceRoot
+    let file
+
+    /**
+     * Run bundled function code as the function node would
+     * @param {string} code
+     * @param {object} msg
+     * @returns {any}
+     */
+    function runFunction(code, msg) {
+        return vm.runInNewContext(`(function (msg) {\n${code}\n})(msg)`, { msg })
+    }
+
+    beforeEach(() => {
+        sourceRoot = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'src')
+        fs.mkdirSync(path.join(sourceRoot, 'lib', 'math'), { recursive: true })
+        fs.mkdirSync(path.join(sourceRoot, 'tabs', 'main'), { recursive: true })
+        fs.writeFileSync(path.join(sourceRoot, 'lib', 'math', 'index.js'), 'exports.round = (value, digits) => Number(value.toFixed(digits))\n')
+        fs.writeFileSync(path.join(sourceRoot, 'lib', 'units.js'), "const { round } = require('./math')\n\nexports.toCelsius = fahrenheit => round((fahrenheit - 32) * 5 / 9, 1)\n")
+        file = path.join(sourceRoot, 'tabs', 'main', 'calc.js')
+    })
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(sourceRoot), { recursive: true, force: true })
+    })
+
+    it('inlines the local modules a require line needs, and their own local modules', () => {
+        const code = "const { toCelsius } = require('../../lib/units')\n\nmsg.payload = toCelsius(msg.payload)\nreturn msg"
+
+        const bundle = bundleLocalRequires(code, file, sourceRoot)
+
+        assert.match(bundle.code, /^\/\/ @flow-splitter-require const \{ toCelsius \} = require\('..\/..\/lib\/units'\)\n/)
+        assert.match(bundle.code, /\/\/ @flow-splitter-require-end\n\nmsg.payload = toCelsius\(msg.payload\)\nreturn msg$/)
+        assert.deepStrictEqual(bundle.segments.map(s => path.relative(sourceRoot, s.file)), [path.join('lib', 'units.js'), path.join('lib', 'math', 'index.js')])
+        assert.deepStrictEqual(runFunction(bundle.code, { payload: 212 }), { payload: 100 })
+    })
+
+    it('writes back the require line exactly as it was written', () => {
+        const code = "  let units = require(\"../../lib/units.js\");\r\nreturn units.toCelsius(msg.payload)"
+
+        const bundled = bundleLocalRequires(code, file, sourceRoot).code
+
+        assert.strictEqual(unbundleLocalRequires(bundled), code)
+        assert.strictEqual(unbundleLocalRequires(bundled.replace('// @flow-splitter-require-end', '')), bundled.replace('// @flow-splitter-require-end', ''))
+    })
+
+    it('leaves other requires as they are', () => {
+        const code = "const lodash = require('lodash')\nconst units = require('../../lib/units'); const x = 1\nreturn msg"
+        assert.strictEqual(bundleLocalRequires(code, file, sourceRoot).code, code)
+    })
+
+    it('locates missing modules, modules outside the destination folder and syntax errors of the modules', () => {
+        assert.throws(() => bundleLocalRequires("\nconst a = require('../../lib/missing')", file, sourceRoot),
+            error => error.file === file && error.line === 2 && /Cannot find module '..\/..\/lib\/missing'/.test(error.message))
+
+        fs.writeFileSync(path.join(path.dirname(sourceRoot), 'outside.js'), 'exports.a = 1\n')
+        assert.throws(() => bundleLocalRequires("const a = require('../../../outside')", file, sourceRoot), /is outside of the 'src' folder/)
+
+        fs.writeFileSync(path.join(sourceRoot, 'lib', 'math', 'index.js'), 'exports.round = (value =>\n')
+        assert.throws(() => bundleLocalRequires("const u = require('../../lib/units')", file, sourceRoot),
+            error => error.file === path.join(sourceRoot, 'lib', 'math', 'index.js') && error.line >= 1)
+    })
+
+    it('maps the lines of the bundled code to the extracted file or to the module', () => {
+        const code = "const { toCelsius } = require('../../lib/units')\n\nmsg.payload = toCelsius(msg.payload)\nreturn msg"
+        const bundle = bundleLocalRequires(code, file, sourceRoot)
+        const lines = bundle.code.split('\n')
+
+        assert.deepStrictEqual(mapBundledLine(bundle, lines.indexOf('msg.payload = toCelsius(msg.payload)') + 1), { line: 3 })
+        assert.deepStrictEqual(mapBundledLine(bundle, lines.indexOf('exports.toCelsius = fahrenheit => round((fahrenheit - 32) * 5 / 9, 1)') + 1), {
+            file: path.join(sourceRoot, 'lib', 'units.js'), line: 3
+        })
+        assert.deepStrictEqual(mapBundledLine(bundle, 2), { line: 1 })
+    })
+})
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const { indexNodeSources, locateError, createRuntimeErrorMapper } = require('../runtime-errors')
+
+const CFG = { destinationFolder: 'src' }
+
+/**
+ * Runtime with a log recording the entries given to the handlers, and the hooks added
+ * @returns {{log: object, entries: Array<object>, hooks: Object<string, function>}}
+ */
+function createRED() {
+    const entries = []
+    const hooks = {}
+    return {
+        entries,
+        hooks: { add: (name, hook) => { hooks[name] = hook } },
+        addedHooks: hooks,
+        log: { ERROR: 20, WARN: 30, log: entry => entries.push(entry) }
+    }
+}
+
+describe('runtime errors', () => {
+    let projectPath
+    let sources
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        const flowDir = path.join(projectPath, 'src', 'tabs', 'main')
+        fs.outputFileSync(path.join(flowDir, 'calc.js'), '/* @node-red-settings\noutputs: 1\n*/\nconst a = null\nreturn a.value\n')
+        fs.outputFileSync(path.join(flowDir, 'page.vue'), '<template></template>\n')
+        sources = indexNodeSources([{
+            flowType: 'tab',
+            flowName: 'main',
+            nodes: [
+                { nodeId: 'f1', extractor: 'function', fields: { func: 'calc.js' } },
+                { nodeId: 'u1', extractor: 'ui-template', fields: { format: 'page.vue' } }
+            ]
+        }], CFG, projectPath)
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('indexes the extracted files of the nodes with the lines of their settings header', () => {
+        assert.deepStrictEqual(sources.get('f1'), { extractor: 'function', fields: { func: { file: 'src/tabs/main/calc.js', headerLines: 3 } } })
+    })
+
+    it('maps the line of the function node script to the extracted file', () => {
+        const stack = "TypeError: Cannot read properties of null (reading 'value')\n    at Function node:f1 [calc]:3:10\n    at Script.runInContext"
+
+        assert.deepStrictEqual(locateError(sources.get('f1'), 'f1', "Cannot read properties of null (reading 'value')", stack, { func: { line: 1, column: 0 } }), {
+            file: 'src/tabs/main/calc.js', line: 5, column: 10, message: "TypeError: Cannot read properties of null (reading 'value')"
+        })
+        assert.deepStrictEqual(locateError(sources.get('f1'), 'f1', 'ReferenceError: b is not defined (line 2, col 8)', undefined, {}), {
+            file: 'src/tabs/main/calc.js', line: 5, column: 8, message: 'ReferenceError: b is not defined'
+        })
+        assert.deepStrictEqual(locateError(sources.get('u1'), 'u1', 'Render failed', undefined, {}), { file: 'src/tabs/main/page.vue', message: 'Render failed' })
+    })
+
+    it('adds the location to the logged error instead of logging it again', () => {
+        const RED = createRED()
+        const mapper = createRuntimeErrorMapper(RED)
+        mapper.setSources(sources)
+        const error = new TypeError("Cannot read properties of null (reading 'value')")
+        error.stack = `${error.name}: ${error.message}\n    at Function node:f1 [calc]:3:10`
+
+        RED.log.log({ level: RED.log.ERROR, id: 'f1', type: 'function', msg: error })
+        RED.log.log({ level: RED.log.ERROR, id: 'other', msg: 'not extracted' })
+        RED.log.log({ level: RED.log.WARN, id: 'f1', msg: 'a warning' })
+
+        assert.strictEqual(RED.entries.length, 3)
+        assert.strictEqual(RED.entries[0].msg, "src/tabs/main/calc.js:5:10: TypeError: Cannot read properties of null (reading 'value')")
+        assert.deepStrictEqual(RED.entries[0].sourceLocation, { file: 'src/tabs/main/calc.js', line: 5, column: 10, message: "TypeError: Cannot read properties of null (reading 'value')" })
+        assert.deepStrictEqual(RED.entries.slice(1).map(entry => entry.msg), ['not extracted', 'a warning'])
+    })
+
+    it('takes the stack of the errors ending a message from the onComplete hook', () => {
+        const RED = createRED()
+        const mapper = createRuntimeErrorMapper(RED)
+        mapper.setSources(sources)
+        const stack = 'Error: boom\n    at Function node:f1 [calc]:2:5'
+
+        RED.addedHooks['onComplete.flowSplitterRuntimeErrors']({ error: 'Error: boom', node: { node: { id: 'f1' } }, msg: { error: { stack } } })
+        RED.log.log({ level: RED.log.ERROR, id: 'f1', msg: 'Error: boom' })
+
+        assert.strictEqual(RED.entries[0].msg, 'src/tabs/main/calc.js:4:5: Error: boom')
+
+        // Mapping is off without sources
+        mapper.setSources(new Map())
+        RED.log.log({ level: RED.log.ERROR, id: 'f1', msg: 'Error: boom' })
+        assert.strictEqual(RED.entries[1].msg, 'Error: boom')
+    })
+})
@@ -0,0 +1,203 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const yaml = require('js-yaml')
+const { migrateSourceTree } = require('../source-migration')
+
+const RED = { log: { info() {}, warn() {}, error() {} } }
+
+const TAB_NODES = [
+    { id: 't1', type: 'tab', label: 'Main', info: 'Line 1\nLine 2' },
+    { id: 'f1', type: 'function', z: 't1', name: 'calc', func: 'return msg', outputs: 1, timeout: '5', wires: [['d1']] },
+    { id: 'd1', type: 'debug', z: 't1', name: '', active: true, complete: 'false', wires: [] }
+]
+const SUBFLOW_NODES = [
+    { id: 's1', type: 'subflow', name: 'Vendor', in: [{ x: 50, y: 30, wires: [{ id: 'f2' }] }], out: [] },
+    { id: 'f2', type: 'function', z: 's1', name: 'transform', func: '', outputs: 1, wires: [] }
+]
+const CONFIG_NODES = [{ id: 'c1', type: 'mqtt-broker', name: 'Broker', port: '1883', usetls: false }]
+const LAYOUT = { f1: { x: 100, y: 40 }, d1: { x: 300, y: 40 } }
+
+/**
+ * Files of the source tree that are not written in the file format
+ */
+const OTHER_FILES = {
+    'tabs/main/.manifest.json': JSON.stringify({ files: { f1: { func: 'calc.js' } } }, null, 2),
+    'tabs/main/calc.js': "/* @node-red-settings\noutputs: 1\ntimeout: '5'\n*/\nreturn msg\n",
+    'tabs/main/calc.test.yaml': 'cases:\n  - name: passes\n',
+    'subflows/vendor/.manifest.json': JSON.stringify({ files: { f2: { func: 'transform.js' } } }, null, 2),
+    'subflows/vendor/transform.js': '',
+    'lib/units.js': 'module.exports = { toCelsius: f => (f - 32) / 1.8 }\n',
+    'credentials/mqtt-broker.c1.yaml': 'user: ${MQTT_USER}\n',
+    'ignored-flows.json': JSON.stringify({ tabsOrder: ['t1'], nodes: [] })
+}
+
+/**
+ * @param {any} content
+ * @param {string} fileFormat
+ * @returns {string}
+ */
+function stringify(content, fileFormat) {
+    return fileFormat === 'yaml' ? yaml.dump(content) : JSON.stringify(content, null, 4)
+}
+
+/**
+ * Write a source tree holding every kind of file
+ * @param {string} srcDir
+ * @param {string} fileFormat
+ */
+function writeSourceTree(srcDir, fileFormat) {
+    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
+    const files = {
+        [`tabs/main${extension}`]: stringify(TAB_NODES, fileFormat),
+        [`subflows/vendor${extension}`]: stringify(SUBFLOW_NODES, fileFormat),
+        [`config-nodes/brokers${extension}`]: stringify(CONFIG_NODES, fileFormat),
+        [`layout/tabs/main.layout${extension}`]: stringify(LAYOUT, fileFormat),
+        ...OTHER_FILES
+    }
+    Object.keys(files).forEach((file) => {
+        fs.outputFileSync(path.join(srcDir, file), files[file])
+    })
+}
+
+/**
+ * Check that a source tree holds all the nodes and files written by `writeSourceTree`
+ * @param {string} srcDir
+ * @param {string} fileFormat
+ */
+function assertSourceTree(srcDir, fileFormat) {
+    const extension = fileFormat === 'yaml' ? '.yaml' : '.json'
+    const read = file => {
+        const text = fs.readFileSync(path.join(srcDir, file), 'utf8')
+        return fileFormat === 'yaml' ? yaml.load(text) : JSON.parse(text)
+    }
+    assert.deepStrictEqual(read(`tabs/main${extension}`), TAB_NODES)
+    assert.deepStrictEqual(read(`subflows/vendor${extension}`), SUBFLOW_NODES)
+    assert.deepStrictEqual(read(`config-nodes/brokers${extension}`), CONFIG_NODES)
+    assert.deepStrictEqual(read(`layout/tabs/main.layout${extension}`), LAYOUT)
+    Object.keys(OTHER_FILES).forEach((file) => {
+        assert.strictEqual(fs.readFileSync(path.join(srcDir, file), 'utf8'), OTHER_FILES[file], file)
+    })
+
+    const files = []
+    const list = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        if (entry.isDirectory()) {
+            list(path.join(dir, entry.name))
+        } else {
+            files.push(path.relative(srcDir, path.join(dir, entry.name)))
+        }
+    })
+    list(srcDir)
+    assert.strictEqual(files.length, 4 + Object.keys(OTHER_FILES).length, files.join('\n'))
+}
+
+describe('source tree migration', () => {
+    let projectPath
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('records the state of a new tree without migrating it', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'yaml')
+
+        assert.strictEqual(migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED), false)
+        assert.deepStrictEqual(fs.readJsonSync(path.join(projectPath, '.flow-splitter', 'source-tree.json')), { fileFormat: 'yaml', destinationFolder: 'src' })
+        assertSourceTree(path.join(projectPath, 'src'), 'yaml')
+    })
+
+    it('keeps every node and file through a yaml to json to yaml round trip', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'yaml')
+        migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED)
+
+        assert.strictEqual(migrateSourceTree({ fileFormat: 'json', destinationFolder: 'src' }, projectPath, RED), true)
+        assertSourceTree(path.join(projectPath, 'src'), 'json')
+
+        assert.strictEqual(migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED), true)
+        assertSourceTree(path.join(projectPath, 'src'), 'yaml')
+
+        // Both old trees are archived, the staging folder is gone
+        const archives = fs.readdirSync(path.join(projectPath, '.flow-splitter', 'migrated'))
+        assert.strictEqual(archives.length, 2)
+        assert.ok(archives.some(archive => fs.existsSync(path.join(projectPath, '.flow-splitter', 'migrated', archive, 'src', 'tabs', 'main.json'))))
+        assert.strictEqual(fs.existsSync(path.join(projectPath, '.flow-splitter', 'migration')), false)
+    })
+
+    it('moves the tree, with its extracted folders and manifests, to a new destination folder', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'json')
+        migrateSourceTree({ fileFormat: 'json', destinationFolder: 'src' }, projectPath, RED)
+
+        assert.strictEqual(migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'flows/src' }, projectPath, RED), true)
+        assertSourceTree(path.join(projectPath, 'flows', 'src'), 'yaml')
+        assert.strictEqual(fs.existsSync(path.join(projectPath, 'src')), false)
+        assert.deepStrictEqual(fs.readJsonSync(path.join(projectPath, '.flow-splitter', 'source-tree.json')), { fileFormat: 'yaml', destinationFolder: 'flows/src' })
+    })
+
+    it('migrates a tree only written in the other format when no state was recorded', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'json')
+
+        assert.strictEqual(migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED), true)
+        assertSourceTree(path.join(projectPath, 'src'), 'yaml')
+    })
+
+    it('puts the old tree back when the new one cannot be renamed into place', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'yaml')
+        migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED)
+
+        const renameSync = fs.renameSync
+        fs.renameSync = (source, target) => {
+            if (source.includes(`${path.sep}migration${path.sep}`)) {
+                throw new Error('EXDEV: cross-device link not permitted')
+            }
+            return renameSync(source, target)
+        }
+        try {
+            assert.throws(() => migrateSourceTree({ fileFormat: 'json', destinationFolder: 'src' }, projectPath, RED), /EXDEV/)
+        } finally {
+            fs.renameSync = renameSync
+        }
+
+        assertSourceTree(path.join(projectPath, 'src'), 'yaml')
+        assert.deepStrictEqual(fs.readJsonSync(path.join(projectPath, '.flow-splitter', 'source-tree.json')), { fileFormat: 'yaml', destinationFolder: 'src' })
+        assert.strictEqual(fs.existsSync(path.join(projectPath, '.flow-splitter', 'migration')), false)
+        // The next run migrates again
+        assert.strictEqual(migrateSourceTree({ fileFormat: 'json', destinationFolder: 'src' }, projectPath, RED), true)
+        assertSourceTree(path.join(projectPath, 'src'), 'json')
+    })
+
+    it('leaves everything unchanged when a file cannot be converted', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'yaml')
+        migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED)
+        fs.writeFileSync(path.join(projectPath, 'src', 'config-nodes', 'broken.yaml'), 'key: [unclosed')
+
+        assert.throws(() => migrateSourceTree({ fileFormat: 'json', destinationFolder: 'src' }, projectPath, RED), /Cannot read 'config-nodes[\\/]broken.yaml'/)
+        assert.strictEqual(fs.readFileSync(path.join(projectPath, 'src', 'config-nodes', 'broken.yaml'), 'utf8'), 'key: [unclosed')
+        fs.unlinkSync(path.join(projectPath, 'src', 'config-nodes', 'broken.yaml'))
+        assertSourceTree(path.join(projectPath, 'src'), 'yaml')
+    })
+
+    it('refuses to move the tree into a folder that is not empty', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'yaml')
+        migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED)
+        fs.outputFileSync(path.join(projectPath, 'flows', 'notes.md'), '# Notes')
+
+        assert.throws(() => migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'flows' }, projectPath, RED), /'flows' is not empty/)
+        assertSourceTree(path.join(projectPath, 'src'), 'yaml')
+        assert.strictEqual(fs.readFileSync(path.join(projectPath, 'flows', 'notes.md'), 'utf8'), '# Notes')
+    })
+
+    it('refuses a folder holding both formats', () => {
+        writeSourceTree(path.join(projectPath, 'src'), 'yaml')
+        migrateSourceTree({ fileFormat: 'yaml', destinationFolder: 'src' }, projectPath, RED)
+        fs.writeFileSync(path.join(projectPath, 'src', 'tabs', 'other.json'), '[]')
+
+        assert.throws(() => migrateSourceTree({ fileFormat: 'json', destinationFolder: 'src' }, projectPath, RED), /both yaml and json files/)
+        assert.ok(fs.existsSync(path.join(projectPath, 'src', 'tabs', 'main.yaml')))
+    })
+})
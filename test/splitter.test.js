@@ -0,0 +1,434 @@
+const { describe, it, before, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs-extra')
+const os = require('os')
+const yaml = require('js-yaml')
+
+const RED = { log: { info() {}, warn() {}, error() {} }, settings: {} }
+
+let hasManager = true
+try {
+    require.resolve('flows-file-manager')
+} catch (error) {
+    hasManager = false
+}
+
+/**
+ * Flows with two tabs and a subflow, each holding a function node
+ * @returns {Array<object>}
+ */
+function createFlows() {
+    return [
+        { id: 't1', type: 'tab', label: 'Main' },
+        { id: 't2', type: 'tab', label: 'Old' },
+        { id: 's1', type: 'subflow', name: 'Vendor', in: [], out: [] },
+        { id: 'f1', type: 'function', z: 't1', name: 'calc', func: 'return msg', outputs: 1, wires: [] },
+        { id: 'f2', type: 'function', z: 't2', name: 'legacy', func: 'return null', outputs: 1, wires: [] },
+        { id: 'f3', type: 'function', z: 's1', name: 'transform', func: 'return msg', outputs: 1, wires: [] }
+    ]
+}
+
+/**
+ * Find the split file holding a tab or subflow, whatever its name
+ * @param {string} dir - tabs or subflows folder
+ * @param {string} id - Id of the tab or subflow
+ * @returns {string | null} - Name of the file without extension
+ */
+function findFlowFile(dir, id) {
+    if (!fs.existsSync(dir)) {
+        return null
+    }
+    const file = fs.readdirSync(dir)
+        .filter(f => f.endsWith('.yaml'))
+        .find(f => (yaml.load(fs.readFileSync(path.join(dir, f), 'utf8')) || []).some(node => node && node.id === id))
+    return file ? path.basename(file, '.yaml') : null
+}
+
+/**
+ * @param {string} dir
+ * @returns {Object<string, string>} - Content of the files, by path relative to the folder
+ */
+function readTree(dir) {
+    const files = {}
+    const list = current => fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+        if (entry.isDirectory()) {
+            list(path.join(current, entry.name))
+        } else {
+            files[path.relative(dir, path.join(current, entry.name)).split(path.sep).join('/')] = fs.readFileSync(path.join(current, entry.name), 'utf8')
+        }
+    })
+    list(dir)
+    return files
+}
+
+describe('split', { skip: !hasManager && 'flows-file-manager is not installed' }, () => {
+    let splitter
+    let projectPath
+    let cfg
+    let tabsDir
+    let subflowsDir
+
+    before(() => {
+        splitter = require('../splitter')
+        splitter.setRuntime(RED)
+    })
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        cfg = { ...splitter.DEFAULT_CFG, monolithFilename: 'flows.json' }
+        tabsDir = path.join(projectPath, 'src', 'tabs')
+        subflowsDir = path.join(projectPath, 'src', 'subflows')
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('removes the files of the tabs and subflows deleted before a full split', () => {
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        const oldTab = findFlowFile(tabsDir, 't2')
+        const subflow = findFlowFile(subflowsDir, 's1')
+        assert.ok(oldTab && subflow)
+        assert.ok(fs.existsSync(path.join(tabsDir, oldTab, '.manifest.json')))
+        assert.ok(fs.existsSync(path.join(tabsDir, oldTab, 'legacy.js')))
+        assert.ok(fs.existsSync(path.join(subflowsDir, subflow, 'transform.js')))
+
+        const flows = createFlows().filter(node => !['t2', 'f2', 's1', 'f3'].includes(node.id))
+        splitter.splitFlows(flows, cfg, projectPath)
+
+        assert.strictEqual(findFlowFile(tabsDir, 't2'), null)
+        assert.strictEqual(fs.existsSync(path.join(tabsDir, oldTab)), false)
+        assert.strictEqual(findFlowFile(subflowsDir, 's1'), null)
+        assert.strictEqual(fs.existsSync(path.join(subflowsDir, subflow)), false)
+
+        const mainTab = findFlowFile(tabsDir, 't1')
+        assert.ok(mainTab)
+        assert.match(fs.readFileSync(path.join(tabsDir, mainTab, 'calc.js'), 'utf8'), /return msg\n?$/)
+
+        // The deleted tab does not come back when the flows are read again
+        const ids = splitter.readSourceFlowNodes(cfg, projectPath).map(node => node.id).sort()
+        assert.deepStrictEqual(ids, ['f1', 't1'])
+    })
+
+    it('keeps the files of ignored tabs on a full split', () => {
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        const oldTab = findFlowFile(tabsDir, 't2')
+
+        splitter.splitFlows(createFlows(), { ...cfg, exclude: ['Old'] }, projectPath)
+
+        assert.strictEqual(findFlowFile(tabsDir, 't2'), oldTab)
+        assert.ok(fs.existsSync(path.join(tabsDir, oldTab, 'legacy.js')))
+        const ignored = JSON.parse(fs.readFileSync(path.join(projectPath, 'src', 'ignored-flows.json'), 'utf8'))
+        assert.deepStrictEqual(ignored.nodes.map(node => node.id), ['t2', 'f2'])
+
+        // The ignored tab is read from the passthrough file, not from its outdated split file
+        const nodes = splitter.readSourceFlowNodes({ ...cfg, exclude: ['Old'] }, projectPath)
+        assert.deepStrictEqual(nodes.map(node => node.id).sort(), ['f1', 'f2', 'f3', 's1', 't1', 't2'])
+        assert.strictEqual(nodes.filter(node => node.id === 't2').length, 1)
+    })
+
+    it('only rewrites the files of the changed flows on an incremental split', () => {
+        const previousFlows = createFlows()
+        splitter.splitFlows(previousFlows, cfg, projectPath)
+        const mainTab = findFlowFile(tabsDir, 't1')
+        const oldTab = findFlowFile(tabsDir, 't2')
+        const subflow = findFlowFile(subflowsDir, 's1')
+        const past = new Date(Math.floor(Date.now() / 1000) * 1000 - 60000)
+        fs.utimesSync(path.join(subflowsDir, `${subflow}.yaml`), past, past)
+
+        // The function of the main tab is edited and the old tab deleted in the editor
+        const flows = createFlows()
+            .filter(node => node.id !== 't2' && node.id !== 'f2')
+            .map(node => node.id === 'f1' ? { ...node, func: 'return null' } : node)
+        const diff = { added: [], changed: ['f1'], removed: ['t2', 'f2'], rewired: [], linked: [] }
+        splitter.splitFlows(flows, cfg, projectPath, { diff, previousFlows })
+
+        assert.match(fs.readFileSync(path.join(tabsDir, mainTab, 'calc.js'), 'utf8'), /return null\n?$/)
+        assert.strictEqual(findFlowFile(tabsDir, 't2'), null)
+        assert.strictEqual(fs.existsSync(path.join(tabsDir, oldTab)), false)
+        assert.strictEqual(fs.statSync(path.join(subflowsDir, `${subflow}.yaml`)).mtimeMs, past.getTime())
+        assert.ok(fs.existsSync(path.join(subflowsDir, subflow, 'transform.js')))
+    })
+
+    it('only splits the flows named in the changes, and keeps the order of all tabs', () => {
+        const previousFlows = createFlows()
+        splitter.splitFlows(previousFlows, cfg, projectPath)
+        const oldTab = findFlowFile(tabsDir, 't2')
+
+        // The old tab changed too, but the deploy only reports the main tab
+        const flows = createFlows().map((node) => {
+            if (node.id === 'f1') return { ...node, func: 'return null' }
+            if (node.id === 'f2') return { ...node, func: 'return 2' }
+            return node
+        })
+        const diff = { added: [], changed: ['f1'], removed: [], rewired: [], linked: [] }
+        splitter.splitFlows(flows, cfg, projectPath, { diff, previousFlows })
+
+        assert.match(fs.readFileSync(path.join(tabsDir, oldTab, 'legacy.js'), 'utf8'), /return null\n?$/)
+        assert.deepStrictEqual(splitter.loadSplitterConfig(projectPath).tabsOrder, ['t1', 't2'])
+    })
+
+    it('rewrites both tabs when a node moves from one to the other', () => {
+        const previousFlows = createFlows()
+        splitter.splitFlows(previousFlows, cfg, projectPath)
+        const mainTab = findFlowFile(tabsDir, 't1')
+        const oldTab = findFlowFile(tabsDir, 't2')
+
+        const flows = createFlows().map(node => node.id === 'f2' ? { ...node, z: 't1' } : node)
+        const diff = { added: [], changed: ['f2'], removed: [], rewired: [], linked: [] }
+        splitter.splitFlows(flows, cfg, projectPath, { diff, previousFlows })
+
+        assert.ok(fs.existsSync(path.join(tabsDir, mainTab, 'legacy.js')))
+        assert.strictEqual(fs.existsSync(path.join(tabsDir, oldTab)), false)
+        const ids = splitter.readSourceFlowNodes(cfg, projectPath).map(node => node.id).sort()
+        assert.deepStrictEqual(ids, ['f1', 'f2', 'f3', 's1', 't1', 't2'])
+    })
+
+    it('does nothing when the deploy changed no node', () => {
+        const flows = createFlows()
+        splitter.splitFlows(flows, cfg, projectPath)
+        const mainTab = findFlowFile(tabsDir, 't1')
+        fs.writeFileSync(path.join(tabsDir, mainTab, 'calc.js'), 'return 1\n')
+
+        const diff = { added: [], changed: [], removed: [], rewired: [], linked: [] }
+        splitter.splitFlows(flows, cfg, projectPath, { diff, previousFlows: flows })
+
+        assert.strictEqual(fs.readFileSync(path.join(tabsDir, mainTab, 'calc.js'), 'utf8'), 'return 1\n')
+    })
+})
+
+describe('build', { skip: !hasManager && 'flows-file-manager is not installed' }, () => {
+    let splitter
+    let projectPath
+    let cfg
+
+    before(() => {
+        splitter = require('../splitter')
+        splitter.setRuntime(RED)
+    })
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        cfg = { ...splitter.DEFAULT_CFG, monolithFilename: 'flows.json', restoreFunctionsTemplates: true }
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('builds the flows a reload would load without writing to the project', () => {
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        fs.writeFileSync(path.join(projectPath, 'src', 'tabs', 'main', 'calc.js'), 'return null\n')
+        const before = readTree(projectPath)
+
+        const nodes = splitter.buildReloadFlowNodes(cfg, projectPath)
+
+        assert.deepStrictEqual(nodes.map(node => node.id).sort(), ['f1', 'f2', 'f3', 's1', 't1', 't2'])
+        assert.match(nodes.find(node => node.id === 'f1').func, /^return null\n?$/)
+        assert.deepStrictEqual(readTree(projectPath), before)
+    })
+
+    it('applies the environment overlays to the flows file, and takes them out of the split files', () => {
+        const envCfg = { ...cfg, environment: 'production' }
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        fs.outputFileSync(path.join(projectPath, 'src', 'environments', 'production', 'main.yaml'), 'f1:\n  name: calc-prod\n')
+
+        splitter.buildMonolithFile(envCfg, projectPath)
+        const flows = splitter.readFlowsFile(path.join(projectPath, 'flows.json'))
+        assert.strictEqual(flows.find(node => node.id === 'f1').name, 'calc-prod')
+
+        const before = readTree(path.join(projectPath, 'src'))
+        splitter.splitFlows(flows, envCfg, projectPath)
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), before)
+    })
+
+    it('keeps the layout in its own files, so moving a node only changes them', () => {
+        const layoutCfg = { ...cfg, separateLayout: true }
+        const flows = createFlows().map(node => node.id === 'f1' ? { ...node, x: 100, y: 60 } : node)
+        splitter.splitFlows(flows, layoutCfg, projectPath)
+        const before = readTree(path.join(projectPath, 'src'))
+        assert.doesNotMatch(before['tabs/main.yaml'], /x: 100/)
+        assert.match(before['layout/tabs/main.layout.yaml'], /f1: \{x: 100, 'y': 60\}/)
+
+        const moved = flows.map(node => node.id === 'f1' ? { ...node, x: 300 } : node)
+        splitter.splitFlows(moved, layoutCfg, projectPath)
+        const after = readTree(path.join(projectPath, 'src'))
+        assert.deepStrictEqual(Object.keys(after).filter(file => after[file] !== before[file]), ['layout/tabs/main.layout.yaml'])
+
+        splitter.buildMonolithFile(layoutCfg, projectPath)
+        const f1 = splitter.readFlowsFile(path.join(projectPath, 'flows.json')).find(node => node.id === 'f1')
+        assert.deepStrictEqual([f1.x, f1.y], [300, 60])
+
+        // Disabling the layout files puts the layout back into every tab, changed or not
+        const diff = { added: [], changed: ['f2'], removed: [], rewired: [], linked: [] }
+        splitter.splitFlows(moved, cfg, projectPath, { diff, previousFlows: moved })
+        assert.strictEqual(fs.existsSync(path.join(projectPath, 'src', 'layout')), false)
+        assert.match(fs.readFileSync(path.join(projectPath, 'src', 'tabs', 'main.yaml'), 'utf8'), /x: 300/)
+    })
+})
+
+describe('inventory', { skip: !hasManager && 'flows-file-manager is not installed' }, () => {
+    let splitter
+    let projectPath
+    let cfg
+
+    before(() => {
+        splitter = require('../splitter')
+        splitter.setRuntime(RED)
+    })
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        cfg = { ...splitter.DEFAULT_CFG, monolithFilename: 'flows.json' }
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('lists the extracted files of each flow and the files no flow accounts for', () => {
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        const tabsDir = path.join(projectPath, 'src', 'tabs')
+        fs.writeFileSync(path.join(tabsDir, 'main', 'calc.test.yaml'), 'tests: []\n')
+        fs.writeFileSync(path.join(tabsDir, 'main', 'notes.txt'), 'notes\n')
+        fs.mkdirSync(path.join(tabsDir, 'deleted'))
+        fs.rmSync(path.join(tabsDir, 'old', 'legacy.js'))
+        // The node of the old tab is removed from its flow file by hand
+        fs.writeFileSync(path.join(tabsDir, 'old.yaml'), yaml.dump([{ id: 't2', type: 'tab', label: 'Old' }]))
+
+        const inventory = splitter.getInventory(cfg, projectPath)
+
+        const main = inventory.flows.find(flow => flow.flowName === 'main')
+        assert.deepStrictEqual({ ...main, nodes: undefined }, {
+            flowType: 'tab', flowName: 'main', file: 'src/tabs/main.yaml', nodeCount: 2, nodes: undefined, orphanFiles: ['src/tabs/main/notes.txt']
+        })
+        assert.deepStrictEqual(main.nodes.map(node => [node.nodeId, node.files, node.testFile, node.orphan]), [
+            ['f1', [{ file: 'src/tabs/main/calc.js', missing: false }], 'src/tabs/main/calc.test.yaml', false]
+        ])
+        const old = inventory.flows.find(flow => flow.flowName === 'old')
+        assert.deepStrictEqual(old.nodes.map(node => [node.nodeId, node.files, node.orphan]), [
+            ['f2', [{ file: 'src/tabs/old/legacy.js', missing: true }], true]
+        ])
+        assert.deepStrictEqual(inventory.flows.filter(flow => flow.flowType === 'subflow').map(flow => flow.nodes.length), [1])
+        assert.deepStrictEqual(inventory.orphanDirectories, ['src/tabs/deleted'])
+    })
+
+    it('records the duration, outcome and warnings of the last split, extract and restore', () => {
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        const runs = splitter.getLastRuns()
+        assert.strictEqual(runs.split.success, true)
+        assert.strictEqual(runs.extract.success, true)
+        assert.ok(runs.split.durationMs >= runs.extract.durationMs)
+
+        // A flow file that cannot be read is a warning of the split and of its extraction
+        fs.writeFileSync(path.join(projectPath, 'src', 'subflows', 'vendor.yaml'), 'id: [')
+        splitter.extractFunctionsTemplatesFromSplitFiles(cfg, projectPath)
+        assert.match(splitter.getLastRuns().extract.warnings.join('\n'), /Error processing subflow vendor/)
+
+        assert.throws(() => splitter.splitFlows(createFlows(), { ...cfg, destinationFolder: path.join('src', 'tabs', 'main', 'calc.js') }, projectPath))
+        assert.strictEqual(splitter.getLastRuns().split.success, false)
+        assert.ok(splitter.getLastRuns().split.error)
+    })
+})
+
+describe('readFlowsFile', { skip: !hasManager && 'flows-file-manager is not installed' }, () => {
+    let splitter
+    let dir
+
+    before(() => {
+        splitter = require('../splitter')
+    })
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+    })
+
+    afterEach(() => {
+        fs.removeSync(dir)
+    })
+
+    it('reads an array of nodes or flows exported with credentials', () => {
+        fs.writeFileSync(path.join(dir, 'flows.json'), JSON.stringify(createFlows()))
+        fs.writeFileSync(path.join(dir, 'export.json'), JSON.stringify({ flows: createFlows(), credentials: {} }))
+
+        assert.deepStrictEqual(splitter.readFlowsFile(path.join(dir, 'flows.json')), createFlows())
+        assert.deepStrictEqual(splitter.readFlowsFile(path.join(dir, 'export.json')), createFlows())
+    })
+
+    it('refuses a file that holds no flows', () => {
+        fs.writeFileSync(path.join(dir, 'settings.json'), '{"flowFile":"flows.json"}')
+        assert.throws(() => splitter.readFlowsFile(path.join(dir, 'settings.json')), /is not a flows file/)
+    })
+})
+
+describe('snapshots', { skip: !hasManager && 'flows-file-manager is not installed' }, () => {
+    let splitter
+    let history
+    let projectPath
+    let cfg
+
+    before(() => {
+        splitter = require('../splitter')
+        history = require('../history')
+        splitter.setRuntime(RED)
+    })
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-'))
+        cfg = { ...splitter.DEFAULT_CFG, monolithFilename: 'flows.json' }
+    })
+
+    afterEach(() => {
+        fs.removeSync(projectPath)
+    })
+
+    it('only saves the files a split changes, and rolls back to the previous split', () => {
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        const before = readTree(path.join(projectPath, 'src'))
+
+        const flows = createFlows()
+        flows.find(node => node.id === 'f1').func = 'return null'
+        splitter.splitFlows(flows, cfg, projectPath)
+
+        const [snapshot] = history.listSnapshots(projectPath)
+        assert.deepStrictEqual(snapshot.entries.map(entry => entry.path).sort(), ['src/tabs/main', 'src/tabs/main.yaml'])
+
+        history.rollbackToSnapshot(projectPath, cfg, snapshot.id, RED)
+        assert.deepStrictEqual(readTree(path.join(projectPath, 'src')), before)
+    })
+
+    it('leaves no snapshot when a split or build changes nothing', () => {
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        const count = history.listSnapshots(projectPath).length
+
+        splitter.splitFlows(createFlows(), cfg, projectPath)
+        splitter.buildMonolithFile({ ...cfg, restoreFunctionsTemplates: true }, projectPath)
+        splitter.buildMonolithFile({ ...cfg, restoreFunctionsTemplates: true }, projectPath)
+
+        // The first build creates flows.json, the second one rewrites nothing
+        assert.strictEqual(history.listSnapshots(projectPath).length, count + 1)
+    })
+})
+
+describe('validateSplitterConfig', { skip: !hasManager && 'flows-file-manager is not installed' }, () => {
+    let splitter
+
+    before(() => {
+        splitter = require('../splitter')
+    })
+
+    it('accepts the default configuration', () => {
+        assert.deepStrictEqual(splitter.validateSplitterConfig(splitter.DEFAULT_CFG), [])
+    })
+
+    it('reports unknown options and invalid values', () => {
+        const errors = splitter.validateSplitterConfig({ fileFormat: 'xml', historyLimit: -1, destinationFolder: '../outside', unknown: true })
+        assert.deepStrictEqual(errors, [
+            "Unknown option 'unknown'",
+            "'fileFormat' must be one of yaml, json",
+            "'historyLimit' must be a positive integer",
+            "'destinationFolder' must be a folder inside the project"
+        ])
+    })
+})
@@ -0,0 +1,61 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const { getTypeScriptFile, transpileTypeScript } = require('../typescript-sources')
+
+let hasTypeScript = true
+try {
+    require.resolve('typescript')
+} catch (error) {
+    hasTypeScript = false
+}
+
+describe('typescript sources', () => {
+    it('names the TypeScript source after the extracted file', () => {
+        assert.strictEqual(getTypeScriptFile('main/calc.js'), 'main/calc.ts')
+        assert.strictEqual(getTypeScriptFile('main/calc.initialize.js'), 'main/calc.initialize.ts')
+    })
+
+    describe('transpile', { skip: !hasTypeScript && 'typescript is not installed' }, () => {
+        let file
+
+        beforeEach(() => {
+            file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'flow-splitter-')), 'calc.ts')
+        })
+
+        afterEach(() => {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true })
+        })
+
+        it('removes the types and the imports of types', () => {
+            const code = "import type { Message } from './types'\n\ninterface Reading { value: number }\n\nconst reading: Reading = msg.payload as Reading\nmsg.payload = reading.value * 2\nreturn msg\nexport {}\n"
+
+            const result = transpileTypeScript(code, file)
+
+            assert.deepStrictEqual(result.errors, [])
+            assert.strictEqual(result.code, 'const reading = msg.payload;\nmsg.payload = reading.value * 2;\nreturn msg;\n')
+        })
+
+        it('reports the imports and exports of values at their line, below the settings header', () => {
+            const code = "const a = 1\nimport { round } from 'lodash'\nexport const b = round(a)\n"
+
+            const result = transpileTypeScript(code, file, 3)
+
+            assert.deepStrictEqual(result.errors.map(({ line, column, message }) => ({ line, column, message })), [
+                { line: 5, column: 1, message: "Cannot import values from 'lodash': only types can be imported, modules are loaded with the 'libs' setting or require('./...')" },
+                { line: 6, column: 1, message: 'Function code cannot export values' }
+            ])
+            assert.strictEqual(result.errors[0].file, file)
+        })
+
+        it('reports syntax errors with their position', () => {
+            const result = transpileTypeScript('const a: number = (1\nreturn msg\n', file)
+
+            assert.strictEqual(result.errors.length > 0, true)
+            assert.strictEqual(result.errors[0].line, 2)
+            assert.strictEqual(result.errors[0].file, file)
+        })
+    })
+})
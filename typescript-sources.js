@@ -0,0 +1,122 @@
+const path = require('path')
+const { createRequire } = require('module')
+
+/**
+ * TypeScript sources
+ * Function code can be written in a `.ts` file next to its extracted `.js` file. The TypeScript compiler installed in
+ * the project transpiles it when the code is restored: types are removed, nothing is type checked nor bundled.
+ */
+
+/**
+ * Compilers already loaded, by path of the module
+ * @type {Map<string, object>}
+ */
+const compilers = new Map()
+
+/**
+ * Path of the TypeScript source of an extracted file, e.g. `calc.initialize.ts` for `calc.initialize.js`
+ * @param {string} fileName - Path of the extracted `.js` file
+ * @returns {string}
+ */
+function getTypeScriptFile(fileName) {
+    return fileName.replace(/\.js$/, '.ts')
+}
+
+/**
+ * Load the TypeScript compiler installed in the project
+ * @param {string} fromDir - Folder the compiler is looked up from, as Node.js does for `require`
+ * @returns {object} - The `typescript` module
+ * @throws {Error} When TypeScript is not installed
+ */
+function loadTypeScript(fromDir) {
+    let compilerPath
+    try {
+        compilerPath = createRequire(path.join(fromDir, 'package.json')).resolve('typescript')
+    } catch (error) {
+        throw new Error("TypeScript is not installed in the project, run 'npm install --save-dev typescript'")
+    }
+    if (!compilers.has(compilerPath)) {
+        compilers.set(compilerPath, require(compilerPath))
+    }
+    return compilers.get(compilerPath)
+}
+
+/**
+ * @param {object} ts - The `typescript` module
+ * @param {object} statement
+ * @returns {boolean} - Whether the statement imports or exports values, which the function node cannot run
+ */
+function isModuleStatement(ts, statement) {
+    if (ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement) || statement.isTypeOnly ||
+        (statement.importClause && statement.importClause.isTypeOnly)) {
+        return false
+    }
+    // `export {}` only makes the file a module
+    if (ts.isExportDeclaration(statement) && !statement.moduleSpecifier && statement.exportClause &&
+        ts.isNamedExports(statement.exportClause) && statement.exportClause.elements.length === 0) {
+        return false
+    }
+    const exported = (statement.modifiers || []).some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword)
+    return exported || ts.isImportDeclaration(statement) || ts.isImportEqualsDeclaration(statement) ||
+        ts.isExportDeclaration(statement) || ts.isExportAssignment(statement)
+}
+
+/**
+ * Transpile the TypeScript code of a function node property into JavaScript.
+ * Imports of types are removed, imports of values are errors: modules are loaded with the `libs` setting or,
+ * for the modules of the project, with `require('./...')`.
+ * @param {string} code - TypeScript code, without settings header
+ * @param {string} file - Path of the `.ts` file, the compiler is looked up from its folder
+ * @param {number} [lineOffset] - Lines above the code in the file (settings header), added to the lines of the errors
+ * @returns {{code: string, errors: Array<import('./code-validator').CodeError>}}
+ * @throws {Error} When TypeScript is not installed in the project
+ */
+function transpileTypeScript(code, file, lineOffset = 0) {
+    const ts = loadTypeScript(path.dirname(file))
+    const locate = (sourceFile, position, message) => {
+        const { line, character } = sourceFile
+            ? sourceFile.getLineAndCharacterOfPosition(position || 0)
+            : { line: 0, character: 0 }
+        return { file, line: line + 1 + lineOffset, column: character + 1, message }
+    }
+
+    const result = ts.transpileModule(code, {
+        fileName: path.basename(file),
+        reportDiagnostics: true,
+        compilerOptions: {
+            target: ts.ScriptTarget.ES2022,
+            module: ts.ModuleKind.ESNext,
+            newLine: ts.NewLineKind.LineFeed
+        }
+    })
+    const errors = (result.diagnostics || [])
+        .map(diagnostic => locate(diagnostic.file, diagnostic.start, ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')))
+
+    // Empty exports only mark the file as a module, also when it imports nothing but types
+    const output = result.outputText.replace(/^export \{\};\n?/gm, '')
+
+    if (errors.length === 0) {
+        const isImport = statement => ts.isImportDeclaration(statement) || ts.isImportEqualsDeclaration(statement)
+        const getSpecifier = statement => statement.moduleSpecifier ? statement.moduleSpecifier.text : undefined
+        const source = ts.createSourceFile(file, code, ts.ScriptTarget.ES2022, true)
+        const sourceStatements = source.statements.filter(statement => isModuleStatement(ts, statement))
+        ts.createSourceFile(file, output, ts.ScriptTarget.ES2022, true).statements
+            .filter(statement => isModuleStatement(ts, statement))
+            .forEach((statement) => {
+                // The transpiled code has other lines, the statement is found in the source by its kind and module
+                const index = sourceStatements.findIndex(s => isImport(s) === isImport(statement) && getSpecifier(s) === getSpecifier(statement))
+                const origin = index >= 0 ? sourceStatements.splice(index, 1)[0] : null
+                const message = isImport(statement)
+                    ? `Cannot import values from '${getSpecifier(statement) || statement.moduleReference.getText()}': only types can be imported, modules are loaded with the 'libs' setting or require('./...')`
+                    : 'Function code cannot export values'
+                errors.push(locate(origin ? source : null, origin && origin.getStart(source), message))
+            })
+    }
+
+    return { code: output, errors }
+}
+
+module.exports = {
+    getTypeScriptFile,
+    transpileTypeScript
+}